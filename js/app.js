@@ -13,9 +13,20 @@ const LensingApp = {
     mouse: null,
     targetMouse: null,
     isLocked: false,
+    isDragging: false,
+    suppressClick: false,
+    pickingSource: false,
+    pickingPath: false,
     currentMode: 'galaxies',
     manualLayers: [],
 
+    // Lens List (see lenses.js). The selected lens follows the mouse and the sliders.
+    lenses: [],
+    selectedLens: 0,
+
+    // Uploaded convergence map and its deflection texture (see kappa-map.js)
+    kappaMap: null,
+
     // Default Configuration
     defaultConfig: {
         mass: 1.0,
@@ -41,11 +52,90 @@ const LensingApp = {
 
         // Elliptical Model Defaults
         ellipticity: 0.25,
-        angle: 0.0
+        angle: 0.0,
+
+        // Radial Profile Defaults (see profiles.js for the registry)
+        profile: 'burkert',
+        profileParams: {},
+        profileFormula: 'dc*(1-(r/rs)^a)/(1+r^b)',
+
+        // Multi-Plane Defaults (distance of the lens plane relative to the main lens plane)
+        planeDistance: 1.0,
+
+        // Microlens Defaults (companions of the primary point mass, see microlensing.js)
+        microMasses: [LensingMicrolensing.createCompanion(0)],
+
+        // Custom κ Map Defaults (arcsec per map pixel, shared by all lenses using the map)
+        kappaPixelScale: 0.25,
+
+        // Light Curve Defaults (star position in UV, straight track in Einstein radii, see lightcurve.js)
+        lightCurve: 0.0,
+        lightCurvePath: 'line',
+        sourceX: 0.5,
+        sourceY: 0.5,
+        impactParameter: 0.3,
+        trackAngle: 0.0,
+
+        // Lens Map Defaults (false-colour κ, |γ|, det A or μ over the image, see lens-maps.js)
+        mapMode: 'none',
+        mapColormap: 'viridis',
+        mapOpacity: 1.0,
+        mapRange: 1.0,
+
+        // Shear Whisker Defaults (sticks per screen height, length per unit reduced shear, see whiskers.js)
+        showWhiskers: 0.0,
+        whiskerDensity: 20,
+        whiskerScale: 5.0,
+        whiskerColor: '#7affb5',
+
+        // Profile Plot Defaults (plotted quantity & logarithmic axes, see profile-curves.js)
+        plotQuantity: 'delta',
+        plotLogX: 0.0,
+        plotLogY: 0.0,
+
+        // Stacked Shear Defaults (measurement on the mock catalog, see stacking.js)
+        showStacking: 0.0,
+        stackedLenses: 1,
+
+        // Recording Defaults (lens path of a video take, see recording.js)
+        showRecording: 0.0,
+        recordPath: 'line',
+        recordPoints: LensingRecording.RECORD_DEFAULT_POINTS.line,
+        recordSpeed: 0.2,
+        recordFps: 30,
+        recordHeight: 1080,
+
+        // Snapshot Defaults ('window' copies the canvas, other sizes render a poster, see poster.js)
+        snapshotSize: 'window',
+        snapshotWidth: 3840,
+        snapshotHeight: 2160,
+
+        // Amplitude of all lens deflections (1 = the classic, amplified look; see LensingUnits.REALISTIC_EXAGGERATION)
+        exaggeration: 1.0,
+
+        // Environment Defaults (external shear & mass sheet, applied to every model)
+        kappaExt: 0.0,
+        shear: 0.0,
+        shearAngle: 0.0,
+
+        // Cosmology Defaults (redshift-based layer distances, flat ΛCDM)
+        cosmology: 0.0,
+        zLens: 0.3,
+        zSourceMin: 0.5,
+        zSourceMax: 2.0,
+        hubble: 70.0,
+        omegaM: 0.3,
+
+        // Physical Units Defaults (readout only, field of view = screen height in arcmin)
+        physicalUnits: 0.0,
+        fieldOfView: 2.0,
     },
 
     // Current Configuration (will be a copy of defaultConfig)
     config: null,
+
+    // Store of the slider parameters around the config (see params.js)
+    store: null,
 };
 
 /**
@@ -55,6 +145,7 @@ function init() {
     // Initialize config as a copy of defaultConfig
     LensingApp.config = { ...LensingApp.defaultConfig };
     const { config } = LensingApp;
+    LensingApp.store = LensingParams.createParameterStore(config);
 
     // Initialize galaxy factory sprites
     GalaxyFactory.init();
@@ -85,6 +176,9 @@ function init() {
     LensingApp.mouse = new THREE.Vector2(0.5, 0.5);
     LensingApp.targetMouse = new THREE.Vector2(0.5, 0.5);
 
+    // Start with a single lens built from the default config
+    LensingLenses.resetLenses();
+
     // Create Textures
     const bgTex = LensingTextures.createBackgroundTexture(config.density);
     bgTex.wrapS = THREE.RepeatWrapping;
@@ -98,18 +192,27 @@ function init() {
     fgTex.wrapS = THREE.RepeatWrapping;
     fgTex.wrapT = THREE.RepeatWrapping;
 
-    // --- HSW Data Texture Initialization ---
-    // We use a Float32Array to store the deflection profile.
+    // --- Profile Lookup Texture Initialization ---
+    // We use a Float32Array to store the deflection profiles (HSW voids & radial profiles).
     // LuminanceFormat is used for maximum compatibility (WebGL 1 & 2).
-    // 8192 size matches ui.js calculation.
+    // 8192 size matches the integration in profiles.js.
     // FIX: Use RGBA (4 channels) and NearestFilter for maximum device compatibility.
     // Float textures with LinearFilter often fail on mobile/WebGL2 without extensions.
-    const hswData = new Float32Array(8192 * 4);
-    LensingApp.hswTexture = new THREE.DataTexture(hswData, 8192, 1, THREE.RGBAFormat, THREE.FloatType);
+    // One row per lens, so every lens in the lens list keeps its own profile.
+    const profileSize = LensingProfiles.PROFILE_TEXTURE_SIZE;
+    const profileRows = LensingLenses.MAX_LENSES;
+    const profileData = new Float32Array(profileSize * profileRows * 4);
+    LensingApp.profileTexture = new THREE.DataTexture(
+        profileData,
+        profileSize,
+        profileRows,
+        THREE.RGBAFormat,
+        THREE.FloatType,
+    );
 
-    LensingApp.hswTexture.minFilter = THREE.NearestFilter;
-    LensingApp.hswTexture.magFilter = THREE.NearestFilter;
-    LensingApp.hswTexture.needsUpdate = true;
+    LensingApp.profileTexture.minFilter = THREE.NearestFilter;
+    LensingApp.profileTexture.magFilter = THREE.NearestFilter;
+    LensingApp.profileTexture.needsUpdate = true;
 
     document.getElementById('loading').style.display = 'none';
 
@@ -126,29 +229,48 @@ function init() {
         u_cluster: { value: clusterTex },
         u_fg: { value: fgTex },
 
-        // HSW Texture passed to shader
-        u_hsw_tex: { value: LensingApp.hswTexture },
+        // Profile lookup texture passed to shader
+        u_profile_tex: { value: LensingApp.profileTexture },
+
+        // Custom κ map deflection field (see kappa-map.js)
+        u_kappa_tex: { value: null },
+        u_kappa_pixel: { value: 0.0 },
+        u_kappa_extent: { value: 1.0 },
+        u_kappa_mass: { value: 0.0 },
+        u_kappa_size: { value: 1.0 },
 
         u_resolution: { value: new THREE.Vector2(window.innerWidth, window.innerHeight) },
-        u_mouse: { value: new THREE.Vector2(0.5, 0.5) },
-        u_mass: { value: config.mass },
-        u_spread: { value: config.spread },
 
-        // Toy Model Parameters
-        u_wall_density: { value: config.wallDensity },
-        u_wall_width: { value: config.wallWidth },
+        // Lens List (positions, models and model parameters of every lens)
+        ...LensingLenses.createLensUniforms(),
 
-        // Elliptical Model Parameters
-        u_ellipticity: { value: config.ellipticity },
-        u_angle: { value: config.angle },
+        // External Shear & Mass Sheet
+        u_kappa_ext: { value: config.kappaExt },
+        u_shear_ext: { value: new THREE.Vector2(0.0, 0.0) },
+        u_ext_center: { value: new THREE.Vector2(0.5, 0.5) },
+        u_exaggeration: { value: config.exaggeration },
+
+        // Lens maps (false-colour κ, |γ|, det A or μ of the farthest layer)
+        u_map_mode: { value: 0.0 },
+        u_map_limits: { value: new THREE.Vector2(-1.0, 1.0) },
+        u_map_opacity: { value: config.mapOpacity },
+        u_map_efficiency: { value: 0.0 },
+        u_map_dist: { value: 1.0 },
+        u_colormap_tex: { value: LensingMaps.createColormapTexture() },
+        u_colormap_row: { value: 0.0 },
+
+        // Light-curve star
+        u_show_source: { value: config.lightCurve },
+        u_source_pos: { value: new THREE.Vector2(config.sourceX, config.sourceY) },
 
         u_layers: { value: config.layers },
+        u_layer_efficiency: { value: new Array(8).fill(0) },
+        u_layer_dist: { value: new Array(8).fill(1) },
         u_brightness: { value: config.brightness },
         u_show_core: { value: config.showCore },
         u_show_foreground: { value: config.showForeground },
         u_show_cluster: { value: config.showCluster },
         u_show_caustics: { value: config.showCaustics },
-        u_model: { value: config.model },
         u_grid_mode: { value: 0.0 },
         u_use_manual: { value: 0.0 },
         u_time: { value: 0 },
@@ -166,7 +288,14 @@ function init() {
     // --- CAUSTIC VECTOR GROUP ---
     LensingApp.causticsGroup = new THREE.Group();
     LensingApp.scene.add(LensingApp.causticsGroup);
-    LensingApp.cachedCausticParams = "";
+
+    // --- SHEAR WHISKER GROUP ---
+    LensingApp.whiskersGroup = new THREE.Group();
+    LensingApp.scene.add(LensingApp.whiskersGroup);
+
+    // --- RECORDING PATH GROUP ---
+    LensingApp.recordingGroup = new THREE.Group();
+    LensingApp.scene.add(LensingApp.recordingGroup);
 
     // Setup Event Listeners
     setupEventListeners();
@@ -181,6 +310,9 @@ function init() {
         LensingApp.camera,
     );
 
+    // A shared link carries its scene in the URL hash
+    LensingUI.applySceneHash();
+
     // Start animation loop
     animate();
 }
@@ -197,6 +329,10 @@ function setupEventListeners() {
     // Mouse move handler
     window.addEventListener('mousemove', onMouseMove, false);
 
+    // Lens picking & dragging
+    renderer.domElement.addEventListener('mousedown', (e) => beginLensDrag(e.clientX, e.clientY), false);
+    window.addEventListener('mouseup', (e) => endLensDrag(e.clientX, e.clientY), false);
+
     // Variables to track touch movement for "tap" detection
     let touchStartTime = 0;
     const touchStartPos = new THREE.Vector2();
@@ -207,8 +343,9 @@ function setupEventListeners() {
             e.preventDefault();
             touchStartTime = Date.now();
             touchStartPos.set(e.touches[0].clientX, e.touches[0].clientY);
+            beginLensDrag(e.touches[0].clientX, e.touches[0].clientY);
 
-            if (!LensingApp.isLocked) {
+            if (!LensingApp.isLocked || LensingApp.isDragging) {
                 LensingApp.targetMouse.x = e.touches[0].clientX / window.innerWidth;
                 LensingApp.targetMouse.y = 1.0 - e.touches[0].clientY / window.innerHeight;
             }
@@ -218,7 +355,7 @@ function setupEventListeners() {
     function handleTouchMove(e) {
         if (e.touches.length > 0) {
             e.preventDefault();
-            if (!LensingApp.isLocked) {
+            if (!LensingApp.isLocked || LensingApp.isDragging) {
                 LensingApp.targetMouse.x = e.touches[0].clientX / window.innerWidth;
                 LensingApp.targetMouse.y = 1.0 - e.touches[0].clientY / window.innerHeight;
             }
@@ -229,6 +366,7 @@ function setupEventListeners() {
         const duration = Date.now() - touchStartTime;
         const touchEndPos = new THREE.Vector2(e.changedTouches[0].clientX, e.changedTouches[0].clientY);
         const distance = touchStartPos.distanceTo(touchEndPos);
+        endLensDrag(touchEndPos.x, touchEndPos.y);
 
         // If tap was short and didn't move
         if (duration < 300 && distance < 10) {
@@ -251,6 +389,8 @@ function setupEventListeners() {
  */
 function onWindowResize() {
     LensingApp.material.uniforms.u_resolution.value.set(window.innerWidth, window.innerHeight);
+    // A running take keeps the video resolution (restored when it ends)
+    if (LensingRecording.isRecording()) return;
     LensingApp.renderer.setSize(window.innerWidth, window.innerHeight);
 }
 
@@ -259,32 +399,75 @@ function onWindowResize() {
  * @param {MouseEvent} e - The mouse event
  */
 function onMouseMove(e) {
-    if (!LensingApp.isLocked) {
+    if (!LensingApp.isLocked || LensingApp.isDragging) {
         // Normalize mouse to 0..1 range
         LensingApp.targetMouse.x = e.clientX / window.innerWidth;
         LensingApp.targetMouse.y = 1.0 - e.clientY / window.innerHeight;
     }
 }
 
+/**
+ * Grab the lens under the pointer. Grabbing a lens other than the selected one selects it.
+ * @param {number} clientX - Pointer x in CSS pixels
+ * @param {number} clientY - Pointer y in CSS pixels
+ */
+function beginLensDrag(clientX, clientY) {
+    LensingApp.suppressClick = false;
+
+    const index = LensingLenses.pickLens(clientX, clientY);
+    if (index < 0) return;
+
+    if (index !== LensingApp.selectedLens) {
+        LensingUI.selectLens(index, LensingApp.config);
+        // Picking up a lens should not also toggle the lock
+        LensingApp.suppressClick = true;
+    }
+    LensingApp.isDragging = true;
+    LensingApp.dragStart = new THREE.Vector2(clientX, clientY);
+}
+
+/**
+ * Release a dragged lens
+ * @param {number} clientX - Pointer x in CSS pixels
+ * @param {number} clientY - Pointer y in CSS pixels
+ */
+function endLensDrag(clientX, clientY) {
+    if (!LensingApp.isDragging) return;
+    LensingApp.isDragging = false;
+
+    // A drag that actually moved the lens is not a click
+    if (LensingApp.dragStart.distanceTo(new THREE.Vector2(clientX, clientY)) > 4) {
+        LensingApp.suppressClick = true;
+    }
+}
+
 /**
  * Toggle the lock state for the lens position
  * @param {Event} e - The event (mouse or touch)
  */
 function toggleLock(e) {
-    LensingApp.isLocked = !LensingApp.isLocked;
-    const ind = document.getElementById('lock-indicator');
-    const instruct = document.getElementById('instruct');
-    const container = document.getElementById('canvas-container');
+    if (LensingApp.suppressClick) {
+        LensingApp.suppressClick = false;
+        return;
+    }
 
-    if (LensingApp.isLocked) {
-        ind.style.display = 'block';
-        instruct.innerText = 'Click to Unlock';
-        container.style.cursor = 'default';
-    } else {
-        ind.style.display = 'none';
-        instruct.innerText = 'Drag to move • Click to Lock';
-        container.style.cursor = 'crosshair';
+    // While picking the light-curve star, the click places the star instead
+    if (LensingApp.pickingSource) {
+        const point = e.changedTouches && e.changedTouches.length > 0 ? e.changedTouches[0] : e;
+        if (point.clientX !== undefined) LensingUI.placeSourceStar(point.clientX, point.clientY);
+        return;
+    }
 
+    // While drawing a recording path, the click adds a control point
+    if (LensingApp.pickingPath) {
+        const point = e.changedTouches && e.changedTouches.length > 0 ? e.changedTouches[0] : e;
+        if (point.clientX !== undefined) LensingUI.addRecordingPoint(point.clientX, point.clientY);
+        return;
+    }
+
+    LensingUI.setLockState(!LensingApp.isLocked);
+
+    if (!LensingApp.isLocked) {
         // Handle coordinates for both Mouse and Touch
         let cx;
         let cy;
@@ -323,19 +506,27 @@ function animate(time) {
     mouse.x += (targetMouse.x - mouse.x) * 0.1;
     mouse.y += (targetMouse.y - mouse.y) * 0.1;
 
+    // A light-curve transit moves the lens along its straight track
+    LensingLightCurve.updateTransit(config, mouse, targetMouse, time);
+
+    // A video take moves the lens along its path (or the mouse motion is captured for one)
+    LensingRecording.updateRecording(mouse, targetMouse, time);
+
     // Update Uniforms
-    material.uniforms.u_mouse.value.copy(mouse);
     material.uniforms.u_time.value = time * 0.001;
-    material.uniforms.u_mass.value = config.mass;
-    material.uniforms.u_spread.value = config.spread;
 
-    // Pass Toy Model parameters to shader
-    material.uniforms.u_wall_density.value = config.wallDensity;
-    material.uniforms.u_wall_width.value = config.wallWidth;
+    // The selected lens follows the mouse & sliders, the others keep their stored state
+    LensingLenses.updateLensUniforms(material);
 
-    // Pass Elliptical Model parameters
-    material.uniforms.u_ellipticity.value = config.ellipticity;
-    material.uniforms.u_angle.value = config.angle;
+    // Environment terms are expanded around the selected lens
+    const shear = LensingUtils.shearComponents(config.shear, config.shearAngle);
+    material.uniforms.u_kappa_ext.value = config.kappaExt;
+    material.uniforms.u_shear_ext.value.set(shear.gamma1, shear.gamma2);
+    material.uniforms.u_ext_center.value.copy(mouse);
+    material.uniforms.u_exaggeration.value = config.exaggeration;
+
+    // Custom κ map (pixel scale & field of view may change at any time)
+    LensingKappaMap.updateKappaUniforms(material.uniforms, config);
 
     // Handle switching between manual upload layers and procedural layers
     if (LensingApp.manualLayers.length > 1) {
@@ -346,84 +537,49 @@ function animate(time) {
         material.uniforms.u_use_manual.value = 0.0;
     }
 
+    // Per-layer efficiency of the selected lens plane (environment terms & the caustic solver below)
+    // and the layer distances for the multi-plane recursion of the lens list
+    const layers = material.uniforms.u_layers.value;
+    const efficiencies = LensingCosmology.getLayerEfficiencies(config, layers);
+    efficiencies.forEach((efficiency, i) => {
+        material.uniforms.u_layer_efficiency.value[i] = efficiency;
+    });
+    const distances = LensingCosmology.getLayerDistances(config, layers);
+    distances.forEach((distance, i) => {
+        material.uniforms.u_layer_dist.value[i] = distance;
+    });
+
+    // Lens maps show the farthest layer
+    LensingMaps.updateMapUniforms(material.uniforms, config, efficiencies[layers - 1], distances[layers - 1]);
+
     material.uniforms.u_brightness.value = config.brightness;
     material.uniforms.u_show_core.value = config.showCore;
     material.uniforms.u_show_foreground.value = config.showForeground;
     material.uniforms.u_show_cluster.value = config.showCluster;
     material.uniforms.u_show_caustics.value = config.showCaustics;
-    material.uniforms.u_model.value = config.model;
+    material.uniforms.u_show_source.value = config.lightCurve;
+    material.uniforms.u_source_pos.value.set(config.sourceX, config.sourceY);
 
     // --- CPU VECTOR CAUSTICS RENDERING ---
-    if (config.showCaustics > 0.5 && config.model === 4) {
-        LensingApp.causticsGroup.visible = true;
-
-        // Hash parameters to only recalculate lines when a slider actually moves
-        const currentParams = `${config.mass}_${config.spread}_${config.ellipticity}_${config.angle}_${config.layers}_${LensingApp.manualLayers.length}_${window.innerWidth}_${window.innerHeight}`;
-
-        if (LensingApp.cachedCausticParams !== currentParams) {
-            // Properly clear old lines from memory
-            while (LensingApp.causticsGroup.children.length > 0) {
-                const child = LensingApp.causticsGroup.children[0];
-                LensingApp.causticsGroup.remove(child);
-                child.geometry.dispose();
-                child.material.dispose();
-            }
+    // Curves are traced for the selected lens only
+    LensingUtils.updateCaustics(LensingApp.causticsGroup, config, efficiencies, mouse);
 
-            const aspect = window.innerWidth / window.innerHeight;
-            const layers = LensingApp.manualLayers.length > 1 ? LensingApp.manualLayers.length : config.layers;
-
-            for (let i = 0; i < layers; i++) {
-                const d_lens = 1.0;
-                const d_source = 1.4 + (i * 0.4);
-                const depth = (1.0 - (d_lens / d_source)) * 2.5;
-
-                const curves = LensingUtils.generateCausticLines(config, depth, aspect);
-
-                // Hue Shifting (Gold->Red for Tangential, White->Cyan for Radial)
-                const frac = i / 7.0;
-                const colOut = new THREE.Color().lerpColors(new THREE.Color(1.0, 0.8, 0.0), new THREE.Color(0.6, 0.0, 0.0), frac);
-                const colIn = new THREE.Color().lerpColors(new THREE.Color(1.0, 1.0, 1.0), new THREE.Color(0.0, 0.7, 1.0), frac);
-
-                const createCrit = (pts, color) => {
-                    if (pts.length === 0) return;
-                    const geo = new THREE.BufferGeometry().setFromPoints(pts);
-                    const mat = new THREE.PointsMaterial({
-                        color: color, size: 2.0, sizeAttenuation: false,
-                        transparent: true, opacity: 0.8, depthTest: false, blending: THREE.AdditiveBlending
-                    });
-                    LensingApp.causticsGroup.add(new THREE.Points(geo, mat));
-                };
-
-                const createCaustic = (segs, color) => {
-                    if (segs.length === 0) return;
-                    const geo = new THREE.BufferGeometry().setFromPoints(segs);
-                    // LineSegments perfectly renders Marching Squares output without connecting stray endpoints
-                    const mat = new THREE.LineBasicMaterial({
-                        color: color, transparent: true, opacity: 1.0,
-                        depthTest: false, blending: THREE.AdditiveBlending
-                    });
-                    LensingApp.causticsGroup.add(new THREE.LineSegments(geo, mat));
-                };
-
-                // Dotted Lens-Plane Curves
-                createCrit(curves.tangCritPts, colOut);
-                createCrit(curves.radialCritPts, colIn);
-
-                // Solid Source-Plane Curves
-                createCaustic(curves.tangCausticSegs, colOut); // Inner Star
-                createCaustic(curves.radialCausticSegs, colIn); // Outer Oval
-            }
-            LensingApp.cachedCausticParams = currentParams;
-        }
+    // --- SHEAR WHISKERS (selected lens, farthest layer) ---
+    LensingWhiskers.updateWhiskers(LensingApp.whiskersGroup, config, efficiencies[layers - 1], mouse);
 
-        // Extremely fast real-time offset based on mouse position
-        LensingApp.causticsGroup.position.x = (mouse.x - 0.5) * 2.5;
-        LensingApp.causticsGroup.position.y = (mouse.y - 0.5) * 2.5;
-    } else {
-        LensingApp.causticsGroup.visible = false;
+    // --- MICROLENSING LIGHT CURVE ---
+    if (config.lightCurve > 0.5) {
+        LensingUI.drawLightCurve(LensingLightCurve.updateLightCurve(config, mouse, time));
     }
 
+    // --- RECORDING PATH (drawn paths while the panel is open) ---
+    LensingRecording.updatePathOverlay(LensingApp.recordingGroup, config);
+
     LensingApp.renderer.render(LensingApp.scene, LensingApp.camera);
+
+    // --- VIDEO FRAME ---
+    LensingRecording.captureFrame(LensingApp.renderer.domElement);
+    LensingUI.updateRecordingInfo();
 }
 
 // Export for global access
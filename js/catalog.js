@@ -0,0 +1,210 @@
+/**
+ * Mock Catalog Module
+ * Weak-lensing source catalog of the procedural deep field: every galaxy drawn by createBackgroundTexture,
+ * placed in each background layer like the fragment shader does, is lensed by the selected lens and its
+ * environment. The image position solves the lens equation of the layer, the ellipticity is the intrinsic
+ * one sheared with the reduced shear g (Seitz & Schneider 1997):
+ *   ε = (ε_s + g) / (1 + g* ε_s) for |g| ≤ 1,  ε = (1 + g ε_s*) / (ε_s* + g*) otherwise,
+ * with |ε| = (1 - q) / (1 + q) for an axis ratio q. Positions are relative to the lens centre in
+ * screen-height units (x right, y up). Strongly lensed galaxies are listed with their primary image only.
+ */
+
+// Columns of the exported catalog
+const CATALOG_COLUMNS = [
+    'id', 'galaxy', 'layer', 'efficiency', 'x', 'y', 'x_src', 'y_src', 'size',
+    'e1_src', 'e2_src', 'kappa', 'g1', 'g2', 'mu', 'e1', 'e2',
+];
+
+// Sources up to this far (texture units) outside a layer's view can be lensed into it
+const CATALOG_MARGIN = 0.25;
+
+/**
+ * Primary image of a source: Newton iteration of the layer's lens equation from the unlensed position
+ * @param {Function|null} deflect - Deflection around the lens centre (null = unlensed layer)
+ * @param {Object} target - Source position divided out of the layer mapping, { x, y } (screen-height units)
+ * @param {number} scale - Parallax zoom of the layer
+ * @returns {Object|null} { x, y, a11, a12, a22 } with the normalised Jacobian, or null without convergence
+ */
+function solveLensEquation(deflect, target, scale) {
+    let x = target.x / scale;
+    let y = target.y / scale;
+
+    for (let k = 0; k < 40; k++) {
+        const alpha = deflect ? deflect(x, y) : { x: 0, y: 0 };
+        const jac = deflect ? LensingUtils.getJacobian(deflect, x, y) : { traceAlpha: 0, gamma1: 0, gamma2: 0 };
+        const kappa = 0.5 * jac.traceAlpha;
+
+        // A = scale - ∂α, symmetric for a lensing potential
+        const a11 = scale - kappa - jac.gamma1;
+        const a22 = scale - kappa + jac.gamma1;
+        const a12 = -jac.gamma2;
+        const fx = scale * x - alpha.x - target.x;
+        const fy = scale * y - alpha.y - target.y;
+
+        if (Math.hypot(fx, fy) < 1e-7) {
+            return {
+                x, y, a11: a11 / scale, a12: a12 / scale, a22: a22 / scale,
+            };
+        }
+
+        // Damped Newton step (no jumps across the lens centre)
+        const det = a11 * a22 - a12 * a12;
+        let dx = -(a22 * fx - a12 * fy) / det;
+        let dy = -(a11 * fy - a12 * fx) / det;
+        const step = Math.hypot(dx, dy);
+        if (!Number.isFinite(step)) return null;
+        if (step > 0.05) {
+            dx *= 0.05 / step;
+            dy *= 0.05 / step;
+        }
+        x += dx;
+        y += dy;
+    }
+    return null;
+}
+
+/**
+ * Lensed ellipticity of a galaxy
+ * @param {number} e1 - Intrinsic ellipticity
+ * @param {number} e2 - Intrinsic ellipticity
+ * @param {number} g1 - Reduced shear
+ * @param {number} g2 - Reduced shear
+ * @returns {number[]} [e1, e2]
+ */
+function shearEllipticity(e1, e2, g1, g2) {
+    // Complex division (a + ib) / (c + id)
+    const divide = (a, b, c, d) => {
+        const n = c * c + d * d;
+        return [(a * c + b * d) / n, (b * c - a * d) / n];
+    };
+
+    if (g1 * g1 + g2 * g2 <= 1.0) {
+        // (ε + g) / (1 + g* ε)
+        return divide(e1 + g1, e2 + g2, 1.0 + g1 * e1 + g2 * e2, g1 * e2 - g2 * e1);
+    }
+    // (1 + g ε*) / (ε* + g*)
+    return divide(1.0 + g1 * e1 + g2 * e2, g2 * e1 - g1 * e2, e1 + g1, -e2 - g2);
+}
+
+/**
+ * Lensed catalog of the procedural background as currently displayed
+ * @param {Object} config - The configuration object (selected lens, environment, layers & cosmology)
+ * @param {THREE.Vector2} lensPos - Position of the selected lens (UV)
+ * @param {number} aspect - Screen aspect ratio
+ * @returns {Object[]} One row per visible galaxy image with the fields of CATALOG_COLUMNS
+ */
+function generateCatalog(config, lensPos, aspect) {
+    const galaxies = LensingTextures.getBackgroundCatalog();
+    const efficiencies = LensingCosmology.getLayerEfficiencies(config, config.layers);
+    const lensX = lensPos.x * aspect;
+    const lensY = lensPos.y;
+    const rows = [];
+
+    efficiencies.forEach((efficiency, layer) => {
+        // Layer mapping of the fragment shader: texture = scale * screen + offset - deflection
+        const scale = 1.0 + layer * 0.12;
+        const offsetX = layer * 0.3 + scale * lensX;
+        const offsetY = layer * 0.7 + scale * lensY;
+        const deflect = efficiency > 0 ? LensingUtils.getLensDeflection(config, efficiency * 2.5, efficiency) : null;
+
+        // Texture window of the layer (relative to the lens centre) and the tiles of the repeating texture in it
+        const minX = -scale * lensX - CATALOG_MARGIN;
+        const maxX = scale * (aspect - lensX) + CATALOG_MARGIN;
+        const minY = -scale * lensY - CATALOG_MARGIN;
+        const maxY = scale * (1.0 - lensY) + CATALOG_MARGIN;
+
+        galaxies.forEach((galaxy, index) => {
+            const u0 = galaxy.u - offsetX;
+            const v0 = galaxy.v - offsetY;
+            for (let m = Math.ceil(minX - u0); u0 + m <= maxX; m++) {
+                for (let n = Math.ceil(minY - v0); v0 + n <= maxY; n++) {
+                    const image = solveLensEquation(deflect, { x: u0 + m, y: v0 + n }, scale);
+                    const onScreen = image
+                        && image.x + lensX >= 0 && image.x + lensX <= aspect
+                        && image.y + lensY >= 0 && image.y + lensY <= 1.0;
+
+                    if (onScreen) {
+                        // Convergence & reduced shear of the normalised Jacobian A / scale
+                        const kappa = 1.0 - 0.5 * (image.a11 + image.a22);
+                        const gamma1 = 0.5 * (image.a22 - image.a11);
+                        const gamma2 = -image.a12;
+                        const g1 = gamma1 / (1.0 - kappa);
+                        const g2 = gamma2 / (1.0 - kappa);
+
+                        const modulus = (1.0 - galaxy.axisRatio) / (1.0 + galaxy.axisRatio);
+                        const e1Src = modulus * Math.cos(2.0 * galaxy.angle);
+                        const e2Src = modulus * Math.sin(2.0 * galaxy.angle);
+                        const [e1, e2] = shearEllipticity(e1Src, e2Src, g1, g2);
+
+                        rows.push({
+                            id: rows.length,
+                            galaxy: index,
+                            layer: layer + 1,
+                            efficiency,
+                            x: image.x,
+                            y: image.y,
+                            x_src: (u0 + m) / scale,
+                            y_src: (v0 + n) / scale,
+                            size: galaxy.size / scale,
+                            e1_src: e1Src,
+                            e2_src: e2Src,
+                            kappa,
+                            g1,
+                            g2,
+                            mu: 1.0 / (image.a11 * image.a22 - image.a12 * image.a12),
+                            e1,
+                            e2,
+                        });
+                    }
+                }
+            }
+        });
+    });
+    return rows;
+}
+
+/**
+ * Catalog as CSV
+ * @param {Object[]} rows - Rows from generateCatalog()
+ * @returns {string} CSV text with a header line
+ */
+function formatCatalogCSV(rows) {
+    const format = (value) => (Number.isInteger(value) ? `${value}` : value.toPrecision(6));
+    const lines = rows.map((row) => CATALOG_COLUMNS.map((column) => format(row[column])).join(','));
+    return `${[CATALOG_COLUMNS.join(','), ...lines].join('\n')}\n`;
+}
+
+/**
+ * Catalog as JSON, with the lens and the coordinate conventions
+ * @param {Object[]} rows - Rows from generateCatalog()
+ * @param {Object} config - The configuration object
+ * @param {THREE.Vector2} lensPos - Position of the selected lens (UV)
+ * @param {number} aspect - Screen aspect ratio
+ * @returns {string} JSON text
+ */
+function formatCatalogJSON(rows, config, lensPos, aspect) {
+    const meta = {
+        units: 'screen heights relative to the lens centre, x right, y up',
+        lens: {
+            model: config.model,
+            mass: config.mass,
+            spread: config.spread,
+            position: [lensPos.x * aspect, lensPos.y],
+        },
+        environment: { kappaExt: config.kappaExt, shear: config.shear, shearAngle: config.shearAngle },
+        screen: { width: aspect, height: 1.0 },
+        layers: config.layers,
+    };
+    if (config.physicalUnits > 0.5) {
+        meta.arcsecPerUnit = LensingUnits.getFieldScale(config) * LensingUnits.ARCSEC_PER_RADIAN;
+    }
+    return JSON.stringify({ meta, columns: CATALOG_COLUMNS, galaxies: rows }, null, 1);
+}
+
+// Export for use in other modules
+window.LensingCatalog = {
+    CATALOG_COLUMNS,
+    generateCatalog,
+    formatCatalogCSV,
+    formatCatalogJSON,
+};
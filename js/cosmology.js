@@ -0,0 +1,228 @@
+/**
+ * Cosmology Module
+ * Angular-diameter distances in a flat ΛCDM universe and the per-layer lensing efficiencies
+ * that drive the multi-plane loop in the fragment shader.
+ *
+ * Every lens sits in its own lens plane at planeDistance x the distance of the main lens plane
+ * (the lens redshift in cosmology mode). In a flat universe the efficiency between two planes
+ * only depends on their comoving distances: D_ij / D_j = 1 - χ_i / χ_j.
+ */
+
+// Speed of light in km/s
+const SPEED_OF_LIGHT = 299792.458;
+
+// c^2 / (4 pi G) in solar masses per Mpc
+const SIGMA_CRIT_PREFACTOR = 1.6625e18;
+
+// Simpson steps for the comoving distance integral
+const DISTANCE_STEPS = 256;
+
+// Highest redshift considered when a lens plane distance is converted back to a redshift
+const MAX_PLANE_REDSHIFT = 20.0;
+
+// Heuristic layer placement used when cosmology mode is off (normalized Euclidean distances):
+// lens at 1.0, first layer at 1.4, step 0.4
+const TOY_LENS_DISTANCE = 1.0;
+const TOY_FIRST_LAYER = 1.4;
+const TOY_LAYER_STEP = 0.4;
+
+/**
+ * Dimensionless Hubble rate E(z) = H(z) / H0 for flat ΛCDM (radiation neglected)
+ * @param {number} z - Redshift
+ * @param {number} omegaM - Matter density parameter
+ * @returns {number} E(z)
+ */
+function hubbleRate(z, omegaM) {
+    const a = 1.0 + z;
+    return Math.sqrt(omegaM * a * a * a + (1.0 - omegaM));
+}
+
+/**
+ * Line-of-sight comoving distance, integrated with Simpson's rule
+ * @param {number} z - Redshift
+ * @param {number} h0 - Hubble constant in km/s/Mpc
+ * @param {number} omegaM - Matter density parameter
+ * @returns {number} Comoving distance in Mpc
+ */
+function comovingDistance(z, h0, omegaM) {
+    if (z <= 0) return 0;
+
+    const n = DISTANCE_STEPS;
+    const dz = z / n;
+    let sum = 1.0 / hubbleRate(0, omegaM) + 1.0 / hubbleRate(z, omegaM);
+    for (let i = 1; i < n; i++) {
+        sum += (i % 2 === 1 ? 4.0 : 2.0) / hubbleRate(i * dz, omegaM);
+    }
+    return (SPEED_OF_LIGHT / h0) * (sum * dz) / 3.0;
+}
+
+/**
+ * Angular-diameter distance between two redshifts (flat universe)
+ * @param {number} z1 - Redshift of the nearer plane (0 for the observer)
+ * @param {number} z2 - Redshift of the farther plane
+ * @param {number} h0 - Hubble constant in km/s/Mpc
+ * @param {number} omegaM - Matter density parameter
+ * @returns {number} Angular-diameter distance in Mpc
+ */
+function angularDiameterDistance(z1, z2, h0, omegaM) {
+    if (z2 <= z1) return 0;
+    return (comovingDistance(z2, h0, omegaM) - comovingDistance(z1, h0, omegaM)) / (1.0 + z2);
+}
+
+/**
+ * Redshift at a given comoving distance (inverse of comovingDistance, by bisection)
+ * @param {number} distance - Comoving distance in Mpc
+ * @param {number} h0 - Hubble constant in km/s/Mpc
+ * @param {number} omegaM - Matter density parameter
+ * @returns {number} Redshift
+ */
+function redshiftAtDistance(distance, h0, omegaM) {
+    let lo = 0.0;
+    let hi = MAX_PLANE_REDSHIFT;
+    for (let k = 0; k < 40; k++) {
+        const mid = 0.5 * (lo + hi);
+        if (comovingDistance(mid, h0, omegaM) < distance) lo = mid;
+        else hi = mid;
+    }
+    return 0.5 * (lo + hi);
+}
+
+/**
+ * Distance of the main lens plane (planeDistance = 1)
+ * @param {Object} config - The configuration object
+ * @returns {number} Comoving distance in Mpc (cosmology mode) or the normalized lens distance
+ */
+function getMainLensDistance(config) {
+    if (config.cosmology < 0.5) return TOY_LENS_DISTANCE;
+    return comovingDistance(config.zLens, config.hubble, config.omegaM);
+}
+
+/**
+ * Distance of the lens plane of a lens
+ * @param {Object} config - The configuration object
+ * @param {Object} lens - Lens (or config) with planeDistance
+ * @returns {number} Distance in the units of getMainLensDistance
+ */
+function getLensPlaneDistance(config, lens) {
+    return lens.planeDistance * getMainLensDistance(config);
+}
+
+/**
+ * Redshift of the lens plane of the selected lens
+ * @param {Object} config - The configuration object (cosmology mode)
+ * @returns {number} Redshift
+ */
+function getLensRedshift(config) {
+    if (config.planeDistance === 1.0) return config.zLens;
+    return redshiftAtDistance(getLensPlaneDistance(config, config), config.hubble, config.omegaM);
+}
+
+/**
+ * Distances of the background layers, front to back
+ * @param {Object} config - The configuration object
+ * @param {number} layers - Number of active background layers
+ * @returns {number[]} Comoving distances in Mpc (cosmology mode) or normalized distances
+ */
+function getLayerDistances(config, layers) {
+    if (config.cosmology < 0.5) {
+        return Array.from({ length: layers }, (_, i) => TOY_FIRST_LAYER + i * TOY_LAYER_STEP);
+    }
+    return getLayerRedshifts(config, layers).map((z) => comovingDistance(z, config.hubble, config.omegaM));
+}
+
+/**
+ * Lensing efficiency of a lens plane for a plane behind it (0 if it is not behind)
+ * @param {number} lensDistance - Distance of the lens plane
+ * @param {number} sourceDistance - Distance of the source (or farther lens) plane
+ * @returns {number} D_ls / D_s
+ */
+function planeEfficiency(lensDistance, sourceDistance) {
+    if (sourceDistance <= 0) return 0;
+    return Math.max(1.0 - lensDistance / sourceDistance, 0.0);
+}
+
+/**
+ * Redshifts of the background layers, spread evenly over the configured source range
+ * @param {Object} config - The configuration object
+ * @param {number} layers - Number of active background layers
+ * @returns {number[]} Layer redshifts, front to back
+ */
+function getLayerRedshifts(config, layers) {
+    const redshifts = [];
+    for (let i = 0; i < layers; i++) {
+        const t = layers > 1 ? i / (layers - 1) : 0;
+        redshifts.push(config.zSourceMin + t * (config.zSourceMax - config.zSourceMin));
+    }
+    return redshifts;
+}
+
+/**
+ * Lens-source geometry of every background layer, seen from the lens plane of the selected lens
+ * In cosmology mode the efficiency is D_ls / D_s from the layer redshifts;
+ * otherwise the heuristic 1 - d_lens / d_source is used.
+ * @param {Object} config - The configuration object
+ * @param {number} layers - Number of active background layers
+ * @returns {Object[]} Per layer: { efficiency, z, dL, dS, dLS, sigmaCrit } (distances in Mpc, Σ_crit in M☉/pc²)
+ */
+function getLayerGeometry(config, layers) {
+    const geometry = [];
+
+    if (config.cosmology < 0.5) {
+        const lensDistance = getLensPlaneDistance(config, config);
+        getLayerDistances(config, layers).forEach((dSource) => {
+            geometry.push({ efficiency: planeEfficiency(lensDistance, dSource) });
+        });
+        return geometry;
+    }
+
+    const { hubble, omegaM } = config;
+    const zLens = getLensRedshift(config);
+    const dL = angularDiameterDistance(0, zLens, hubble, omegaM);
+
+    getLayerRedshifts(config, layers).forEach((z) => {
+        const dS = angularDiameterDistance(0, z, hubble, omegaM);
+        const dLS = angularDiameterDistance(zLens, z, hubble, omegaM);
+
+        // Layers in front of the lens are not lensed at all
+        const efficiency = dS > 0 ? dLS / dS : 0;
+        const sigmaCrit = dLS > 0 ? (SIGMA_CRIT_PREFACTOR * dS) / (dL * dLS) / 1e12 : Infinity;
+
+        geometry.push({
+            efficiency,
+            z,
+            dL,
+            dS,
+            dLS,
+            sigmaCrit,
+        });
+    });
+    return geometry;
+}
+
+/**
+ * Geometric lensing efficiencies of the background layers for the lens plane of the selected lens
+ * @param {Object} config - The configuration object
+ * @param {number} layers - Number of active background layers
+ * @returns {number[]} Efficiency per layer, front to back
+ */
+function getLayerEfficiencies(config, layers) {
+    const lensDistance = getLensPlaneDistance(config, config);
+    return getLayerDistances(config, layers).map((distance) => planeEfficiency(lensDistance, distance));
+}
+
+// Export for use in other modules
+window.LensingCosmology = {
+    SPEED_OF_LIGHT,
+    hubbleRate,
+    comovingDistance,
+    angularDiameterDistance,
+    redshiftAtDistance,
+    getMainLensDistance,
+    getLensPlaneDistance,
+    getLensRedshift,
+    getLayerDistances,
+    planeEfficiency,
+    getLayerRedshifts,
+    getLayerGeometry,
+    getLayerEfficiencies,
+};
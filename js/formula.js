@@ -0,0 +1,213 @@
+/**
+ * Formula Module
+ * Safe parser for user-typed density expressions such as `dc*(1-(r/rs)^a)/(1+r^b)`.
+ * The expression is tokenized and parsed by recursive descent into a tree of closures,
+ * so no code is ever passed to eval() or Function(). `r` is the radius; every other
+ * identifier that is not a constant or a function becomes a named parameter.
+ */
+
+// Longest accepted expression
+const FORMULA_MAX_LENGTH = 300;
+
+// Name of the radius variable
+const FORMULA_RADIUS = 'r';
+
+const FORMULA_CONSTANTS = {
+    pi: Math.PI,
+    e: Math.E,
+};
+
+// Supported functions and their number of arguments
+const FORMULA_FUNCTIONS = {
+    abs: [Math.abs, 1],
+    sqrt: [Math.sqrt, 1],
+    exp: [Math.exp, 1],
+    log: [Math.log, 1],
+    ln: [Math.log, 1],
+    log10: [Math.log10, 1],
+    sin: [Math.sin, 1],
+    cos: [Math.cos, 1],
+    tan: [Math.tan, 1],
+    atan: [Math.atan, 1],
+    sinh: [Math.sinh, 1],
+    cosh: [Math.cosh, 1],
+    tanh: [Math.tanh, 1],
+    pow: [(base, exponent) => base ** exponent, 2],
+    min: [Math.min, 2],
+    max: [Math.max, 2],
+};
+
+/**
+ * Own-property lookup, so that names such as 'constructor' never resolve to inherited members
+ * @param {Object} table - Lookup table
+ * @param {string} name - Identifier
+ * @returns {boolean} True if the table defines the name
+ */
+function hasFormulaEntry(table, name) {
+    return Object.prototype.hasOwnProperty.call(table, name);
+}
+
+/**
+ * Split an expression into number, identifier and operator tokens
+ * @param {string} source - The expression
+ * @returns {Object[]} Tokens { type, value, pos }
+ */
+function tokenizeFormula(source) {
+    const tokens = [];
+    const pattern = /(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_]\w*)|(\*\*|[-+*/^(),])/y;
+    let pos = 0;
+
+    while (pos < source.length) {
+        if (/\s/.test(source[pos])) {
+            pos += 1;
+        } else {
+            pattern.lastIndex = pos;
+            const match = pattern.exec(source);
+            if (!match) throw new Error(`Unexpected character '${source[pos]}' at position ${pos + 1}`);
+
+            if (match[1] !== undefined) tokens.push({ type: 'number', value: parseFloat(match[1]), pos });
+            else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2], pos });
+            else tokens.push({ type: 'op', value: match[3] === '**' ? '^' : match[3], pos });
+
+            pos = pattern.lastIndex;
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Compile a density expression
+ * @param {string} source - The expression, e.g. `dc*(1-(r/rs)^a)/(1+r^b)`
+ * @returns {Object} { evaluate(r, params), params: parameter names in order of appearance }
+ * @throws {Error} If the expression cannot be parsed
+ */
+function compileFormula(source) {
+    if (typeof source !== 'string' || !source.trim()) throw new Error('The formula is empty');
+    if (source.length > FORMULA_MAX_LENGTH) throw new Error(`The formula is longer than ${FORMULA_MAX_LENGTH} characters`);
+
+    const tokens = tokenizeFormula(source);
+    const params = [];
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const isOp = (value) => peek() && peek().type === 'op' && peek().value === value;
+    const describe = (token) => (token ? `'${token.value}' at position ${token.pos + 1}` : 'end of formula');
+    const expect = (value) => {
+        if (!isOp(value)) throw new Error(`Expected '${value}' but found ${describe(peek())}`);
+        index += 1;
+    };
+
+    // Grammar (lowest to highest precedence):
+    // expression := term (('+' | '-') term)*
+    // term       := unary (('*' | '/') unary)*
+    // unary      := ('-' | '+') unary | power
+    // power      := primary ('^' unary)?      (right associative, -2^2 = -4)
+    // primary    := number | constant | variable | function '(' args ')' | '(' expression ')'
+    let parseExpression;
+
+    const parsePrimary = () => {
+        const token = peek();
+        if (!token) throw new Error('Unexpected end of formula');
+        index += 1;
+
+        if (token.type === 'number') {
+            const { value } = token;
+            return () => value;
+        }
+
+        if (token.type === 'name') {
+            const name = token.value;
+
+            if (isOp('(')) {
+                const fn = hasFormulaEntry(FORMULA_FUNCTIONS, name) ? FORMULA_FUNCTIONS[name] : null;
+                if (!fn) throw new Error(`Unknown function '${name}'`);
+                index += 1;
+                const args = [parseExpression()];
+                while (isOp(',')) {
+                    index += 1;
+                    args.push(parseExpression());
+                }
+                expect(')');
+                if (args.length !== fn[1]) throw new Error(`${name}() takes ${fn[1]} argument(s)`);
+                const [impl] = fn;
+                return (r, p) => impl(...args.map((arg) => arg(r, p)));
+            }
+
+            if (name === FORMULA_RADIUS) return (r) => r;
+            if (hasFormulaEntry(FORMULA_CONSTANTS, name)) {
+                const value = FORMULA_CONSTANTS[name];
+                return () => value;
+            }
+            if (hasFormulaEntry(FORMULA_FUNCTIONS, name)) throw new Error(`Function '${name}' needs parentheses`);
+            if (name in Object.prototype) throw new Error(`'${name}' cannot be used as a parameter name`);
+
+            if (!params.includes(name)) params.push(name);
+            return (r, p) => p[name];
+        }
+
+        if (token.value === '(') {
+            const inner = parseExpression();
+            expect(')');
+            return inner;
+        }
+        throw new Error(`Unexpected ${describe(token)}`);
+    };
+
+    let parseUnary;
+
+    const parsePower = () => {
+        const base = parsePrimary();
+        if (!isOp('^')) return base;
+        index += 1;
+        const exponent = parseUnary();
+        return (r, p) => base(r, p) ** exponent(r, p);
+    };
+
+    parseUnary = () => {
+        if (isOp('-')) {
+            index += 1;
+            const operand = parseUnary();
+            return (r, p) => -operand(r, p);
+        }
+        if (isOp('+')) {
+            index += 1;
+            return parseUnary();
+        }
+        return parsePower();
+    };
+
+    const parseTerm = () => {
+        let left = parseUnary();
+        while (isOp('*') || isOp('/')) {
+            const op = peek().value;
+            index += 1;
+            const lhs = left;
+            const rhs = parseUnary();
+            left = op === '*' ? (r, p) => lhs(r, p) * rhs(r, p) : (r, p) => lhs(r, p) / rhs(r, p);
+        }
+        return left;
+    };
+
+    parseExpression = () => {
+        let left = parseTerm();
+        while (isOp('+') || isOp('-')) {
+            const op = peek().value;
+            index += 1;
+            const lhs = left;
+            const rhs = parseTerm();
+            left = op === '+' ? (r, p) => lhs(r, p) + rhs(r, p) : (r, p) => lhs(r, p) - rhs(r, p);
+        }
+        return left;
+    };
+
+    const evaluate = parseExpression();
+    if (index < tokens.length) throw new Error(`Unexpected ${describe(peek())}`);
+
+    return { evaluate, params };
+}
+
+// Export for use in other modules
+window.LensingFormula = {
+    FORMULA_RADIUS,
+    compileFormula,
+};
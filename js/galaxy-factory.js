@@ -12,6 +12,7 @@
  * @param {number} boundsSize - The size of the canvas bounds
  * @param {Object} typeConfig - Configuration object for the galaxy type
  * @param {Function} rng - Random number generator function
+ * @returns {Object} The drawn galaxy { x, y, size, aspect, angle } in canvas pixels & radians
  */
 function drawGalaxyClassic(ctx, boundsSize, typeConfig, rng = Math.random) {
     const r = rng;
@@ -88,6 +89,14 @@ function drawGalaxyClassic(ctx, boundsSize, typeConfig, rng = Math.random) {
         ctx.stroke();
     }
     ctx.restore();
+
+    return {
+        x,
+        y,
+        size,
+        aspect,
+        angle,
+    };
 }
 
 /**
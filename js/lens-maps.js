@@ -0,0 +1,141 @@
+/**
+ * Lens Map Module
+ * False-colour maps of the convergence κ, the shear |γ|, det A and the magnification μ = 1 / det A.
+ * The fragment shader evaluates the Jacobian of the traced deflection per pixel (all lenses, their
+ * planes and the environment) for the farthest layer, maps the value to [0, 1] with the limits below
+ * and looks the colour up in a colormap texture. The on-screen colourbar samples the same colormaps.
+ */
+
+// Samples per colormap in the lookup texture
+const COLORMAP_SIZE = 256;
+
+// Colormaps as evenly spaced colour stops (matplotlib viridis & magma, Moreland's cool-warm)
+const COLORMAPS = [
+    {
+        id: 'viridis',
+        name: 'Viridis',
+        stops: ['#440154', '#482475', '#414487', '#355f8d', '#2a788e', '#21918c',
+            '#22a884', '#44bf70', '#7ad151', '#bddf26', '#fde725'],
+    },
+    {
+        id: 'magma',
+        name: 'Magma',
+        stops: ['#000004', '#140e36', '#3b0f70', '#641a80', '#8c2981', '#b73779',
+            '#de4968', '#f7705c', '#fe9f6d', '#fecf92', '#fcfdbf'],
+    },
+    {
+        id: 'coolwarm',
+        name: 'Cool-Warm (diverging)',
+        stops: ['#3b4cc0', '#5977e3', '#7b9ff9', '#9ebeff', '#c0d4f5', '#dddcdc',
+            '#f2cbb7', '#f7ac8e', '#ee8468', '#d65244', '#b40426'],
+    },
+    {
+        id: 'gray',
+        name: 'Grayscale',
+        stops: ['#000000', '#ffffff'],
+    },
+];
+
+// Displayed quantities, in the order of u_map_mode. Signed quantities get limits symmetric about 0.
+const MAP_QUANTITIES = [
+    { id: 'none', label: '' },
+    { id: 'kappa', label: 'Convergence κ', signed: true },
+    { id: 'shear', label: 'Shear |γ|', signed: false },
+    { id: 'detA', label: 'det A', signed: true },
+    { id: 'magnification', label: 'log₁₀ |μ|', signed: true },
+];
+
+/**
+ * Index of a colormap (the first one for unknown ids)
+ * @param {string} id - Colormap id
+ * @returns {number} Row of the colormap in the lookup texture
+ */
+function getColormapIndex(id) {
+    return Math.max(COLORMAPS.findIndex((map) => map.id === id), 0);
+}
+
+/**
+ * Colour of a colormap at a position
+ * @param {number} index - Colormap index
+ * @param {number} t - Position along the colormap (clamped to 0..1)
+ * @returns {number[]} [r, g, b] in 0..255
+ */
+function sampleColormap(index, t) {
+    const { stops } = COLORMAPS[index];
+    const x = Math.min(Math.max(t, 0.0), 1.0) * (stops.length - 1);
+    const i = Math.min(Math.floor(x), stops.length - 2);
+    const f = x - i;
+    const rgb = (hex) => [1, 3, 5].map((k) => parseInt(hex.slice(k, k + 2), 16));
+    const a = rgb(stops[i]);
+    const b = rgb(stops[i + 1]);
+    return a.map((c, k) => Math.round(c + (b[k] - c) * f));
+}
+
+/**
+ * Lookup texture with one row per colormap
+ * @returns {THREE.DataTexture} RGBA texture (COLORMAP_SIZE x number of colormaps)
+ */
+function createColormapTexture() {
+    const data = new Uint8Array(COLORMAP_SIZE * COLORMAPS.length * 4);
+    COLORMAPS.forEach((map, row) => {
+        for (let i = 0; i < COLORMAP_SIZE; i++) {
+            const [r, g, b] = sampleColormap(row, i / (COLORMAP_SIZE - 1));
+            data.set([r, g, b, 255], (row * COLORMAP_SIZE + i) * 4);
+        }
+    });
+
+    const texture = new THREE.DataTexture(data, COLORMAP_SIZE, COLORMAPS.length, THREE.RGBAFormat);
+    texture.minFilter = THREE.LinearFilter;
+    texture.magFilter = THREE.LinearFilter;
+    texture.needsUpdate = true;
+    return texture;
+}
+
+/**
+ * Index of a displayed quantity (0 = no map)
+ * @param {string} id - Quantity id from MAP_QUANTITIES
+ * @returns {number} The value of u_map_mode
+ */
+function getMapModeIndex(id) {
+    return Math.max(MAP_QUANTITIES.findIndex((quantity) => quantity.id === id), 0);
+}
+
+/**
+ * Values at the ends of the colormap
+ * @param {string} id - Quantity id from MAP_QUANTITIES
+ * @param {number} range - Colour range from the slider
+ * @returns {Object} { min, max }
+ */
+function getMapLimits(id, range) {
+    const quantity = MAP_QUANTITIES[getMapModeIndex(id)];
+    return { min: quantity.signed ? -range : 0.0, max: range };
+}
+
+/**
+ * Upload the lens map uniforms
+ * @param {Object} uniforms - Material uniforms
+ * @param {Object} config - The configuration object
+ * @param {number} efficiency - Lensing efficiency of the farthest layer
+ * @param {number} distance - Distance of the farthest layer (multi-plane units)
+ */
+function updateMapUniforms(uniforms, config, efficiency, distance) {
+    const limits = getMapLimits(config.mapMode, config.mapRange);
+    uniforms.u_map_mode.value = getMapModeIndex(config.mapMode);
+    uniforms.u_map_limits.value.set(limits.min, limits.max);
+    uniforms.u_map_opacity.value = config.mapOpacity;
+    uniforms.u_map_efficiency.value = efficiency;
+    uniforms.u_map_dist.value = distance;
+    uniforms.u_colormap_row.value = (getColormapIndex(config.mapColormap) + 0.5) / COLORMAPS.length;
+}
+
+// Export for use in other modules
+window.LensingMaps = {
+    COLORMAPS,
+    MAP_QUANTITIES,
+    getColormapIndex,
+    sampleColormap,
+    createColormapTexture,
+    getMapModeIndex,
+    getMapLimits,
+    updateMapUniforms,
+};
@@ -0,0 +1,265 @@
+/**
+ * Lens List Module
+ * Keeps track of the independent lenses whose deflections are superposed in the fragment shader.
+ * The selected lens is the one driven by the sliders (LensingApp.config) and the mouse.
+ */
+
+// Maximum number of lenses (must match MAX_LENSES in the fragment shader)
+const MAX_LENSES = 8;
+
+// Distance (in screen pixels) within which a click grabs a lens
+const PICK_RADIUS = 30;
+
+// Config keys that belong to a single lens. Everything else in the config is scene-wide.
+const LENS_KEYS = [
+    'model',
+    'mass',
+    'spread',
+    'wallDensity',
+    'wallWidth',
+    'hswDeltac',
+    'hswRs',
+    'hswAlpha',
+    'hswBeta',
+    'ellipticity',
+    'angle',
+    'profile',
+    'profileParams',
+    'profileFormula',
+    'planeDistance',
+    'microMasses',
+];
+
+const MODEL_NAMES = [
+    'Point Mass',
+    'NFW Halo',
+    'Void Toy Model',
+    'HSW Void',
+    'Elliptical Halo',
+    'Radial Profile',
+    'Custom κ Map',
+    'Microlens',
+];
+
+/**
+ * Copy a lens parameter, so that object values (profile parameters, microlens companions)
+ * are never shared between lenses
+ * @param {*} value - Parameter value
+ * @returns {*} The copy
+ */
+function copyLensValue(value) {
+    if (Array.isArray(value)) return value.map(copyLensValue);
+    return value !== null && typeof value === 'object' ? { ...value } : value;
+}
+
+/**
+ * Create a lens from the per-lens keys of a configuration object
+ * @param {Object} config - The configuration to copy the lens parameters from
+ * @param {THREE.Vector2} position - Lens centre in normalized screen coordinates (0..1)
+ * @returns {Object} The new lens
+ */
+function createLens(config, position) {
+    const lens = { position: position.clone() };
+    LENS_KEYS.forEach((key) => {
+        lens[key] = copyLensValue(config[key]);
+    });
+    return lens;
+}
+
+/**
+ * Write the active config and the smoothed mouse position back into the selected lens
+ */
+function storeSelectedLens() {
+    const lens = LensingApp.lenses[LensingApp.selectedLens];
+    if (!lens) return;
+    LENS_KEYS.forEach((key) => {
+        lens[key] = copyLensValue(LensingApp.config[key]);
+    });
+    lens.position.copy(LensingApp.mouse);
+}
+
+/**
+ * Make a lens the selected one: its parameters are loaded into the config
+ * and its position becomes the mouse-follow target.
+ * @param {number} index - Index into LensingApp.lenses
+ */
+function activateLens(index) {
+    storeSelectedLens();
+    LensingApp.selectedLens = index;
+
+    const lens = LensingApp.lenses[index];
+    LENS_KEYS.forEach((key) => {
+        LensingApp.config[key] = copyLensValue(lens[key]);
+    });
+    LensingApp.mouse.copy(lens.position);
+    LensingApp.targetMouse.copy(lens.position);
+}
+
+/**
+ * Copy one row of the profile lookup texture into another
+ * @param {number} from - Source row
+ * @param {number} to - Destination row
+ */
+function copyProfileRow(from, to) {
+    const texture = LensingApp.profileTexture;
+    if (!texture || from === to) return;
+    const rowLength = LensingProfiles.PROFILE_TEXTURE_SIZE * 4;
+    texture.image.data.copyWithin(to * rowLength, from * rowLength, (from + 1) * rowLength);
+    texture.needsUpdate = true;
+}
+
+/**
+ * Add a new lens at the centre of the screen, cloned from the selected lens, and select it
+ * @returns {boolean} False if the lens limit has been reached
+ */
+function addLens() {
+    if (LensingApp.lenses.length >= MAX_LENSES) return false;
+
+    storeSelectedLens();
+    const index = LensingApp.lenses.length;
+    LensingApp.lenses.push(createLens(LensingApp.config, new THREE.Vector2(0.5, 0.5)));
+    // The copy starts from the last table of the selected lens, and gets the one still being integrated
+    copyProfileRow(LensingApp.selectedLens, index);
+    LensingProfiles.duplicateLookupRow(LensingApp.selectedLens, index);
+    activateLens(index);
+    return true;
+}
+
+/**
+ * Delete a lens. The last remaining lens cannot be removed.
+ * @param {number} index - Index of the lens to delete
+ */
+function removeLens(index) {
+    const { lenses } = LensingApp;
+    if (lenses.length <= 1) return;
+
+    storeSelectedLens();
+    lenses.splice(index, 1);
+
+    // Shift the lookup rows of the following lenses down by one, with the tables still being integrated
+    for (let i = index; i < lenses.length; i++) {
+        copyProfileRow(i + 1, i);
+    }
+    LensingProfiles.removeLookupRow(index);
+
+    let next = LensingApp.selectedLens;
+    if (next > index || next >= lenses.length) next -= 1;
+
+    // Force-load the new selection without writing the deleted lens back
+    LensingApp.selectedLens = -1;
+    activateLens(Math.max(next, 0));
+}
+
+/**
+ * Replace the lens list with a single lens built from the current config
+ */
+function resetLenses() {
+    LensingApp.lenses = [createLens(LensingApp.config, LensingApp.mouse)];
+    LensingApp.selectedLens = 0;
+}
+
+/**
+ * Find the lens closest to a screen position
+ * While unlocked, the selected lens sits under the cursor, so only the other lenses can be grabbed.
+ * @param {number} clientX - Pointer x in CSS pixels
+ * @param {number} clientY - Pointer y in CSS pixels
+ * @returns {number} Index of the lens, or -1 if none is within reach
+ */
+function pickLens(clientX, clientY) {
+    let best = -1;
+    let bestDist = PICK_RADIUS;
+
+    LensingApp.lenses.forEach((lens, i) => {
+        if (i === LensingApp.selectedLens && !LensingApp.isLocked) return;
+        const pos = i === LensingApp.selectedLens ? LensingApp.mouse : lens.position;
+        const dx = pos.x * window.innerWidth - clientX;
+        const dy = (1.0 - pos.y) * window.innerHeight - clientY;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        if (dist < bestDist) {
+            best = i;
+            bestDist = dist;
+        }
+    });
+    return best;
+}
+
+/**
+ * Upload the lens list to the shader uniforms
+ * Lenses are uploaded front to back, as the multi-plane recursion in the shader expects;
+ * u_lens_row keeps the index of each lens' row in the profile lookup texture.
+ * @param {Object} material - The Three.js material with uniforms
+ */
+function updateLensUniforms(material) {
+    storeSelectedLens();
+
+    const { uniforms } = material;
+    const { lenses } = LensingApp;
+    uniforms.u_lens_count.value = lenses.length;
+
+    const mainDistance = LensingCosmology.getMainLensDistance(LensingApp.config);
+    // Microlens separations are in Einstein radii for the farthest layer
+    const farthestLayer = LensingCosmology.getLayerDistances(LensingApp.config, uniforms.u_layers.value).pop();
+    const micro = LensingMicrolensing.MAX_MICRO_MASSES;
+    const order = lenses.map((lens, i) => i).sort((a, b) => lenses[a].planeDistance - lenses[b].planeDistance);
+
+    order.forEach((index, i) => {
+        const lens = lenses[index];
+        uniforms.u_lens_pos.value[i].copy(lens.position);
+        uniforms.u_lens_model.value[i] = lens.model;
+        uniforms.u_lens_mass.value[i] = lens.mass;
+        uniforms.u_lens_spread.value[i] = lens.spread;
+        uniforms.u_lens_params.value[i].set(lens.wallDensity, lens.wallWidth, lens.ellipticity, lens.angle);
+        uniforms.u_lens_dist.value[i] = lens.planeDistance * mainDistance;
+        uniforms.u_lens_row.value[i] = index;
+
+        const efficiency = LensingCosmology.planeEfficiency(lens.planeDistance * mainDistance, farthestLayer);
+        const points = lens.model === 7 ? LensingMicrolensing.getMicroComponents(lens, efficiency) : [];
+        for (let j = 0; j < micro; j++) {
+            const point = points[j] || { x: 0, y: 0, mass: 0 };
+            uniforms.u_lens_micro.value[i * micro + j].set(point.x, point.y, point.mass, 0);
+        }
+    });
+}
+
+/**
+ * Create the (empty) uniform arrays for the lens list
+ * @returns {Object} Uniform definitions to merge into the material
+ */
+function createLensUniforms() {
+    const uniforms = {
+        u_lens_count: { value: 1 },
+        u_lens_pos: { value: [] },
+        u_lens_model: { value: new Array(MAX_LENSES).fill(0) },
+        u_lens_mass: { value: new Array(MAX_LENSES).fill(0) },
+        u_lens_spread: { value: new Array(MAX_LENSES).fill(0) },
+        u_lens_params: { value: [] },
+        u_lens_dist: { value: new Array(MAX_LENSES).fill(1) },
+        u_lens_row: { value: new Array(MAX_LENSES).fill(0) },
+    };
+    for (let i = 0; i < MAX_LENSES; i++) {
+        uniforms.u_lens_pos.value.push(new THREE.Vector2(0.5, 0.5));
+        uniforms.u_lens_params.value.push(new THREE.Vector4());
+    }
+    // Point masses of microlenses (x, y = offset from the lens centre, z = mass)
+    uniforms.u_lens_micro = { value: [] };
+    for (let i = 0; i < MAX_LENSES * LensingMicrolensing.MAX_MICRO_MASSES; i++) {
+        uniforms.u_lens_micro.value.push(new THREE.Vector4());
+    }
+    return uniforms;
+}
+
+// Export for use in other modules
+window.LensingLenses = {
+    MAX_LENSES,
+    LENS_KEYS,
+    MODEL_NAMES,
+    createLens,
+    storeSelectedLens,
+    activateLens,
+    addLens,
+    removeLens,
+    resetLenses,
+    pickLens,
+    updateLensUniforms,
+    createLensUniforms,
+};
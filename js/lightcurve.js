@@ -0,0 +1,345 @@
+/**
+ * Light Curve Module
+ * Magnification of a background star while the selected lens passes in front of it.
+ * The lens equation is inverted by triangle ray shooting: a grid of image-plane triangles around the
+ * lens is mapped to the source plane once. Every triangle covering a source position β holds an image,
+ * located by linear interpolation, and the point-source magnification is the sum of 1 / |det A| over
+ * the images (det A from the numerical Jacobian of the deflection, as for the caustics).
+ * This gives the Paczyński curve of a point mass and the caustic-crossing spikes of a binary lens.
+ *
+ * Offsets are in units of the Einstein radius θ_E of the selected lens, times in Einstein crossing
+ * times t_E. Only the selected lens and its environment take part; the star sits in the farthest layer.
+ */
+
+// Samples of the straight track and length of the recorded mouse path
+const LIGHT_CURVE_SAMPLES = 400;
+
+// The straight track runs from t = -T to T (units of t_E)
+const LIGHT_CURVE_HALF_TIME = 2.5;
+
+// Largest source offset |u| that is solved for; farther sources count as unmagnified
+const LIGHT_CURVE_RANGE = 3.0;
+
+// Image-plane grid (cells per side) and source-plane lookup bins (per side)
+const RAY_GRID = 300;
+const SOURCE_BINS = 64;
+
+// Magnification of a single image is capped on the critical curves
+const MAX_IMAGE_MAGNIFICATION = 1e4;
+
+// Duration of a transit animation in milliseconds
+const TRANSIT_DURATION = 8000;
+
+let cachedSolver = null;
+let cachedSolverKey = '';
+let pathHistory = [];
+let transitRequested = false;
+let transitStart = null;
+
+/**
+ * Lensing efficiency of the layer holding the star (the farthest layer)
+ * @param {Object} config - The configuration object
+ * @returns {number} D_ls / D_s of the selected lens plane
+ */
+function getSourceEfficiency(config) {
+    const layers = LensingApp.material.uniforms.u_layers.value;
+    return LensingCosmology.getLayerEfficiencies(config, layers)[layers - 1];
+}
+
+/**
+ * Map image-plane triangles to the source plane and bin them for the magnification lookup
+ * @param {Function} deflect - Deflection (x, y) => { x, y } around the lens centre
+ * @param {number} imageHalfSize - Half side of the image-plane grid (screen-height units)
+ * @param {number} sourceHalfSize - Half side of the source-plane region that can be queried
+ * @returns {Function} (bx, by) => point-source magnification
+ */
+function buildMagnificationSolver(deflect, imageHalfSize, sourceHalfSize) {
+    const n = RAY_GRID;
+    const step = (2.0 * imageHalfSize) / n;
+    const sx = new Float64Array((n + 1) * (n + 1));
+    const sy = new Float64Array((n + 1) * (n + 1));
+
+    // The grid is shifted by a fraction of a cell: images on a symmetry axis of the lens would otherwise
+    // fall onto the edges shared by two triangles and be counted twice
+    const origin = -imageHalfSize + 0.318 * step;
+
+    // Lens equation β = θ - α(θ) at the grid vertices
+    for (let i = 0; i <= n; i++) {
+        for (let j = 0; j <= n; j++) {
+            const x = origin + i * step;
+            const y = origin + j * step;
+            const a = deflect(x, y);
+            sx[i * (n + 1) + j] = x - a.x;
+            sy[i * (n + 1) + j] = y - a.y;
+        }
+    }
+
+    // Two triangles per cell, stored as vertex index triples
+    const triangles = new Int32Array(2 * n * n * 3);
+    const bins = Array.from({ length: SOURCE_BINS * SOURCE_BINS }, () => []);
+    const binSize = (2.0 * sourceHalfSize) / SOURCE_BINS;
+    const toBin = (v) => Math.floor((v + sourceHalfSize) / binSize);
+    let count = 0;
+
+    const addTriangle = (a, b, c) => {
+        const minX = Math.min(sx[a], sx[b], sx[c]);
+        const maxX = Math.max(sx[a], sx[b], sx[c]);
+        const minY = Math.min(sy[a], sy[b], sy[c]);
+        const maxY = Math.max(sy[a], sy[b], sy[c]);
+        if (maxX < -sourceHalfSize || minX > sourceHalfSize || maxY < -sourceHalfSize || minY > sourceHalfSize) return;
+
+        triangles[count * 3] = a;
+        triangles[count * 3 + 1] = b;
+        triangles[count * 3 + 2] = c;
+        const i0 = Math.max(toBin(minX), 0);
+        const i1 = Math.min(toBin(maxX), SOURCE_BINS - 1);
+        const j0 = Math.max(toBin(minY), 0);
+        const j1 = Math.min(toBin(maxY), SOURCE_BINS - 1);
+        for (let i = i0; i <= i1; i++) {
+            for (let j = j0; j <= j1; j++) bins[i * SOURCE_BINS + j].push(count);
+        }
+        count += 1;
+    };
+
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+            const k00 = i * (n + 1) + j;
+            const k10 = k00 + n + 1;
+            addTriangle(k00, k10, k10 + 1);
+            addTriangle(k00, k10 + 1, k00 + 1);
+        }
+    }
+
+    // Image-plane position of a grid vertex
+    const vertexX = (k) => origin + Math.floor(k / (n + 1)) * step;
+    const vertexY = (k) => origin + (k % (n + 1)) * step;
+
+    return (bx, by) => {
+        if (Math.abs(bx) >= sourceHalfSize || Math.abs(by) >= sourceHalfSize) return 1.0;
+
+        let magnification = 0.0;
+        bins[toBin(bx) * SOURCE_BINS + toBin(by)].forEach((t) => {
+            const a = triangles[t * 3];
+            const b = triangles[t * 3 + 1];
+            const c = triangles[t * 3 + 2];
+
+            // Barycentric test in the source plane
+            const e1x = sx[b] - sx[a];
+            const e1y = sy[b] - sy[a];
+            const e2x = sx[c] - sx[a];
+            const e2y = sy[c] - sy[a];
+            const area = e1x * e2y - e1y * e2x;
+            if (Math.abs(area) < 1e-14) return;
+
+            const px = bx - sx[a];
+            const py = by - sy[a];
+            const u = (px * e2y - py * e2x) / area;
+            const v = (e1x * py - e1y * px) / area;
+            if (u < 0 || v < 0 || u + v > 1) return;
+
+            // Image at the same barycentric coordinates in the image plane
+            const x = vertexX(a) + u * (vertexX(b) - vertexX(a)) + v * (vertexX(c) - vertexX(a));
+            const y = vertexY(a) + u * (vertexY(b) - vertexY(a)) + v * (vertexY(c) - vertexY(a));
+            const { detA } = LensingUtils.getJacobian(deflect, x, y);
+            magnification += Math.min(1.0 / Math.abs(detA), MAX_IMAGE_MAGNIFICATION);
+        });
+        return magnification;
+    };
+}
+
+/**
+ * Einstein radius that sets the units of the light curve
+ * Lenses without an Einstein ring (subcritical halos) use the radius of a point mass of the same mass.
+ * @param {Object} config - The configuration object
+ * @param {number} efficiency - Lensing efficiency of the star's layer
+ * @returns {number} θ_E in screen-height units
+ */
+function getLightCurveScale(config, efficiency) {
+    const pointRadius = LensingMicrolensing.microEinsteinRadius(config.mass, efficiency);
+    if (config.model === 7) return pointRadius;
+    return LensingUnits.einsteinRadius(config, efficiency) || pointRadius;
+}
+
+/**
+ * Magnification solver of the selected lens, rebuilt only when the lens changes
+ * @param {Object} config - The configuration object
+ * @param {number} efficiency - Lensing efficiency of the star's layer
+ * @returns {Object|null} { thetaE, magnification(ux, uy) } with offsets in θ_E, or null if the model
+ *   has no CPU deflection or the star is in front of the lens
+ */
+function getLightCurveSolver(config, efficiency) {
+    if (!(efficiency > 0)) return null;
+
+    const key = `${LensingUtils.getDeflectionKey(config)}_${efficiency}`;
+    if (key === cachedSolverKey) return cachedSolver;
+
+    const deflect = LensingUtils.getLensDeflection(config, efficiency * 2.5, efficiency);
+    cachedSolverKey = key;
+    cachedSolver = null;
+    if (!deflect) return null;
+
+    // The image grid has to hold every image of the sources within the range (plus the companions)
+    const thetaE = getLightCurveScale(config, efficiency);
+    let extent = 0.0;
+    if (config.model === 7) {
+        const points = LensingMicrolensing.getMicroComponents(config, efficiency);
+        extent = Math.max(...points.map((p) => Math.hypot(p.x, p.y)));
+    }
+    const imageHalfSize = (LIGHT_CURVE_RANGE + 2.0) * thetaE + extent;
+    const solve = buildMagnificationSolver(deflect, imageHalfSize, LIGHT_CURVE_RANGE * thetaE);
+
+    cachedSolver = {
+        thetaE,
+        magnification: (ux, uy) => solve(ux * thetaE, uy * thetaE),
+    };
+    return cachedSolver;
+}
+
+/**
+ * Source offset along the straight track at time t
+ * The lens moves along the track angle and passes the star at the impact parameter.
+ * @param {Object} config - The configuration object
+ * @param {number} t - Time in units of t_E (0 = closest approach)
+ * @returns {Object} Offset of the star from the lens { x, y } in θ_E
+ */
+function trackOffset(config, t) {
+    const phi = (config.trackAngle * Math.PI) / 180.0;
+    const c = Math.cos(phi);
+    const s = Math.sin(phi);
+    return {
+        x: -t * c - config.impactParameter * s,
+        y: -t * s + config.impactParameter * c,
+    };
+}
+
+/**
+ * Light curve A(t) along the straight track
+ * @param {Object} config - The configuration object
+ * @param {Object} solver - Solver from getLightCurveSolver()
+ * @returns {Object[]} Samples { t, a }
+ */
+function computeTrackCurve(config, solver) {
+    const curve = [];
+    for (let i = 0; i < LIGHT_CURVE_SAMPLES; i++) {
+        const t = -LIGHT_CURVE_HALF_TIME + (2.0 * LIGHT_CURVE_HALF_TIME * i) / (LIGHT_CURVE_SAMPLES - 1);
+        const u = trackOffset(config, t);
+        curve.push({ t, a: solver.magnification(u.x, u.y) });
+    }
+    return curve;
+}
+
+/**
+ * Offset of the star from the lens in θ_E
+ * @param {Object} config - Configuration holding sourceX & sourceY (UV)
+ * @param {THREE.Vector2} lensUv - Lens position in UV space
+ * @param {number} thetaE - Einstein radius in screen-height units
+ * @returns {Object} { x, y }
+ */
+function sourceOffset(config, lensUv, thetaE) {
+    const aspect = window.innerWidth / window.innerHeight;
+    return {
+        x: ((config.sourceX - lensUv.x) * aspect) / thetaE,
+        y: (config.sourceY - lensUv.y) / thetaE,
+    };
+}
+
+/**
+ * Start moving the lens along the straight track (from the next frame on)
+ */
+function startTransit() {
+    transitRequested = true;
+}
+
+/**
+ * Move the lens along the straight track while a transit is running
+ * @param {Object} config - The configuration object
+ * @param {THREE.Vector2} mouse - Smoothed lens position (UV), overwritten during the transit
+ * @param {THREE.Vector2} targetMouse - Target lens position (UV), overwritten during the transit
+ * @param {number} time - Current animation time (ms)
+ */
+function updateTransit(config, mouse, targetMouse, time) {
+    if (transitRequested) {
+        transitStart = time;
+        transitRequested = false;
+    }
+    if (transitStart === null) return;
+
+    const progress = (time - transitStart) / TRANSIT_DURATION;
+    if (progress > 1 || config.lightCurve < 0.5) {
+        transitStart = null;
+        return;
+    }
+
+    // Lens position = star position - offset (aspect-corrected back to UV)
+    const efficiency = getSourceEfficiency(config);
+    const thetaE = getLightCurveScale(config, efficiency > 0 ? efficiency : 1.0);
+    const u = trackOffset(config, LIGHT_CURVE_HALF_TIME * (2.0 * progress - 1.0));
+    const aspect = window.innerWidth / window.innerHeight;
+    mouse.set(config.sourceX - (u.x * thetaE) / aspect, config.sourceY - u.y * thetaE);
+    targetMouse.copy(mouse);
+}
+
+/**
+ * Forget the recorded mouse path
+ */
+function clearPathHistory() {
+    pathHistory = [];
+}
+
+/**
+ * Evaluate the light curve for the current frame
+ * @param {Object} config - The configuration object
+ * @param {THREE.Vector2} lensUv - Lens position in UV space
+ * @param {number} time - Current animation time (ms)
+ * @returns {Object} { available, path, curve: [{ t, a }], current: { t, a, u } }
+ */
+function updateLightCurve(config, lensUv, time) {
+    const path = config.lightCurvePath;
+    const solver = getLightCurveSolver(config, getSourceEfficiency(config));
+    if (!solver) {
+        return {
+            available: false,
+            path,
+            curve: [],
+            current: null,
+        };
+    }
+
+    const u = sourceOffset(config, lensUv, solver.thetaE);
+    const a = solver.magnification(u.x, u.y);
+
+    if (path === 'line') {
+        // Time of the current position projected onto the track
+        const phi = (config.trackAngle * Math.PI) / 180.0;
+        const t = -(u.x * Math.cos(phi) + u.y * Math.sin(phi));
+        return {
+            available: true,
+            path,
+            curve: computeTrackCurve(config, solver),
+            current: { t, a, u: Math.hypot(u.x, u.y) },
+        };
+    }
+
+    // Mouse path: time in seconds, oldest sample first
+    const t = time * 0.001;
+    pathHistory.push({ t, a });
+    if (pathHistory.length > LIGHT_CURVE_SAMPLES) pathHistory.shift();
+    return {
+        available: true,
+        path,
+        curve: pathHistory,
+        current: { t, a, u: Math.hypot(u.x, u.y) },
+    };
+}
+
+// Export for use in other modules
+window.LensingLightCurve = {
+    LIGHT_CURVE_HALF_TIME,
+    buildMagnificationSolver,
+    getLightCurveSolver,
+    trackOffset,
+    startTransit,
+    updateTransit,
+    clearPathHistory,
+    updateLightCurve,
+};
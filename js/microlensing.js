@@ -0,0 +1,109 @@
+/**
+ * Microlensing Module
+ * Lenses made of several point masses (binary stars, star + planet, multiple systems).
+ * A microlens has a primary and up to three companions. Each companion is placed by its mass ratio q
+ * (relative to the primary), its separation s in Einstein radii of the total mass and a position angle.
+ * The lens centre is the centre of mass, and the deflection is the sum of the softened point-mass
+ * deflections of model 0 in the fragment shader.
+ */
+
+// Point masses per microlens (must match MAX_MICRO in the fragment shader)
+const MAX_MICRO_MASSES = 4;
+
+// Softening radius of the point-mass deflection (must match model 0 in lens_deflection)
+const POINT_SOFTENING = 0.005;
+
+// Position angles (degrees) of newly added companions, so that they do not overlap
+const COMPANION_ANGLES = [0, 120, 240];
+
+/**
+ * Default parameters of a companion
+ * @param {number} index - Companion index (0 = first companion)
+ * @returns {Object} { q, s, angle }
+ */
+function createCompanion(index) {
+    return { q: 1.0, s: 1.0, angle: COMPANION_ANGLES[index % COMPANION_ANGLES.length] };
+}
+
+/**
+ * Einstein radius of a (softened) point mass, which sets the unit of the separations
+ * Solves θ (θ + softening) = 0.03 x mass x depth, the radius where the deflection equals the radius.
+ * The depth includes the exaggeration factor, so the separations scale with the displayed ring.
+ * @param {number} mass - Mass slider value
+ * @param {number} efficiency - Lensing efficiency D_ls / D_s (1 is used for unlensed layouts)
+ * @returns {number} Einstein radius in screen-height units
+ */
+function microEinsteinRadius(mass, efficiency) {
+    const depth = (efficiency > 0 ? efficiency : 1.0) * 2.5 * LensingApp.config.exaggeration;
+    const c = 0.03 * mass * depth;
+    return 0.5 * (Math.sqrt(POINT_SOFTENING * POINT_SOFTENING + 4.0 * c) - POINT_SOFTENING);
+}
+
+/**
+ * Positions and masses of the point masses of a microlens
+ * @param {Object} lens - Lens (or config) with mass & microMasses
+ * @param {number} efficiency - Efficiency of the layer whose Einstein radius is the separation unit
+ * @returns {Object[]} Point masses { x, y, mass } relative to the centre of mass (screen-height units)
+ */
+function getMicroComponents(lens, efficiency) {
+    const thetaE = microEinsteinRadius(lens.mass, efficiency);
+    const points = [{ x: 0.0, y: 0.0, weight: 1.0 }];
+    lens.microMasses.slice(0, MAX_MICRO_MASSES - 1).forEach((companion) => {
+        const phi = (companion.angle * Math.PI) / 180.0;
+        points.push({
+            x: companion.s * thetaE * Math.cos(phi),
+            y: companion.s * thetaE * Math.sin(phi),
+            weight: companion.q,
+        });
+    });
+
+    const total = points.reduce((sum, p) => sum + p.weight, 0.0);
+    const cx = points.reduce((sum, p) => sum + p.x * p.weight, 0.0) / total;
+    const cy = points.reduce((sum, p) => sum + p.y * p.weight, 0.0) / total;
+
+    return points.map((p) => ({ x: p.x - cx, y: p.y - cy, mass: (lens.mass * p.weight) / total }));
+}
+
+/**
+ * Deflection of a single point mass (matches model 0 in lens_deflection)
+ * @param {number} dx - Offset from the point mass (screen-height units)
+ * @param {number} dy - Offset from the point mass
+ * @param {number} mass - Mass slider value of the point
+ * @param {number} depth - Lensing depth (efficiency x 2.5)
+ * @returns {Object} Deflection { x, y }
+ */
+function pointMassDeflection(dx, dy, mass, depth) {
+    const r = Math.sqrt(dx * dx + dy * dy);
+    if (r === 0) return { x: 0.0, y: 0.0 };
+    const k = (mass * 0.03 * depth) / (r + POINT_SOFTENING) / r;
+    return { x: dx * k, y: dy * k };
+}
+
+/**
+ * Deflection of a microlens (sum over its point masses)
+ * @param {Object[]} components - Point masses from getMicroComponents()
+ * @param {number} dx - Offset from the lens centre
+ * @param {number} dy - Offset from the lens centre
+ * @param {number} depth - Lensing depth (efficiency x 2.5)
+ * @returns {Object} Deflection { x, y }
+ */
+function microlensDeflection(components, dx, dy, depth) {
+    let x = 0.0;
+    let y = 0.0;
+    components.forEach((p) => {
+        const a = pointMassDeflection(dx - p.x, dy - p.y, p.mass, depth);
+        x += a.x;
+        y += a.y;
+    });
+    return { x, y };
+}
+
+// Export for use in other modules
+window.LensingMicrolensing = {
+    MAX_MICRO_MASSES,
+    createCompanion,
+    microEinsteinRadius,
+    getMicroComponents,
+    pointMassDeflection,
+    microlensDeflection,
+};
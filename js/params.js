@@ -0,0 +1,415 @@
+/**
+ * Parameter Module
+ * Declarative schema of the slider parameters and a store around the configuration. Each entry names
+ * its config key and control (the `<control>-slider` input and the `<control>-val` label), its range and
+ * step in config units, the label format and the models that show it. Values are changed through the
+ * store, which clamps them to the schema and calls the subscribers of the changed keys: the bindings in
+ * ui.js move the sliders and labels, integrate the HSW lookup table and redraw the plot from there.
+ * The shader uniforms read the configuration every frame (see animate in app.js).
+ */
+
+/**
+ * Percentage label format (values in slider units, see toSliderValue)
+ * @param {number} value - Slider value
+ * @returns {string} Label text
+ */
+function formatPercent(value) {
+    return `${Math.round(value * 100)}%`;
+}
+
+/**
+ * Fixed-point label format
+ * @param {number} digits - Decimals
+ * @param {string} [suffix] - Unit after the number
+ * @returns {Function} (value) => label text
+ */
+function formatFixed(digits, suffix = '') {
+    return (value) => `${value.toFixed(digits)}${suffix}`;
+}
+
+// Slider parameters. modelScale: config units per slider unit for a model (the Elliptical Halo
+// maps the mass and spread sliders onto 75% and 50%); modelRange: narrower slider range of a model;
+// models: models that show the control (all without); titles: label of the control by model; profile:
+// the parameter shapes the density profile (plot and physical readouts); commit: 'change' for sliders
+// that only apply on release (the label follows while dragging)
+const PARAMETER_SCHEMA = [
+    {
+        key: 'mass',
+        control: 'mass',
+        range: [0, 2],
+        step: 0.01,
+        format: formatPercent,
+        modelScale: { 4: 0.75 },
+        // HSW voids are strictly underdense
+        modelRange: { 3: [0, 1] },
+        titles: {
+            default: 'Cluster Mass',
+            2: 'Inner Density (% Mean)',
+            3: 'Inner Density (Delta_c)',
+            6: 'κ Normalisation',
+            7: 'Total Mass',
+        },
+        profile: true,
+    },
+    {
+        key: 'spread',
+        control: 'spread',
+        group: 'group-spread',
+        range: [0, 2],
+        step: 0.01,
+        format: formatFixed(2, 'x'),
+        modelScale: { 4: 0.5 },
+        // κ maps take their extent from the pixel scale, microlenses from the Einstein radius
+        models: [0, 1, 2, 3, 4, 5],
+        titles: {
+            default: 'Cluster Spread',
+            2: 'Void Radius',
+            3: 'Void Radius',
+            4: 'Core Radius',
+            5: 'Scale Radius',
+        },
+        profile: true,
+    },
+    {
+        key: 'wallDensity',
+        control: 'wall-density',
+        group: 'group-wall-density',
+        range: [0, 0.5],
+        step: 0.01,
+        format: formatFixed(2),
+        models: [2],
+        profile: true,
+    },
+    {
+        key: 'wallWidth',
+        control: 'wall-width',
+        group: 'group-wall-width',
+        range: [0.01, 1],
+        step: 0.01,
+        format: (value) => `${(1.0 + value).toFixed(2)}x`,
+        models: [2],
+        profile: true,
+    },
+    {
+        key: 'hswRs',
+        control: 'hsw-rs',
+        group: 'group-hsw-rs',
+        range: [0.1, 1.5],
+        step: 0.01,
+        format: formatFixed(2),
+        models: [3],
+        profile: true,
+    },
+    {
+        key: 'hswAlpha',
+        control: 'hsw-alpha',
+        group: 'group-hsw-alpha',
+        range: [1, 10],
+        step: 0.1,
+        format: formatFixed(1),
+        models: [3],
+        profile: true,
+    },
+    {
+        key: 'hswBeta',
+        control: 'hsw-beta',
+        group: 'group-hsw-beta',
+        range: [1, 30],
+        step: 0.1,
+        format: formatFixed(1),
+        models: [3],
+        profile: true,
+    },
+    {
+        key: 'ellipticity',
+        control: 'ellipticity',
+        group: 'group-ellipticity',
+        range: [0, 0.8],
+        step: 0.01,
+        format: formatFixed(2),
+        models: [4],
+        profile: true,
+    },
+    {
+        key: 'angle',
+        control: 'angle',
+        group: 'group-angle',
+        range: [0, 180],
+        step: 1,
+        format: formatFixed(0),
+        models: [4],
+        profile: true,
+    },
+    {
+        key: 'planeDistance',
+        control: 'plane-distance',
+        range: [0.2, 3],
+        step: 0.01,
+        // The lens redshift follows in cosmology mode
+        format: (value, config) => (config.cosmology > 0.5
+            ? `${value.toFixed(2)}× z=${LensingCosmology.getLensRedshift(config).toFixed(2)}`
+            : `${value.toFixed(2)}×`),
+    },
+    {
+        key: 'kappaExt',
+        control: 'kappa-ext',
+        range: [-0.5, 0.5],
+        step: 0.01,
+        format: formatFixed(2),
+    },
+    {
+        key: 'shear',
+        control: 'shear',
+        range: [0, 0.3],
+        step: 0.01,
+        format: formatFixed(2),
+    },
+    {
+        key: 'shearAngle',
+        control: 'shear-angle',
+        range: [0, 180],
+        step: 1,
+        format: formatFixed(0),
+    },
+    {
+        key: 'layers',
+        control: 'layers',
+        range: [1, 8],
+        step: 1,
+        format: formatFixed(0),
+    },
+    {
+        key: 'density',
+        control: 'density',
+        range: [0, 2],
+        step: 0.01,
+        format: formatPercent,
+        // Every change redraws the galaxy textures
+        commit: 'change',
+    },
+    {
+        key: 'brightness',
+        control: 'bright',
+        range: [0, 2],
+        step: 0.01,
+        format: formatPercent,
+    },
+];
+
+// Parameters a model starts from when it is chosen in the panel
+const MODEL_DEFAULTS = {
+    0: { mass: 1.0 },
+    1: { mass: 1.0 },
+    2: { mass: 0.2 },
+    3: {
+        mass: 0.2,
+        hswDeltac: -0.8,
+        hswRs: 0.9,
+        hswAlpha: 4.0,
+        hswBeta: 15.0,
+    },
+    4: {
+        mass: 0.75,
+        spread: 0.5,
+        ellipticity: 0.25,
+        angle: 0.0,
+    },
+    5: { mass: 1.0 },
+    // The κ normalisation of 100% keeps the convergence values of the file
+    6: { mass: 1.0 },
+    7: { mass: 1.0 },
+};
+
+/**
+ * Schema entry of a parameter
+ * @param {string} key - Config key
+ * @returns {Object|undefined} Entry of PARAMETER_SCHEMA
+ */
+function getParameter(key) {
+    return PARAMETER_SCHEMA.find((entry) => entry.key === key);
+}
+
+/**
+ * Ranges of the schema parameters in config units (for checking stored scenes)
+ * @returns {Object} { key: [min, max] }
+ */
+function getParameterLimits() {
+    const limits = {};
+    PARAMETER_SCHEMA.forEach((entry) => {
+        limits[entry.key] = entry.range;
+    });
+    return limits;
+}
+
+/**
+ * Config value of one slider unit
+ * @param {Object} entry - Schema entry
+ * @param {number} model - Model index
+ * @returns {number} Scale for the model
+ */
+function getSliderScale(entry, model) {
+    return (entry.modelScale && entry.modelScale[model]) || 1.0;
+}
+
+/**
+ * Slider range of a model
+ * @param {Object} entry - Schema entry
+ * @param {number} model - Model index
+ * @returns {number[]} [min, max] in slider units
+ */
+function getSliderRange(entry, model) {
+    return (entry.modelRange && entry.modelRange[model]) || entry.range;
+}
+
+/**
+ * Slider position of the configured value
+ * @param {Object} entry - Schema entry
+ * @param {Object} config - The configuration object
+ * @returns {number} Value in slider units
+ */
+function toSliderValue(entry, config) {
+    return config[entry.key] / getSliderScale(entry, config.model);
+}
+
+/**
+ * Config value of a slider position
+ * @param {Object} entry - Schema entry
+ * @param {number} value - Value in slider units
+ * @param {Object} config - The configuration object
+ * @returns {number} Value in config units
+ */
+function fromSliderValue(entry, value, config) {
+    return value * getSliderScale(entry, config.model);
+}
+
+/**
+ * Clamp a value to the slider range of a model, in config units (whole steps are rounded)
+ * @param {string} key - Config key
+ * @param {*} value - Value to set
+ * @param {number} model - Model index
+ * @returns {*} The clamped value (other keys and values pass unchanged)
+ */
+function limitParameter(key, value, model) {
+    const entry = getParameter(key);
+    if (!entry || typeof value !== 'number') return value;
+    const scale = getSliderScale(entry, model);
+    const [min, max] = getSliderRange(entry, model);
+    const limited = Math.min(Math.max(value, min * scale), max * scale);
+    return Number.isInteger(entry.step) ? Math.round(limited) : limited;
+}
+
+/**
+ * Label text of the configured value
+ * @param {Object} entry - Schema entry
+ * @param {Object} config - The configuration object
+ * @returns {string} Formatted value
+ */
+function formatParameter(entry, config) {
+    return entry.format(toSliderValue(entry, config), config);
+}
+
+/**
+ * Whether a model shows the control of a parameter
+ * @param {Object} entry - Schema entry
+ * @param {number} model - Model index
+ * @returns {boolean} True if shown
+ */
+function isParameterVisible(entry, model) {
+    return !entry.models || entry.models.includes(model);
+}
+
+/**
+ * Label of the control of a parameter for a model
+ * @param {Object} entry - Schema entry
+ * @param {number} model - Model index
+ * @returns {string|null} Title, or null if the label keeps its text
+ */
+function getParameterTitle(entry, model) {
+    if (!entry.titles) return null;
+    return entry.titles[model] || entry.titles.default;
+}
+
+/**
+ * Store around the configuration: the single place where the parameters change
+ * Subscribers are called with the changed values of their keys and the source of the change
+ * ('input' while a slider is dragged, 'change' on release, 'code' for values set by the app and
+ * 'sync' after the configuration was replaced wholesale, e.g. when another lens is selected).
+ * @param {Object} config - The configuration object (kept as the same object)
+ * @returns {Object} { get, set, update, refresh, subscribe }
+ */
+function createParameterStore(config) {
+    const subscribers = [];
+
+    const notify = (changes, source) => {
+        subscribers.forEach(({ keys, listener }) => {
+            const relevant = {};
+            Object.keys(changes).forEach((key) => {
+                if (!keys || keys.includes(key)) relevant[key] = changes[key];
+            });
+            if (Object.keys(relevant).length > 0) listener(relevant, source);
+        });
+    };
+
+    /**
+     * Set several values (in order, so that a new model applies to the values after it)
+     * @param {Object} values - { key: value }
+     * @param {string} [source] - Source of the change
+     */
+    const update = (values, source = 'code') => {
+        const changes = {};
+        Object.keys(values).forEach((key) => {
+            // Schema parameters are clamped to the slider range of the current model
+            config[key] = limitParameter(key, values[key], config.model);
+            changes[key] = config[key];
+        });
+        notify(changes, source);
+    };
+
+    return {
+        get: (key) => config[key],
+        set: (key, value, source) => update({ [key]: value }, source),
+        update,
+
+        /**
+         * Call the subscribers with the current values (after the configuration was replaced)
+         * @param {string[]} [keys] - Keys to refresh (all schema parameters by default)
+         */
+        refresh: (keys = PARAMETER_SCHEMA.map((entry) => entry.key)) => {
+            const changes = {};
+            keys.forEach((key) => {
+                changes[key] = config[key];
+            });
+            notify(changes, 'sync');
+        },
+
+        /**
+         * Call a listener whenever one of the keys changes
+         * @param {string[]|null} keys - Config keys (null for all)
+         * @param {Function} listener - (changes, source) => void
+         * @returns {Function} Unsubscribe
+         */
+        subscribe: (keys, listener) => {
+            const subscriber = { keys, listener };
+            subscribers.push(subscriber);
+            return () => {
+                subscribers.splice(subscribers.indexOf(subscriber), 1);
+            };
+        },
+    };
+}
+
+// Export for use in other modules
+window.LensingParams = {
+    PARAMETER_SCHEMA,
+    MODEL_DEFAULTS,
+    getParameter,
+    getParameterLimits,
+    getSliderRange,
+    toSliderValue,
+    fromSliderValue,
+    limitParameter,
+    formatParameter,
+    isParameterVisible,
+    getParameterTitle,
+    createParameterStore,
+};
@@ -0,0 +1,197 @@
+/**
+ * Poster Module
+ * Snapshots larger than the screen (4K, 8K or any custom size and aspect ratio). The scene is rendered
+ * offscreen into a WebGLRenderTarget, in tiles where the poster exceeds the GPU limits, and the tiles are
+ * stitched on a 2D canvas. Each tile is a view offset of the full frame, so lenses and overlays continue
+ * across the seams. The procedural textures are redrawn at a matching resolution for the export and the
+ * caustics and whiskers are traced for the poster's own aspect ratio.
+ */
+
+// Output sizes of the snapshot button ('window' copies the canvas, 'custom' uses the width & height inputs)
+const POSTER_SIZES = {
+    window: null,
+    '4k': { width: 3840, height: 2160 },
+    '8k': { width: 7680, height: 4320 },
+};
+
+// Limits of custom sizes: the browsers' largest canvas side and area (~134 megapixels)
+const POSTER_MAX_SIDE = 16384;
+const POSTER_MAX_AREA = 2 ** 27;
+
+// Largest tile (the GPU limits may be lower) and largest texture upscaling
+const POSTER_TILE_SIZE = 2048;
+const POSTER_MAX_TEXTURE_SCALE = 4;
+
+/**
+ * Pixel size of a snapshot
+ * @param {Object} config - The configuration object (snapshotSize, snapshotWidth, snapshotHeight)
+ * @returns {Object|null} { width, height } clamped to the canvas limits, or null for the window size
+ */
+function getPosterSize(config) {
+    if (config.snapshotSize === 'window') return null;
+    const size = POSTER_SIZES[config.snapshotSize] || { width: config.snapshotWidth, height: config.snapshotHeight };
+    let width = Math.min(Math.max(Math.round(size.width), 1), POSTER_MAX_SIDE);
+    let height = Math.min(Math.max(Math.round(size.height), 1), POSTER_MAX_SIDE);
+    if (width * height > POSTER_MAX_AREA) {
+        const shrink = Math.sqrt(POSTER_MAX_AREA / (width * height));
+        width = Math.floor(width * shrink);
+        height = Math.floor(height * shrink);
+    }
+    return { width, height };
+}
+
+/**
+ * Side of the square tiles: the largest render target, renderbuffer and viewport the GPU allows
+ * @param {THREE.WebGLRenderer} renderer - The Three.js renderer
+ * @returns {number} Tile side in pixels
+ */
+function getTileSize(renderer) {
+    const gl = renderer.getContext();
+    const viewport = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+    return Math.min(
+        POSTER_TILE_SIZE,
+        renderer.capabilities.maxTextureSize,
+        gl.getParameter(gl.MAX_RENDERBUFFER_SIZE),
+        viewport[0],
+        viewport[1],
+    );
+}
+
+/**
+ * Number of tiles of a poster
+ * @param {THREE.WebGLRenderer} renderer - The Three.js renderer
+ * @param {number} width - Poster width in pixels
+ * @param {number} height - Poster height in pixels
+ * @returns {number} Tiles to render
+ */
+function getTileCount(renderer, width, height) {
+    const tile = getTileSize(renderer);
+    return Math.ceil(width / tile) * Math.ceil(height / tile);
+}
+
+/**
+ * Procedural textures redrawn for the poster height (the same galaxies, from the same seeds)
+ * @param {Object} config - The configuration object
+ * @param {number} height - Poster height in pixels
+ * @returns {Object} Textures by uniform name (the background only for the galaxy deep field)
+ */
+function createPosterTextures(config, height) {
+    const { renderer } = LensingApp;
+    const ratio = height / (window.innerHeight * renderer.getPixelRatio());
+    const scale = Math.min(
+        2 ** Math.max(Math.ceil(Math.log2(ratio)), 0),
+        POSTER_MAX_TEXTURE_SCALE,
+        Math.max(renderer.capabilities.maxTextureSize / 2048, 1),
+    );
+
+    const textures = {};
+    if (scale <= 1) return textures;
+
+    textures.u_cluster = LensingTextures.createClusterTexture(config.density, scale);
+    textures.u_cluster.wrapS = THREE.ClampToEdgeWrapping;
+    textures.u_cluster.wrapT = THREE.ClampToEdgeWrapping;
+
+    textures.u_fg = LensingTextures.createForegroundTexture(config.density, scale);
+    textures.u_fg.wrapS = THREE.RepeatWrapping;
+    textures.u_fg.wrapT = THREE.RepeatWrapping;
+
+    if (LensingApp.currentMode === 'galaxies') {
+        textures.u_bg = LensingTextures.createBackgroundTexture(config.density, scale);
+        textures.u_bg.wrapS = THREE.RepeatWrapping;
+        textures.u_bg.wrapT = THREE.RepeatWrapping;
+    }
+    return textures;
+}
+
+/**
+ * Render a poster offscreen
+ * @param {Object} config - The configuration object
+ * @param {number} width - Poster width in pixels
+ * @param {number} height - Poster height in pixels
+ * @returns {HTMLCanvasElement} The poster with the attribution
+ * @throws {Error} While a video take is running
+ */
+function renderPoster(config, width, height) {
+    if (LensingRecording.isRecording()) throw new Error('Stop the video recording first');
+
+    const {
+        renderer, scene, camera, material, mouse,
+    } = LensingApp;
+    const { uniforms } = material;
+    const aspect = width / height;
+
+    // The poster's aspect ratio at the finite-difference step of the screen (lens maps)
+    const resolution = uniforms.u_resolution.value.clone();
+    uniforms.u_resolution.value.set(window.innerHeight * aspect, window.innerHeight);
+
+    const textures = createPosterTextures(config, height);
+    const screenTextures = {};
+    Object.keys(textures).forEach((name) => {
+        screenTextures[name] = uniforms[name].value;
+        uniforms[name].value = textures[name];
+    });
+
+    // Overlays for the poster frame; the critical-curve dots keep their size relative to the frame
+    const efficiencies = LensingCosmology.getLayerEfficiencies(config, uniforms.u_layers.value);
+    const pointSize = (2.0 * height) / (window.innerHeight * renderer.getPixelRatio());
+    LensingUtils.updateCaustics(LensingApp.causticsGroup, config, efficiencies, mouse, aspect, pointSize);
+    const farthest = efficiencies[efficiencies.length - 1];
+    LensingWhiskers.updateWhiskers(LensingApp.whiskersGroup, config, farthest, mouse, aspect);
+    const pathVisible = LensingApp.recordingGroup.visible;
+    LensingApp.recordingGroup.visible = false;
+
+    const poster = document.createElement('canvas');
+    poster.width = width;
+    poster.height = height;
+    const ctx = poster.getContext('2d');
+
+    const tile = getTileSize(renderer);
+    const target = renderer.capabilities.isWebGL2
+        ? new THREE.WebGLMultisampleRenderTarget(tile, tile)
+        : new THREE.WebGLRenderTarget(tile, tile);
+    const pixels = new Uint8Array(tile * tile * 4);
+
+    try {
+        for (let y = 0; y < height; y += tile) {
+            for (let x = 0; x < width; x += tile) {
+                const w = Math.min(tile, width - x);
+                const h = Math.min(tile, height - y);
+                target.setSize(w, h);
+                camera.setViewOffset(width, height, x, y, w, h);
+                renderer.setRenderTarget(target);
+                renderer.render(scene, camera);
+                renderer.readRenderTargetPixels(target, 0, 0, w, h, pixels);
+
+                // WebGL rows run bottom-up
+                const image = ctx.createImageData(w, h);
+                for (let row = 0; row < h; row++) {
+                    const start = (h - 1 - row) * w * 4;
+                    image.data.set(pixels.subarray(start, start + w * 4), row * w * 4);
+                }
+                ctx.putImageData(image, x, y);
+            }
+        }
+    } finally {
+        renderer.setRenderTarget(null);
+        camera.clearViewOffset();
+        target.dispose();
+
+        uniforms.u_resolution.value.copy(resolution);
+        Object.keys(textures).forEach((name) => {
+            uniforms[name].value = screenTextures[name];
+            textures[name].dispose();
+        });
+        LensingApp.recordingGroup.visible = pathVisible;
+    }
+
+    LensingUtils.drawAttribution(ctx, width, height);
+    return poster;
+}
+
+// Export for use in other modules
+window.LensingPoster = {
+    POSTER_SIZES,
+    getPosterSize,
+    getTileCount,
+    renderPoster,
+};
@@ -0,0 +1,260 @@
+/**
+ * Presets Module
+ * Named scenes beyond the defaults: curated scenes that ship with the visualization and the user's own,
+ * kept in localStorage. A preset holds a scene like a snapshot or a link (see scene.js) and is checked by
+ * parseScene() when loaded. Curated scenes list only the settings that differ from the defaults and keep
+ * the current galaxy field. Presets are exchanged as JSON files holding one or more of them.
+ */
+
+// localStorage key of the user's presets
+const PRESET_STORAGE_KEY = 'lensing-presets';
+
+// Marker and version of exported preset files
+const PRESET_FILE_FORMAT = 'lensing-presets';
+const PRESET_FILE_VERSION = 1;
+
+// Longest preset name (characters)
+const PRESET_NAME_LENGTH = 60;
+
+// Scenes that ship with the visualization (lenses locked in place; the star is the light-curve source)
+const CURATED_PRESETS = [
+    {
+        id: 'einstein-ring',
+        name: 'Einstein Ring',
+        description: 'A star right behind a point mass is imaged into a ring along the critical curve.',
+        scene: {
+            config: {
+                mass: 1.2,
+                showCaustics: 1.0,
+                lightCurve: 1.0,
+                sourceX: 0.5,
+                sourceY: 0.5,
+            },
+            lenses: [{ x: 0.5, y: 0.5 }],
+            locked: true,
+        },
+    },
+    {
+        id: 'einstein-cross',
+        name: 'Einstein Cross',
+        description: 'A star inside the diamond caustic of an elliptical (NIE) halo has four images.',
+        scene: {
+            config: {
+                model: 4,
+                mass: 1.2,
+                ellipticity: 0.45,
+                angle: 30.0,
+                showCaustics: 1.0,
+                lightCurve: 1.0,
+                sourceX: 0.503,
+                sourceY: 0.502,
+            },
+            lenses: [{ x: 0.5, y: 0.5 }],
+            locked: true,
+        },
+    },
+    {
+        id: 'radial-arc',
+        name: 'Radial Arc',
+        description: 'A concentrated NFW halo has a radial critical curve inside the tangential one; '
+            + 'sources near its caustic are stretched towards the centre.',
+        scene: {
+            config: {
+                model: 1,
+                mass: 2.0,
+                spread: 0.6,
+                showCaustics: 1.0,
+                lightCurve: 1.0,
+                sourceX: 0.5,
+                sourceY: 0.563,
+            },
+            lenses: [{ x: 0.5, y: 0.5 }],
+            locked: true,
+        },
+    },
+    {
+        id: 'compensated-void',
+        name: 'Compensated Void',
+        description: 'An HSW void with an overdense ridge: the tangential shear turns negative inside '
+            + 'and the whiskers flip from radial to tangential across the wall.',
+        scene: {
+            config: {
+                model: 3,
+                mass: 0.2,
+                hswDeltac: -0.8,
+                hswRs: 0.9,
+                hswAlpha: 2.0,
+                hswBeta: 9.0,
+                showWhiskers: 1.0,
+                plotQuantity: 'gammaT',
+            },
+            lenses: [{ x: 0.5, y: 0.5 }],
+            locked: true,
+            background: 'color-grid',
+        },
+    },
+    {
+        id: 'weak-lensing',
+        name: 'Weak Lensing Only',
+        description: 'An NFW halo at its realistic amplitude: no arcs or critical curves, only the slight '
+            + 'coherent shear traced by the whiskers and the tangential-shear profile.',
+        scene: {
+            config: {
+                model: 1,
+                exaggeration: 0.1,
+                showWhiskers: 1.0,
+                whiskerScale: 40.0,
+                plotQuantity: 'gammaT',
+            },
+            lenses: [{ x: 0.5, y: 0.5 }],
+            locked: true,
+        },
+    },
+];
+
+/**
+ * Checked preset name
+ * @param {*} name - Name as typed or read from a file
+ * @returns {string} Trimmed name of at most PRESET_NAME_LENGTH characters
+ * @throws {Error} If the name is empty
+ */
+function cleanPresetName(name) {
+    const clean = String(name === undefined || name === null ? '' : name).trim().slice(0, PRESET_NAME_LENGTH);
+    if (!clean) throw new Error('The preset needs a name');
+    return clean;
+}
+
+/**
+ * The user's presets
+ * @returns {Object[]} [{ name, scene }] in the order saved (empty where the browser blocks localStorage)
+ */
+function getSavedPresets() {
+    let stored;
+    try {
+        stored = JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY) || '[]');
+    } catch (err) {
+        return [];
+    }
+    if (!Array.isArray(stored)) return [];
+    return stored.filter((preset) => preset && typeof preset.name === 'string' && preset.scene
+        && typeof preset.scene === 'object');
+}
+
+/**
+ * Store the user's presets
+ * @param {Object[]} presets - [{ name, scene }]
+ * @throws {Error} If the browser blocks localStorage or it is full
+ */
+function storePresets(presets) {
+    try {
+        localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+    } catch (err) {
+        throw new Error(`The browser did not store the presets (${err.message})`);
+    }
+}
+
+/**
+ * Save a scene under a name, replacing a saved preset of the same name
+ * @param {string} name - Preset name
+ * @param {Object} scene - Scene from LensingScene.captureScene()
+ * @returns {string} The name as stored
+ */
+function savePreset(name, scene) {
+    const clean = cleanPresetName(name);
+    const presets = getSavedPresets();
+    const index = presets.findIndex((preset) => preset.name === clean);
+    if (index >= 0) presets[index] = { name: clean, scene };
+    else presets.push({ name: clean, scene });
+    storePresets(presets);
+    return clean;
+}
+
+/**
+ * Rename a saved preset
+ * @param {string} name - Current name
+ * @param {string} newName - New name
+ * @returns {string} The new name as stored
+ * @throws {Error} If another preset has the new name
+ */
+function renamePreset(name, newName) {
+    const clean = cleanPresetName(newName);
+    const presets = getSavedPresets();
+    if (clean !== name && presets.some((preset) => preset.name === clean)) {
+        throw new Error(`A preset named "${clean}" already exists`);
+    }
+    const preset = presets.find((item) => item.name === name);
+    if (!preset) throw new Error(`The preset "${name}" no longer exists`);
+    preset.name = clean;
+    storePresets(presets);
+    return clean;
+}
+
+/**
+ * Delete a saved preset
+ * @param {string} name - Preset name
+ */
+function deletePreset(name) {
+    storePresets(getSavedPresets().filter((preset) => preset.name !== name));
+}
+
+/**
+ * JSON file of presets
+ * @param {Object[]} presets - [{ name, scene }] (curated or saved)
+ * @returns {string} Indented JSON
+ */
+function exportPresets(presets) {
+    return JSON.stringify({
+        format: PRESET_FILE_FORMAT,
+        version: PRESET_FILE_VERSION,
+        presets: presets.map(({ name, scene }) => ({ name, scene })),
+    }, null, 2);
+}
+
+/**
+ * Add the presets of a JSON file to the saved ones; names already taken get a number
+ * @param {string} text - File content (exportPresets() output)
+ * @returns {string[]} Names of the imported presets
+ * @throws {Error} If the file holds no presets or one of them holds no valid scene
+ */
+function importPresets(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new Error('The file is not valid JSON');
+    }
+    if (!data || data.format !== PRESET_FILE_FORMAT || !Array.isArray(data.presets) || data.presets.length === 0) {
+        throw new Error('The file holds no lensing presets');
+    }
+    if (data.version > PRESET_FILE_VERSION) {
+        throw new Error('The presets were saved by a newer version of the visualization');
+    }
+
+    // Every scene is checked before any is stored
+    const imported = data.presets.map((preset) => ({
+        name: cleanPresetName(preset && preset.name),
+        scene: LensingScene.parseScene(preset && preset.scene),
+    }));
+
+    const presets = getSavedPresets();
+    const isTaken = (name) => presets.some((item) => item.name === name);
+    const names = imported.map(({ name, scene }) => {
+        let unique = name;
+        for (let n = 2; isTaken(unique); n++) unique = `${name.slice(0, PRESET_NAME_LENGTH - 5)} (${n})`;
+        presets.push({ name: unique, scene });
+        return unique;
+    });
+    storePresets(presets);
+    return names;
+}
+
+// Export for use in other modules
+window.LensingPresets = {
+    CURATED_PRESETS,
+    getSavedPresets,
+    savePreset,
+    renamePreset,
+    deletePreset,
+    exportPresets,
+    importPresets,
+};
@@ -0,0 +1,119 @@
+/**
+ * Profile Curve Module
+ * Radial lensing profiles of the selected lens for the plot panel: convergence κ(R), mean enclosed
+ * convergence κ̄(<R), tangential shear γ_t(R), excess surface density ΔΣ(R), deflection α(R) and
+ * projected enclosed mass M(<R). All of them follow from the circular deflection of units.js
+ * (the scalings of the shader) at D_ls / D_s = 1:
+ *   κ̄ = α / R,  κ = d(R α) / dR / (2 R),  γ_t = κ̄ - κ,  ΔΣ = Σ_crit γ_t,  M(<R) = π Σ_crit R² κ̄.
+ * Radii are in units of the scale (or void) radius of the density plot. With physical units switched on,
+ * ΔΣ, α and M are converted with the lens distance and the field of view.
+ */
+
+// Selectable curves of the plot panel ('delta' is the density contrast drawn by drawMassPlot)
+const PLOT_QUANTITIES = [
+    { id: 'delta', name: 'Density δ(r)' },
+    { id: 'kappa', name: 'Convergence κ(R)', symbol: 'κ' },
+    { id: 'kappaMean', name: 'Mean Convergence κ̄(<R)', symbol: 'κ̄' },
+    { id: 'gammaT', name: 'Tangential Shear γ_t(R)', symbol: 'γ_t' },
+    { id: 'deltaSigma', name: 'Excess Surface Density ΔΣ(R)', symbol: 'ΔΣ' },
+    { id: 'alpha', name: 'Deflection α(R)', symbol: 'α' },
+    { id: 'mass', name: 'Enclosed Mass M(<R)', symbol: 'M' },
+];
+
+/**
+ * A selectable curve
+ * @param {string} id - Quantity id
+ * @returns {Object} Entry of PLOT_QUANTITIES (the density for unknown ids)
+ */
+function getPlotQuantity(id) {
+    return PLOT_QUANTITIES.find((quantity) => quantity.id === id) || PLOT_QUANTITIES[0];
+}
+
+/**
+ * Radius unit of the plot (the radius marker of the density plot)
+ * @param {Object} config - The configuration object
+ * @returns {Object} { radius (screen-height units), name }
+ */
+function getPlotRadius(config) {
+    const isVoid = config.model === 2 || config.model === 3;
+    return { radius: Math.max(config.spread * 0.24, 0.01), name: isVoid ? 'R_v' : 'r_s' };
+}
+
+/**
+ * Unit of a curve for the axis label
+ * @param {Object} config - The configuration object
+ * @param {string} id - Quantity id
+ * @returns {string} Unit ('' for dimensionless quantities)
+ */
+function getPlotUnit(config, id) {
+    const physical = config.physicalUnits > 0.5;
+    const { name } = getPlotRadius(config);
+    if (id === 'deltaSigma') return physical ? 'M☉/pc²' : 'Σ_crit';
+    if (id === 'alpha') return physical ? '″' : name;
+    if (id === 'mass') return physical ? 'M☉' : `π Σ_crit ${name}²`;
+    return '';
+}
+
+/**
+ * Value of a curve
+ * @param {Object} config - The configuration object
+ * @param {string} id - Quantity id (not 'delta')
+ * @param {number} x - Radius in units of getPlotRadius()
+ * @returns {number|null} Value in the unit of getPlotUnit(), or null without a circular deflection
+ */
+function getProfileValue(config, id, x) {
+    const { radius } = getPlotRadius(config);
+    const r = x * radius;
+    const deflection = (rr) => LensingUnits.radialDeflection(config, rr, LensingUnits.UNIT_DEPTH * config.exaggeration);
+    const alpha = deflection(r);
+    if (alpha === null) return null;
+
+    const meanKappa = alpha / r;
+    const physical = config.physicalUnits > 0.5;
+    const scales = physical ? LensingUnits.getLensPlaneScales(config) : null;
+
+    if (id === 'alpha') return physical ? alpha * scales.scale * LensingUnits.ARCSEC_PER_RADIAN : alpha / radius;
+    if (id === 'kappaMean') return meanKappa;
+    if (id === 'mass') {
+        const area = physical ? (r * scales.dL * scales.scale) ** 2 : x * x;
+        return physical ? Math.PI * scales.sigmaCrit * area * meanKappa : area * meanKappa;
+    }
+
+    // Local convergence from the lookup table, or from the derivative of the enclosed mass R α(R)
+    const tabulated = LensingUnits.tabulatedConvergence(config, r, LensingUnits.UNIT_DEPTH * config.exaggeration);
+    const h = Math.min(0.005 * radius, 0.5 * r);
+    const kappa = tabulated
+        ? tabulated.kappa
+        : ((r + h) * deflection(r + h) - (r - h) * deflection(r - h)) / (4.0 * h * r);
+    if (id === 'kappa') return kappa;
+
+    const gammaT = meanKappa - kappa;
+    if (id === 'deltaSigma') return physical ? (scales.sigmaCrit * gammaT) / 1e12 : gammaT;
+    return gammaT;
+}
+
+/**
+ * Tangential shear of a layer at the Einstein radius of the classic (x1) lens, or at the plot radius for
+ * lenses without one. The radius stays put when the exaggeration changes, so the shear scales with it.
+ * @param {Object} config - The configuration object
+ * @param {number} efficiency - Lensing efficiency of the layer
+ * @returns {Object|null} { label, x (plot radius units), gamma }, or null without a circular deflection
+ */
+function getReferenceShear(config, efficiency) {
+    const { radius, name } = getPlotRadius(config);
+    const thetaE = LensingUnits.einsteinRadius({ ...config, exaggeration: 1.0 }, efficiency);
+    const x = thetaE > 0 ? thetaE / radius : 1.0;
+    const gamma = getProfileValue(config, 'gammaT', x);
+    if (gamma === null) return null;
+    return { label: thetaE > 0 ? 'θ_E' : name, x, gamma: gamma * efficiency };
+}
+
+// Export for use in other modules
+window.LensingProfileCurves = {
+    PLOT_QUANTITIES,
+    getPlotQuantity,
+    getPlotRadius,
+    getPlotUnit,
+    getProfileValue,
+    getReferenceShear,
+};
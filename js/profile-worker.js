@@ -0,0 +1,27 @@
+/* eslint-env worker */
+/**
+ * Profile Worker
+ * Line-of-sight integration of the radial profiles off the main thread. Loads the profile registry
+ * (profiles.js and the formula parser it compiles typed densities with) and answers each job
+ * { id, profile, formula, params, options } with { id, table }, the table being transferred, or with
+ * { id, error } when the integration fails (the worker then stays available for the next job).
+ */
+
+// The modules export themselves on `window`
+globalThis.window = globalThis;
+importScripts('formula.js', 'profiles.js');
+
+onmessage = (e) => {
+    const {
+        id, profile, formula, params, options,
+    } = e.data;
+    try {
+        const density = profile === 'custom'
+            ? LensingProfiles.compileCustomProfile(formula).density
+            : LensingProfiles.getProfile(profile).density;
+        const table = LensingProfiles.integrateProfile(density, params, options);
+        postMessage({ id, table }, [table.buffer]);
+    } catch (error) {
+        postMessage({ id, error: error.message });
+    }
+};
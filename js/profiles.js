@@ -0,0 +1,534 @@
+/**
+ * Radial Profile Module
+ * Registry of spherically symmetric density profiles ρ(r) and the line-of-sight integration that
+ * turns them into deflection lookup tables. Every lens owns one row of the lookup texture, which
+ * the fragment shader samples in a single branch, so adding a profile only needs registerProfile().
+ * A row holds the signed deflection α = M(<R) / R (red), the convergence κ = Σ / 2 (green) and the
+ * tangential shear γ = α / R - κ (blue), all in units of the scale radius (κ and γ per unit α / R).
+ * The integration runs in a Web Worker (profile-worker.js, which loads this file as well); the lookup
+ * texture keeps the last completed table until the new one arrives.
+ */
+
+// Texels per lens row in the lookup texture (must match the fragment shader)
+const PROFILE_TEXTURE_SIZE = 8192;
+
+// The table covers 0 .. 20 scale radii to capture the long tail (must match max_r in the shader)
+const PROFILE_MAX_RADIUS = 20.0;
+
+// Quantities per table entry: deflection, convergence & tangential shear (texture channels r, g, b)
+const PROFILE_CHANNELS = 3;
+
+// Line-of-sight integration steps per texel
+const PROFILE_LOS_STEPS = 1000;
+
+// Coarse table for previews while a slider is dragged (about 60x faster, interpolated to the full row)
+const PROFILE_PREVIEW_RESOLUTION = { size: 1024, losSteps: 128 };
+
+// NFW deflection g(x) / x at the scale radius: halo tables are normalised to this value
+const NFW_DEFLECTION_AT_RS = 1.0 - Math.LN2;
+
+// Slider range of the parameters of a custom formula
+const CUSTOM_PARAM_RANGE = {
+    min: -20.0, max: 20.0, step: 0.05, value: 1.0,
+};
+
+// Registered profiles by id
+const profileRegistry = new Map();
+
+// Compiled custom formulas by source text
+const customProfileCache = new Map();
+
+// Incremented whenever a table is stored, so cached CPU solvers notice the new deflection
+let profileTableVersion = 0;
+
+// Background integration: the worker (null when unavailable), the job it runs and the newest
+// waiting request per row (a newer request replaces a waiting one, which is thus cancelled)
+let profileWorker;
+let runningProfileJob = null;
+const pendingProfileJobs = new Map();
+let nextProfileJobId = 1;
+
+/**
+ * Register a density profile
+ * @param {string} id - Unique profile id
+ * @param {Object} profile - { name, density(x, params), params: [{ key, label, min, max, step, value }], listed }
+ *   x is the 3D radius in units of the scale radius; params are the shape parameters shown as sliders.
+ *   Unlisted profiles (e.g. the HSW void, which has its own model) are hidden from the profile selector.
+ */
+function registerProfile(id, profile) {
+    profileRegistry.set(id, {
+        id,
+        params: [],
+        listed: true,
+        ...profile,
+    });
+}
+
+/**
+ * Look up a registered profile
+ * @param {string} id - Profile id
+ * @returns {Object|undefined} The profile
+ */
+function getProfile(id) {
+    return profileRegistry.get(id);
+}
+
+/**
+ * Profiles offered in the profile selector
+ * @returns {Object[]} Listed profiles in registration order
+ */
+function listProfiles() {
+    return [...profileRegistry.values()].filter((profile) => profile.listed);
+}
+
+/**
+ * Compile a typed density formula into a profile (see formula.js); its parameters become sliders
+ * @param {string} formula - Expression in r (radius in units of the scale radius) and named parameters
+ * @returns {Object} The profile
+ * @throws {Error} If the formula cannot be parsed
+ */
+function compileCustomProfile(formula) {
+    if (customProfileCache.has(formula)) return customProfileCache.get(formula);
+
+    const compiled = LensingFormula.compileFormula(formula);
+    const profile = {
+        ...getProfile('custom'),
+        formula,
+        params: compiled.params.map((key) => ({ key, label: key, ...CUSTOM_PARAM_RANGE })),
+        // Singular or undefined points (e.g. r^-3 at the centre) are dropped from the integral
+        density: (x, p) => {
+            const rho = compiled.evaluate(x, p);
+            return Number.isFinite(rho) ? rho : 0.0;
+        },
+    };
+
+    if (customProfileCache.size >= 32) customProfileCache.clear();
+    customProfileCache.set(formula, profile);
+    return profile;
+}
+
+/**
+ * Profile of a lens, compiling its formula for the custom profile
+ * @param {Object} lens - Lens or config with profile & profileFormula
+ * @returns {Object} The profile
+ */
+function getLensProfile(lens) {
+    if (lens.profile === 'custom') return compileCustomProfile(lens.profileFormula);
+    return getProfile(lens.profile);
+}
+
+/**
+ * Default shape parameters of a profile
+ * @param {Object} profile - The profile
+ * @returns {Object} Parameter values by key
+ */
+function getDefaultParams(profile) {
+    const params = {};
+    profile.params.forEach((param) => {
+        params[param.key] = param.value;
+    });
+    return params;
+}
+
+/**
+ * Integrate a density profile into a lookup table
+ * Σ(R) is integrated along the line of sight, accumulated into the projected mass M(<R)
+ * and stored with the deflection M(<R) / R, the convergence Σ / 2 and the shear M / R² - Σ / 2.
+ * @param {Function} density - ρ(x, params)
+ * @param {Object} params - Shape parameters passed to the density
+ * @param {Object} options - { normalize: match the NFW deflection at x = 1, size: table entries,
+ *   losSteps: line-of-sight steps (full resolution by default) }
+ * @returns {Float32Array} PROFILE_CHANNELS values per entry, at R = (i + 0.5) * PROFILE_MAX_RADIUS / size
+ */
+function integrateProfile(density, params, options = {}) {
+    const size = options.size || PROFILE_TEXTURE_SIZE;
+    const losSteps = options.losSteps || PROFILE_LOS_STEPS;
+    const table = new Float32Array(size * PROFILE_CHANNELS);
+
+    const dr = PROFILE_MAX_RADIUS / size;
+    // z_max matches the table radius for isotropic integration
+    const dz = PROFILE_MAX_RADIUS / losSteps;
+
+    let mass2d = 0.0;
+
+    for (let i = 0; i < size; i++) {
+        const R = (i + 0.5) * dr; // Distance on sky
+
+        // 1. Surface density Σ(R), doubled for the -z half of the line of sight
+        let sigma = 0.0;
+        for (let j = 0; j < losSteps; j++) {
+            const z = (j + 0.5) * dz;
+            sigma += density(Math.sqrt(R * R + z * z), params);
+        }
+        sigma *= 2.0 * dz;
+
+        // 2. Add to the enclosed mass (cylindrical shell)
+        mass2d += sigma * R * dr;
+
+        // 3. Store the deflection M / R (negative for underdense voids), κ and γ
+        const deflection = R < 0.001 ? 0.0 : mass2d / R;
+        const kappa = 0.5 * sigma;
+        table[i * PROFILE_CHANNELS] = deflection;
+        table[i * PROFILE_CHANNELS + 1] = kappa;
+        table[i * PROFILE_CHANNELS + 2] = R < 0.001 ? 0.0 : deflection / R - kappa;
+    }
+
+    if (options.normalize) {
+        const atScaleRadius = table[Math.floor(1.0 / dr) * PROFILE_CHANNELS];
+        if (atScaleRadius !== 0) {
+            const scale = NFW_DEFLECTION_AT_RS / atScaleRadius;
+            for (let i = 0; i < table.length; i++) {
+                table[i] *= scale;
+            }
+        }
+    }
+    return table;
+}
+
+/**
+ * Write a lookup table into one row of the lookup texture (coarse tables are interpolated)
+ * @param {number} row - Texture row (lens index)
+ * @param {Float32Array} table - Table from integrateProfile()
+ */
+function storeLookupRow(row, table) {
+    const texture = LensingApp.profileTexture;
+    if (!texture) return;
+
+    const size = PROFILE_TEXTURE_SIZE;
+    const { data } = texture.image;
+    const rowOffset = row * size * 4;
+    const entries = table.length / PROFILE_CHANNELS;
+    const ratio = entries / size;
+
+    for (let i = 0; i < size; i++) {
+        // Both tables sample the bin centres, R = (i + 0.5) * dr
+        const f = Math.min(Math.max((i + 0.5) * ratio - 0.5, 0), entries - 1);
+        const i0 = Math.min(Math.floor(f), entries - 2);
+        for (let c = 0; c < PROFILE_CHANNELS; c++) {
+            const a0 = table[i0 * PROFILE_CHANNELS + c];
+            const a1 = table[(i0 + 1) * PROFILE_CHANNELS + c];
+            data[rowOffset + i * 4 + c] = ratio === 1 ? table[i * PROFILE_CHANNELS + c] : a0 + (a1 - a0) * (f - i0);
+        }
+    }
+
+    profileTableVersion += 1;
+    texture.needsUpdate = true;
+}
+
+/**
+ * Integrate a density profile into one row of the lookup texture on the calling thread
+ * @param {number} row - Texture row (lens index)
+ * @param {Function} density - ρ(x, params)
+ * @param {Object} params - Shape parameters passed to the density
+ * @param {Object} options - See integrateProfile()
+ */
+function buildLookupRow(row, density, params, options = {}) {
+    storeLookupRow(row, integrateProfile(density, params, options));
+}
+
+/**
+ * Density of a profile source as posted to the worker (functions cannot be posted)
+ * @param {Object} source - { profile: id, formula: for the custom profile }
+ * @returns {Function} ρ(x, params)
+ */
+function resolveDensity(source) {
+    if (source.profile === 'custom') return compileCustomProfile(source.formula).density;
+    return getProfile(source.profile).density;
+}
+
+/**
+ * Integrate a request on the main thread (where the worker is unavailable)
+ * @param {Object} job - { row, message, onComplete }
+ */
+function buildProfileJob(job) {
+    let error = null;
+    try {
+        buildLookupRow(job.row, resolveDensity(job.message), job.message.params, job.message.options);
+    } catch (err) {
+        error = err;
+    }
+    if (job.onComplete) job.onComplete(error);
+}
+
+/**
+ * Send the next waiting request to the worker
+ */
+function runNextProfileJob() {
+    if (runningProfileJob || pendingProfileJobs.size === 0) return;
+    const [row, job] = pendingProfileJobs.entries().next().value;
+    pendingProfileJobs.delete(row);
+    runningProfileJob = job;
+    profileWorker.postMessage(job.message);
+}
+
+/**
+ * The integration worker, created on first use
+ * @returns {Worker|null} The worker, or null where workers are unavailable (the tables are then built inline)
+ */
+function getProfileWorker() {
+    if (profileWorker !== undefined) return profileWorker;
+    try {
+        profileWorker = new Worker('js/profile-worker.js');
+    } catch (error) {
+        profileWorker = null;
+        return null;
+    }
+
+    // A failed integration keeps the last table of the row; the worker stays up for the next request
+    profileWorker.onmessage = (e) => {
+        const job = runningProfileJob;
+        if (!job || e.data.id !== job.id) return;
+        runningProfileJob = null;
+        // The lens of a cancelled request was removed (see removeLookupRow)
+        if (job.row !== null) {
+            if (e.data.error) {
+                if (job.onComplete) job.onComplete(new Error(e.data.error));
+            } else {
+                storeLookupRow(job.row, e.data.table);
+                if (job.onComplete) job.onComplete(null);
+            }
+        }
+        runNextProfileJob();
+    };
+
+    // Without a worker that loads (e.g. pages opened from file://) the tables are built inline
+    profileWorker.onerror = (e) => {
+        e.preventDefault();
+        profileWorker.terminate();
+        profileWorker = null;
+        const jobs = [runningProfileJob, ...pendingProfileJobs.values()].filter((job) => job && job.row !== null);
+        runningProfileJob = null;
+        pendingProfileJobs.clear();
+        jobs.forEach(buildProfileJob);
+    };
+    return profileWorker;
+}
+
+/**
+ * Rebuild one row of the lookup texture in the background
+ * A newer request for the row replaces a waiting one, and a running full-resolution pass for it is
+ * cancelled. The row keeps its last completed table in the meantime.
+ * @param {number} row - Texture row (lens index)
+ * @param {Object} source - { profile: id, formula: typed formula of the custom profile, params }
+ * @param {Object} options - { normalize (see integrateProfile), preview: coarse table while dragging }
+ * @param {Function} [onComplete] - Called with null once the table is in the texture, or with the error of
+ *   a failed integration (the row then keeps its last table)
+ */
+function requestLookupRow(row, source, options = {}, onComplete = null) {
+    const { preview, ...integration } = options;
+    const message = {
+        id: nextProfileJobId,
+        profile: source.profile,
+        formula: source.formula,
+        params: { ...source.params },
+        options: preview ? { ...integration, ...PROFILE_PREVIEW_RESOLUTION } : integration,
+    };
+    nextProfileJobId += 1;
+    const job = {
+        id: message.id, row, message, onComplete,
+    };
+
+    const worker = getProfileWorker();
+    if (!worker) {
+        buildProfileJob(job);
+        return;
+    }
+
+    pendingProfileJobs.set(row, job);
+
+    // A stale full-resolution pass takes long: restart the worker instead of waiting for it
+    const running = runningProfileJob;
+    if (running && running.row === row && !running.message.options.size) {
+        worker.terminate();
+        profileWorker = undefined;
+        runningProfileJob = null;
+        getProfileWorker();
+    }
+    runNextProfileJob();
+}
+
+/**
+ * Follow the removal of a lens: cancel the requests for its row and move those of the following rows down
+ * one row, as the lookup texture rows are (see removeLens)
+ * @param {number} removed - Row of the removed lens
+ */
+function removeLookupRow(removed) {
+    const shift = (row) => {
+        if (row === null || row === removed) return null;
+        return row > removed ? row - 1 : row;
+    };
+
+    const jobs = [...pendingProfileJobs.values()];
+    pendingProfileJobs.clear();
+    jobs.forEach((job) => {
+        const row = shift(job.row);
+        if (row !== null) pendingProfileJobs.set(row, { ...job, row });
+    });
+
+    // A running request cannot be recalled: its answer is dropped
+    if (runningProfileJob) runningProfileJob = { ...runningProfileJob, row: shift(runningProfileJob.row) };
+}
+
+/**
+ * Follow the copy of a lens: a table still being integrated for the source row is requested for the copy
+ * too, so that both end up with the completed table (see addLens)
+ * @param {number} from - Row of the copied lens
+ * @param {number} to - Row of the new lens
+ */
+function duplicateLookupRow(from, to) {
+    // The waiting request is newer than the running one
+    const running = runningProfileJob && runningProfileJob.row === from ? runningProfileJob : null;
+    const source = pendingProfileJobs.get(from) || running;
+    if (!source || !profileWorker) return;
+
+    const message = { ...source.message, id: nextProfileJobId };
+    nextProfileJobId += 1;
+    pendingProfileJobs.set(to, {
+        ...source, id: message.id, row: to, message,
+    });
+    runNextProfileJob();
+}
+
+/**
+ * Version of the lookup tables, part of the keys of the cached CPU solvers
+ * @returns {number} Number of tables stored so far
+ */
+function getTableVersion() {
+    return profileTableVersion;
+}
+
+/**
+ * Read a channel of the lookup texture, as the fragment shader does (linear between entries)
+ * @param {number} row - Texture row (lens index)
+ * @param {number} x - Radius in units of the scale radius
+ * @param {number} channel - 0: deflection, 1: convergence, 2: tangential shear
+ * @returns {number} Tabulated value
+ */
+function sampleLookup(row, x, channel) {
+    const texture = LensingApp.profileTexture;
+    if (!texture) return 0;
+
+    // Entry i holds R = (i + 0.5) * dr
+    const size = PROFILE_TEXTURE_SIZE;
+    const f = Math.min(Math.max((x / PROFILE_MAX_RADIUS) * size - 0.5, 0), size - 1);
+    const i0 = Math.min(Math.floor(f), size - 2);
+    const { data } = texture.image;
+    const a0 = data[(row * size + i0) * 4 + channel];
+    const a1 = data[(row * size + i0 + 1) * 4 + channel];
+    return a0 + (a1 - a0) * (f - i0);
+}
+
+/**
+ * Read a deflection from the lookup texture
+ * @param {number} row - Texture row (lens index)
+ * @param {number} x - Radius in units of the scale radius
+ * @returns {number} Tabulated deflection
+ */
+function sampleDeflection(row, x) {
+    return sampleLookup(row, x, 0);
+}
+
+/**
+ * Read the convergence & tangential shear from the lookup texture
+ * @param {number} row - Texture row (lens index)
+ * @param {number} x - Radius in units of the scale radius
+ * @returns {Object} { kappa, gamma } per unit of the tabulated deflection / x
+ */
+function sampleConvergence(row, x) {
+    return { kappa: sampleLookup(row, x, 1), gamma: sampleLookup(row, x, 2) };
+}
+
+// --- Built-in Profiles ---
+// Radii are in units of the scale radius; amplitudes are arbitrary because the tables are normalised.
+
+registerProfile('burkert', {
+    name: 'Burkert',
+    density: (x) => 1.0 / ((1.0 + x) * (1.0 + x * x)),
+});
+
+registerProfile('hernquist', {
+    name: 'Hernquist',
+    density: (x) => 1.0 / (x * (1.0 + x) ** 3),
+});
+
+registerProfile('cored-nfw', {
+    name: 'Cored NFW',
+    params: [{
+        key: 'core', label: 'Core Radius (r_c / r_s)', min: 0.01, max: 1.0, step: 0.01, value: 0.2,
+    }],
+    density: (x, p) => 1.0 / ((x + p.core) * (1.0 + x) ** 2),
+});
+
+registerProfile('truncated-nfw', {
+    name: 'Truncated NFW',
+    params: [{
+        key: 'tau', label: 'Truncation Radius (r_t / r_s)', min: 1.0, max: 20.0, step: 0.5, value: 5.0,
+    }],
+    // Baltz, Marshall & Oguri (2009)
+    density: (x, p) => (p.tau * p.tau) / (x * (1.0 + x) ** 2 * (x * x + p.tau * p.tau)),
+});
+
+registerProfile('gnfw', {
+    name: 'Generalised NFW',
+    params: [{
+        key: 'gamma', label: 'Inner Slope (γ)', min: 0.0, max: 1.9, step: 0.05, value: 1.5,
+    }],
+    density: (x, p) => 1.0 / (x ** p.gamma * (1.0 + x) ** (3.0 - p.gamma)),
+});
+
+registerProfile('einasto', {
+    name: 'Einasto',
+    params: [{
+        key: 'alpha', label: 'Shape (α)', min: 0.05, max: 1.0, step: 0.01, value: 0.17,
+    }],
+    density: (x, p) => Math.exp((-2.0 / p.alpha) * (x ** p.alpha - 1.0)),
+});
+
+registerProfile('sersic', {
+    name: 'Sérsic',
+    params: [{
+        key: 'n', label: 'Sérsic Index (n)', min: 0.5, max: 8.0, step: 0.1, value: 4.0,
+    }],
+    // Prugniel & Simien (1997) deprojection, whose projection follows a Sérsic law
+    density: (x, p) => {
+        const b = 2.0 * p.n - 1.0 / 3.0 + 0.009876 / p.n;
+        const slope = 1.0 - 0.6097 / p.n + 0.05463 / (p.n * p.n);
+        return x ** -slope * Math.exp(-b * x ** (1.0 / p.n));
+    },
+});
+
+// Typed formula; the registered entry is a template, compileCustomProfile() fills in density & params
+registerProfile('custom', {
+    name: 'Custom Formula',
+    custom: true,
+    density: () => 0.0,
+});
+
+// Hamaus, Sutter & Wandelt (2014) void profile, driven by the HSW Void model's own sliders
+registerProfile('hsw', {
+    name: 'HSW Void',
+    listed: false,
+    density: (x, p) => {
+        if (x < 0.0001) return p.deltac;
+        return (p.deltac * (1.0 - (x / p.rs) ** p.alpha)) / (1.0 + (x / p.rs) ** p.beta);
+    },
+});
+
+// Export for use in other modules
+window.LensingProfiles = {
+    PROFILE_TEXTURE_SIZE,
+    registerProfile,
+    getProfile,
+    listProfiles,
+    getDefaultParams,
+    compileCustomProfile,
+    getLensProfile,
+    integrateProfile,
+    buildLookupRow,
+    requestLookupRow,
+    removeLookupRow,
+    duplicateLookupRow,
+    getTableVersion,
+    sampleDeflection,
+    sampleConvergence,
+};
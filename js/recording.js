@@ -0,0 +1,318 @@
+/**
+ * Recording Module
+ * WebM video of the visualization with MediaRecorder. Every rendered frame is copied onto a 2D canvas
+ * at the chosen resolution, which adds the attribution of the snapshots and is captured at a fixed frame
+ * rate. During a take the selected lens follows a path: the captured mouse motion (replayed with its
+ * own timing) or a drawn line, circle or cubic Bézier curve, traversed at a set speed.
+ * Path points are in UV like the lens position; speeds are in screen heights per second.
+ */
+
+// Points that define a drawn path (a circle: centre & a point on the rim)
+const RECORD_PATH_POINTS = { line: 2, circle: 2, bezier: 4 };
+
+// Path of a fresh panel, before anything is drawn
+const RECORD_DEFAULT_POINTS = {
+    line: [[0.25, 0.5], [0.75, 0.5]],
+    circle: [[0.5, 0.5], [0.7, 0.5]],
+    bezier: [[0.2, 0.3], [0.35, 0.9], [0.65, 0.1], [0.8, 0.7]],
+};
+
+// Containers in order of preference (not every browser encodes VP9)
+const RECORD_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+// Encoder budget in bits per pixel and frame (~6 Mbit/s at 1080p and 30 fps)
+const RECORD_BITS_PER_PIXEL = 0.1;
+
+// Polyline samples of a drawn path (arc-length parametrisation & on-screen preview)
+const RECORD_PATH_SAMPLES = 256;
+
+let mouseTake = [];
+let capturingMouse = false;
+let captureStart = null;
+let take = null;
+let cachedPathKey = '';
+
+/**
+ * Points along a drawn path
+ * @param {string} type - 'line', 'circle' or 'bezier'
+ * @param {number[][]} points - Control points [[u, v], ...] in UV
+ * @param {number} aspect - Screen aspect ratio
+ * @returns {Object[]} RECORD_PATH_SAMPLES + 1 points { x, y } in UV
+ */
+function samplePath(type, points, aspect) {
+    const [p0, p1, p2, p3] = points;
+    return Array.from({ length: RECORD_PATH_SAMPLES + 1 }, (_, i) => {
+        const t = i / RECORD_PATH_SAMPLES;
+        if (type === 'circle') {
+            // Counter-clockwise from the rim point, round in screen units
+            const dx = (p1[0] - p0[0]) * aspect;
+            const dy = p1[1] - p0[1];
+            const angle = Math.atan2(dy, dx) + 2.0 * Math.PI * t;
+            const radius = Math.hypot(dx, dy);
+            return { x: p0[0] + (radius * Math.cos(angle)) / aspect, y: p0[1] + radius * Math.sin(angle) };
+        }
+        if (type === 'bezier') {
+            const s = 1.0 - t;
+            const b = [s * s * s, 3.0 * s * s * t, 3.0 * s * t * t, t * t * t];
+            return {
+                x: b[0] * p0[0] + b[1] * p1[0] + b[2] * p2[0] + b[3] * p3[0],
+                y: b[0] * p0[1] + b[1] * p1[1] + b[2] * p2[1] + b[3] * p3[1],
+            };
+        }
+        return { x: p0[0] + (p1[0] - p0[0]) * t, y: p0[1] + (p1[1] - p0[1]) * t };
+    });
+}
+
+/**
+ * Lens position at a time of the take
+ * @param {Object} config - The configuration object (recordPath, recordPoints, recordSpeed)
+ * @param {number} aspect - Screen aspect ratio
+ * @returns {Object} { duration (s), at: (seconds) => { x, y } in UV }, or null without a mouse take
+ */
+function createPathMotion(config, aspect) {
+    if (config.recordPath === 'mouse') {
+        if (mouseTake.length < 2) return null;
+        const samples = mouseTake;
+        return {
+            duration: samples[samples.length - 1].t,
+            at: (seconds) => {
+                let i = 1;
+                while (i < samples.length - 1 && samples[i].t < seconds) i++;
+                const a = samples[i - 1];
+                const b = samples[i];
+                const f = b.t > a.t ? Math.min(Math.max((seconds - a.t) / (b.t - a.t), 0), 1) : 1;
+                return { x: a.x + (b.x - a.x) * f, y: a.y + (b.y - a.y) * f };
+            },
+        };
+    }
+
+    // Arc length along the polyline (screen-height units), so the lens moves at a constant speed
+    const points = samplePath(config.recordPath, config.recordPoints, aspect);
+    const lengths = [0];
+    for (let i = 1; i < points.length; i++) {
+        const step = Math.hypot((points[i].x - points[i - 1].x) * aspect, points[i].y - points[i - 1].y);
+        lengths.push(lengths[i - 1] + step);
+    }
+    const total = lengths[lengths.length - 1];
+    return {
+        duration: total / config.recordSpeed,
+        at: (seconds) => {
+            const s = Math.min(seconds * config.recordSpeed, total);
+            let i = 1;
+            while (i < lengths.length - 1 && lengths[i] < s) i++;
+            const span = lengths[i] - lengths[i - 1];
+            const f = span > 0 ? (s - lengths[i - 1]) / span : 0;
+            return {
+                x: points[i - 1].x + (points[i].x - points[i - 1].x) * f,
+                y: points[i - 1].y + (points[i].y - points[i - 1].y) * f,
+            };
+        },
+    };
+}
+
+/**
+ * Start or stop capturing the mouse motion for the next take
+ * @returns {boolean} True while capturing
+ */
+function toggleMouseCapture() {
+    capturingMouse = !capturingMouse;
+    if (capturingMouse) {
+        mouseTake = [];
+        captureStart = null;
+    }
+    return capturingMouse;
+}
+
+/**
+ * Whether the mouse motion is being captured
+ * @returns {boolean} True while capturing
+ */
+function isCapturingMouse() {
+    return capturingMouse;
+}
+
+/**
+ * Duration of a take along the current path
+ * @param {Object} config - The configuration object
+ * @returns {number} Seconds (0 for mouse takes before a capture)
+ */
+function getTakeDuration(config) {
+    const motion = createPathMotion(config, window.innerWidth / window.innerHeight);
+    return motion ? motion.duration : 0;
+}
+
+/**
+ * Video size for a frame height: the width follows the screen, so that the overlays keep their place
+ * @param {number} height - Frame height in pixels
+ * @param {number} aspect - Screen aspect ratio
+ * @returns {Object} { width, height } in even pixels (as the encoders need)
+ */
+function getRecordingSize(height, aspect) {
+    return { width: 2 * Math.round((height * aspect) / 2), height };
+}
+
+/**
+ * Start a take: the renderer draws at the video resolution until the take ends
+ * @param {Object} config - The configuration object (path, speed, frame rate & resolution)
+ * @param {Function} onStop - Called with the WebM blob when the take is over
+ * @throws {Error} Without MediaRecorder, a WebM encoder or a path to follow
+ */
+function startRecording(config, onStop) {
+    if (take) return;
+    if (typeof MediaRecorder === 'undefined' || !HTMLCanvasElement.prototype.captureStream) {
+        throw new Error('This browser cannot record video (no MediaRecorder)');
+    }
+    const mimeType = RECORD_MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) throw new Error('This browser cannot encode WebM video');
+
+    const aspect = window.innerWidth / window.innerHeight;
+    const motion = createPathMotion(config, aspect);
+    if (!motion) throw new Error('Capture a mouse motion first');
+
+    const { width, height } = getRecordingSize(config.recordHeight, aspect);
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+
+    const recorder = new MediaRecorder(canvas.captureStream(config.recordFps), {
+        mimeType,
+        videoBitsPerSecond: Math.round(width * height * config.recordFps * RECORD_BITS_PER_PIXEL),
+    });
+    const chunks = [];
+    recorder.ondataavailable = (e) => {
+        if (e.data.size > 0) chunks.push(e.data);
+    };
+    recorder.onstop = () => {
+        onStop(new Blob(chunks, { type: 'video/webm' }));
+    };
+
+    const { renderer } = LensingApp;
+    renderer.setPixelRatio(1);
+    renderer.setSize(width, height, false);
+
+    take = {
+        canvas, context: canvas.getContext('2d'), recorder, motion, start: null,
+    };
+    recorder.start(1000);
+}
+
+/**
+ * End the take (the blob follows in the onStop callback) and restore the screen resolution
+ */
+function stopRecording() {
+    if (!take) return;
+    const { recorder } = take;
+    take = null;
+    if (recorder.state !== 'inactive') recorder.stop();
+
+    const { renderer } = LensingApp;
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    renderer.setSize(window.innerWidth, window.innerHeight);
+}
+
+/**
+ * Whether a take is running
+ * @returns {boolean} True while recording
+ */
+function isRecording() {
+    return take !== null;
+}
+
+/**
+ * Progress of the running take
+ * @returns {Object|null} { elapsed, duration } in seconds, or null while not recording
+ */
+function getRecordingProgress() {
+    if (!take) return null;
+    return { elapsed: take.elapsed || 0, duration: take.motion.duration };
+}
+
+/**
+ * Move the lens along the path of the running take, or capture the mouse motion (called every frame)
+ * @param {THREE.Vector2} mouse - Lens position (UV), set directly
+ * @param {THREE.Vector2} targetMouse - Mouse target (UV)
+ * @param {number} time - Current animation time (ms)
+ */
+function updateRecording(mouse, targetMouse, time) {
+    if (capturingMouse && !take) {
+        if (captureStart === null) captureStart = time;
+        mouseTake.push({ t: (time - captureStart) / 1000, x: targetMouse.x, y: targetMouse.y });
+    }
+    if (!take) return;
+
+    if (take.start === null) take.start = time;
+    take.elapsed = (time - take.start) / 1000;
+    const position = take.motion.at(Math.min(take.elapsed, take.motion.duration));
+    mouse.set(position.x, position.y);
+    targetMouse.copy(mouse);
+}
+
+/**
+ * Copy the rendered frame into the video with the attribution (called after rendering)
+ * The take ends once the frame at the end of the path is in.
+ * @param {HTMLCanvasElement} source - The WebGL canvas
+ */
+function captureFrame(source) {
+    if (!take) return;
+    const { canvas, context } = take;
+    context.drawImage(source, 0, 0, canvas.width, canvas.height);
+    LensingUtils.drawAttribution(context, canvas.width, canvas.height);
+    if (take.elapsed >= take.motion.duration) stopRecording();
+}
+
+/**
+ * Show the drawn path on the sky (hidden while recording, for mouse takes and with the panel closed)
+ * @param {THREE.Group} group - Scene group holding the path
+ * @param {Object} config - The configuration object
+ */
+function updatePathOverlay(group, config) {
+    group.visible = config.showRecording > 0.5 && config.recordPath !== 'mouse' && !take;
+    if (!group.visible) return;
+
+    const aspect = window.innerWidth / window.innerHeight;
+    const key = JSON.stringify([config.recordPath, config.recordPoints, aspect]);
+    if (key === cachedPathKey) return;
+
+    while (group.children.length > 0) {
+        const child = group.children[0];
+        group.remove(child);
+        child.geometry.dispose();
+        child.material.dispose();
+    }
+
+    const toWorld = (p) => new THREE.Vector3((p.x - 0.5) * 2.5, (p.y - 0.5) * 2.5, -0.01);
+    const line = samplePath(config.recordPath, config.recordPoints, aspect).map(toWorld);
+    group.add(new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints(line),
+        new THREE.LineDashedMaterial({
+            color: 0xffffff, dashSize: 0.03, gapSize: 0.02, transparent: true, opacity: 0.7, depthTest: false,
+        }),
+    ));
+    group.children[0].computeLineDistances();
+
+    const controls = config.recordPoints.map(([x, y]) => toWorld({ x, y }));
+    group.add(new THREE.Points(
+        new THREE.BufferGeometry().setFromPoints(controls),
+        new THREE.PointsMaterial({
+            color: 0xffffff, size: 6.0, sizeAttenuation: false, depthTest: false,
+        }),
+    ));
+    cachedPathKey = key;
+}
+
+// Export for use in other modules
+window.LensingRecording = {
+    RECORD_PATH_POINTS,
+    RECORD_DEFAULT_POINTS,
+    toggleMouseCapture,
+    isCapturingMouse,
+    getTakeDuration,
+    getRecordingSize,
+    startRecording,
+    stopRecording,
+    isRecording,
+    getRecordingProgress,
+    updateRecording,
+    captureFrame,
+    updatePathOverlay,
+};
@@ -0,0 +1,461 @@
+/**
+ * Scene State Module
+ * The full scene as a plain JSON object: the configuration, every lens of the lens list with its position,
+ * the selected lens, the lock state, the galaxy seed and the background mode. Exported PNGs carry it in an
+ * iTXt chunk, so that dropping a snapshot onto the canvas restores the scene (see applyScene in ui.js), and
+ * shared links carry it in the URL hash (#scene=, the settings that differ from the defaults as base64url
+ * JSON). Stored states are checked before they are applied: values of the wrong type fall back to the
+ * defaults and numbers are clamped to the ranges of their sliders.
+ * Uploaded backgrounds and κ maps are files and are not part of the state.
+ */
+
+// Format version of the stored state
+const SCENE_VERSION = 1;
+
+// Keyword of the PNG text chunk holding the state
+const SCENE_PNG_KEYWORD = 'lensing-scene';
+
+// Background modes that can be rebuilt from the seed (uploaded images fall back to the deep field)
+const SCENE_BACKGROUNDS = ['galaxies', 'bw-grid', 'color-grid', 'dotted-grid'];
+
+// Prefix of the URL hash holding a scene
+const SCENE_HASH_PREFIX = '#scene=';
+
+// Ranges of the numeric settings (those of their sliders); stored values are clamped into them.
+// The parameters of the schema bring their own (see params.js)
+const SCENE_LIMITS = {
+    ...LensingParams.getParameterLimits(),
+    model: [0, 7],
+    hswDeltac: [-1, 0],
+    kappaPixelScale: [0.001, 100],
+    sourceX: [0, 1],
+    sourceY: [0, 1],
+    impactParameter: [0, 1.5],
+    trackAngle: [0, 360],
+    mapOpacity: [0, 1],
+    mapRange: [0.05, 5],
+    whiskerDensity: [8, 40],
+    whiskerScale: [1, 100],
+    stackedLenses: [1, 10000],
+    recordSpeed: [0.02, 1],
+    recordFps: [24, 60],
+    recordHeight: [720, 1440],
+    snapshotWidth: [1, 16384],
+    snapshotHeight: [1, 16384],
+    exaggeration: [0.01, 10],
+    zLens: [0.05, 2],
+    zSourceMin: [0.1, 5],
+    zSourceMax: [0.1, 5],
+    hubble: [50, 90],
+    omegaM: [0.05, 1],
+    fieldOfView: [0.1, 320],
+};
+
+// Settings that only take whole numbers
+const SCENE_INTEGERS = [
+    'model', 'layers', 'whiskerDensity', 'stackedLenses', 'recordFps', 'recordHeight', 'snapshotWidth',
+    'snapshotHeight',
+];
+
+// Ranges of the microlens companions (mass ratio, separation in Einstein radii, position angle)
+const COMPANION_LIMITS = { q: [1e-4, 1], s: [0.1, 4], angle: [0, 360] };
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+let crcTable = null;
+let writtenHash = '';
+
+/**
+ * The current scene
+ * @returns {Object} { version, config, lenses: [{ x, y, ...lens keys }], selectedLens, locked, seed, background }
+ */
+function captureScene() {
+    LensingLenses.storeSelectedLens();
+    const { config, lenses } = LensingApp;
+    const state = {
+        version: SCENE_VERSION,
+        config: { ...config },
+        lenses: lenses.map((lens) => {
+            const entry = { x: lens.position.x, y: lens.position.y };
+            LensingLenses.LENS_KEYS.forEach((key) => {
+                entry[key] = lens[key];
+            });
+            return entry;
+        }),
+        selectedLens: LensingApp.selectedLens,
+        locked: LensingApp.isLocked,
+        seed: LensingUtils.getMasterSeed(),
+        background: LensingApp.currentMode,
+    };
+    // Deep copy, so that later edits of the config never reach a stored state
+    return JSON.parse(JSON.stringify(state));
+}
+
+/**
+ * A stored value checked against the default of its key: wrong types fall back to the default,
+ * objects are checked key by key and arrays element by element
+ * @param {*} value - Stored value
+ * @param {*} fallback - Default value
+ * @returns {*} The value, or the default where it does not fit
+ */
+function sanitizeValue(value, fallback) {
+    if (Array.isArray(fallback)) {
+        if (!Array.isArray(value)) return fallback;
+        return fallback.length > 0 ? value.map((item) => sanitizeValue(item, fallback[0])) : value;
+    }
+    if (fallback !== null && typeof fallback === 'object') {
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) return fallback;
+        // Free-form objects (profile parameters) keep their numeric entries
+        const keys = Object.keys(fallback);
+        const result = {};
+        if (keys.length === 0) {
+            Object.keys(value).forEach((key) => {
+                if (Number.isFinite(value[key])) result[key] = value[key];
+            });
+            return result;
+        }
+        keys.forEach((key) => {
+            result[key] = sanitizeValue(value[key], fallback[key]);
+        });
+        return result;
+    }
+    if (typeof fallback === 'number') return Number.isFinite(value) ? value : fallback;
+    return typeof value === typeof fallback ? value : fallback;
+}
+
+/**
+ * Allowed values of the settings that are one of a list
+ * @returns {Object} Lists by config key
+ */
+function getSceneChoices() {
+    return {
+        mapMode: LensingMaps.MAP_QUANTITIES.map((quantity) => quantity.id),
+        mapColormap: LensingMaps.COLORMAPS.map((map) => map.id),
+        plotQuantity: LensingProfileCurves.PLOT_QUANTITIES.map((quantity) => quantity.id),
+        lightCurvePath: ['line', 'mouse'],
+        recordPath: ['mouse', ...Object.keys(LensingRecording.RECORD_PATH_POINTS)],
+        snapshotSize: [...Object.keys(LensingPoster.POSTER_SIZES), 'custom'],
+    };
+}
+
+/**
+ * Clamp a number into a range
+ * @param {number} value - The value
+ * @param {number[]} limits - [min, max]
+ * @returns {number} The clamped value
+ */
+function clampToLimits(value, limits) {
+    return Math.min(Math.max(value, limits[0]), limits[1]);
+}
+
+/**
+ * Bring the settings of a config into their ranges and lists
+ * @param {Object} config - Config with sanitized types (modified)
+ * @param {Object} defaults - The default configuration
+ */
+function limitSettings(config, defaults) {
+    const choices = getSceneChoices();
+    Object.keys(config).forEach((key) => {
+        const value = config[key];
+        if (choices[key]) {
+            if (!choices[key].includes(value)) config[key] = defaults[key];
+        } else if (SCENE_LIMITS[key]) {
+            const limited = clampToLimits(value, SCENE_LIMITS[key]);
+            config[key] = SCENE_INTEGERS.includes(key) ? Math.round(limited) : limited;
+        } else if (typeof value === 'number' && key.startsWith('show')) {
+            // Switches are 0 or 1
+            config[key] = value > 0.5 ? 1.0 : 0.0;
+        }
+    });
+    ['lightCurve', 'plotLogX', 'plotLogY', 'cosmology', 'physicalUnits'].forEach((key) => {
+        config[key] = config[key] > 0.5 ? 1.0 : 0.0;
+    });
+
+    if (!/^#[0-9a-f]{6}$/i.test(config.whiskerColor)) config.whiskerColor = defaults.whiskerColor;
+    config.zSourceMax = Math.max(config.zSourceMax, config.zSourceMin);
+
+    // Drawn paths need their number of control points in UV
+    const count = LensingRecording.RECORD_PATH_POINTS[config.recordPath];
+    const points = config.recordPoints;
+    const valid = points.every((point) => point.length === 2) && (!count || points.length === count);
+    config.recordPoints = valid
+        ? points.map((point) => point.map((v) => clampToLimits(v, [0, 1])))
+        : LensingRecording.RECORD_DEFAULT_POINTS[count ? config.recordPath : 'line'];
+}
+
+/**
+ * Bring the parameters of a lens into their ranges: the slider ranges of its model, a known profile
+ * (with a formula that compiles), its shape parameters and at most the companions the shader takes
+ * @param {Object} lens - Lens or config with sanitized types (modified)
+ * @param {Object} defaults - The default configuration
+ */
+function limitLens(lens, defaults) {
+    // The slider parameters take the range of the lens' model, as the store clamps them (e.g. HSW voids
+    // are strictly underdense)
+    LensingLenses.LENS_KEYS.forEach((key) => {
+        lens[key] = LensingParams.limitParameter(key, lens[key], lens.model);
+    });
+
+    // The mass slider of an HSW void sets its δc (see setupSliders in ui.js), so the mass decides
+    if (lens.model === 3) lens.hswDeltac = lens.mass - 1.0;
+
+    let profile;
+    try {
+        profile = LensingProfiles.getLensProfile(lens);
+    } catch (err) {
+        profile = null;
+    }
+    if (!profile) {
+        lens.profile = defaults.profile;
+        lens.profileFormula = defaults.profileFormula;
+        profile = LensingProfiles.getLensProfile(lens);
+    }
+    const params = LensingProfiles.getDefaultParams(profile);
+    profile.params.forEach((param) => {
+        if (param.key in lens.profileParams) {
+            params[param.key] = clampToLimits(lens.profileParams[param.key], [param.min, param.max]);
+        }
+    });
+    lens.profileParams = params;
+
+    lens.microMasses = lens.microMasses.slice(0, LensingMicrolensing.MAX_MICRO_MASSES - 1).map((companion) => {
+        const limited = {};
+        Object.keys(COMPANION_LIMITS).forEach((key) => {
+            limited[key] = clampToLimits(companion[key], COMPANION_LIMITS[key]);
+        });
+        return limited;
+    });
+    if (lens.microMasses.length === 0) lens.microMasses = defaults.microMasses;
+}
+
+/**
+ * Check a stored scene: unknown keys are dropped, missing or malformed values replaced by the defaults
+ * and numbers clamped to their ranges
+ * @param {Object} state - Parsed scene state
+ * @returns {Object} A complete scene state
+ * @throws {Error} If the object is no scene state
+ */
+function parseScene(state) {
+    if (!state || typeof state !== 'object' || !state.config || typeof state.config !== 'object') {
+        throw new Error('The data holds no lensing scene');
+    }
+    if (state.version > SCENE_VERSION) {
+        throw new Error('The scene was saved by a newer version of the visualization');
+    }
+
+    const defaults = LensingApp.defaultConfig;
+    const config = {};
+    Object.keys(defaults).forEach((key) => {
+        config[key] = sanitizeValue(state.config[key], defaults[key]);
+    });
+    limitSettings(config, defaults);
+    limitLens(config, defaults);
+
+    // Lenses default to the stored config, so that a state without a lens list keeps its model
+    const stored = Array.isArray(state.lenses) && state.lenses.length > 0 ? state.lenses : [{}];
+    const lenses = stored.slice(0, LensingLenses.MAX_LENSES).map((item) => {
+        const lens = item !== null && typeof item === 'object' ? item : {};
+        const entry = {
+            x: clampToLimits(sanitizeValue(lens.x, 0.5), [0, 1]),
+            y: clampToLimits(sanitizeValue(lens.y, 0.5), [0, 1]),
+        };
+        LensingLenses.LENS_KEYS.forEach((key) => {
+            entry[key] = sanitizeValue(lens[key], config[key]);
+            const limits = SCENE_LIMITS[key];
+            if (limits && typeof entry[key] === 'number') {
+                const limited = clampToLimits(entry[key], limits);
+                entry[key] = SCENE_INTEGERS.includes(key) ? Math.round(limited) : limited;
+            }
+        });
+        limitLens(entry, defaults);
+        return entry;
+    });
+
+    const selected = Number.isInteger(state.selectedLens) ? state.selectedLens : 0;
+    return {
+        version: SCENE_VERSION,
+        config,
+        lenses,
+        selectedLens: Math.min(Math.max(selected, 0), lenses.length - 1),
+        locked: state.locked === true,
+        seed: Number.isInteger(state.seed) ? state.seed : LensingUtils.getMasterSeed(),
+        background: SCENE_BACKGROUNDS.includes(state.background) ? state.background : 'galaxies',
+    };
+}
+
+/**
+ * Compact form of a scene for links: the settings that differ from the defaults, the lens parameters that
+ * differ from the selected lens (whose parameters are in the config) and positions to 1e-4
+ * @param {Object} state - Scene from captureScene()
+ * @returns {Object} The compact scene (parseScene fills in the rest)
+ */
+function compactScene(state) {
+    const defaults = LensingApp.defaultConfig;
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const config = {};
+    Object.keys(state.config).forEach((key) => {
+        if (!same(state.config[key], defaults[key])) config[key] = state.config[key];
+    });
+    const lenses = state.lenses.map((lens) => {
+        const entry = { x: Math.round(lens.x * 1e4) / 1e4, y: Math.round(lens.y * 1e4) / 1e4 };
+        LensingLenses.LENS_KEYS.forEach((key) => {
+            if (!same(lens[key], state.config[key])) entry[key] = lens[key];
+        });
+        return entry;
+    });
+    return { ...state, config, lenses };
+}
+
+/**
+ * URL hash of a scene
+ * @param {Object} state - Scene from captureScene()
+ * @returns {string} '#scene=' and the compact scene as base64url-encoded UTF-8 JSON
+ */
+function encodeSceneHash(state) {
+    const bytes = new TextEncoder().encode(JSON.stringify(compactScene(state)));
+    let binary = '';
+    bytes.forEach((byte) => {
+        binary += String.fromCharCode(byte);
+    });
+    const base64 = btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    return `${SCENE_HASH_PREFIX}${base64}`;
+}
+
+/**
+ * Scene of a URL hash
+ * @param {string} hash - URL hash
+ * @returns {Object|null} The checked scene (see parseScene), or null for hashes without a scene
+ * @throws {Error} If the hash holds no readable scene
+ */
+function decodeSceneHash(hash) {
+    if (!hash.startsWith(SCENE_HASH_PREFIX)) return null;
+    const base64 = hash.slice(SCENE_HASH_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/');
+    let json;
+    try {
+        json = new TextDecoder().decode(Uint8Array.from(atob(base64), (c) => c.charCodeAt(0)));
+    } catch (err) {
+        throw new Error('The link is incomplete or damaged');
+    }
+    return parseScene(JSON.parse(json));
+}
+
+/**
+ * Write the current scene into the URL hash (replacing the history entry, so that the back button
+ * is not flooded with slider moves)
+ * @returns {string} The full link
+ */
+function updateSceneHash() {
+    writtenHash = encodeSceneHash(captureScene());
+    if (window.location.hash !== writtenHash) {
+        window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}${writtenHash}`);
+    }
+    return window.location.href;
+}
+
+/**
+ * Scene of the URL hash, unless it is the one last written by updateSceneHash()
+ * @returns {Object|null} The checked scene, or null without a new scene in the hash
+ * @throws {Error} If the hash holds no readable scene
+ */
+function readSceneHash() {
+    const { hash } = window.location;
+    if (hash === writtenHash) return null;
+    writtenHash = hash;
+    return decodeSceneHash(hash);
+}
+
+/**
+ * CRC-32 of PNG chunks (type and data)
+ * @param {Uint8Array} bytes - Chunk type and data
+ * @returns {number} Unsigned CRC
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Add the scene to a PNG as an uncompressed iTXt chunk (UTF-8) in front of IEND
+ * @param {Blob} blob - PNG image
+ * @param {Object} state - Scene from captureScene()
+ * @returns {Promise<Blob>} The PNG with the scene
+ */
+async function embedScene(blob, state) {
+    const png = new Uint8Array(await blob.arrayBuffer());
+    const encoder = new TextEncoder();
+    // keyword \0, compression flag & method (0, 0), empty language tag \0 and translated keyword \0, text
+    const header = encoder.encode(SCENE_PNG_KEYWORD);
+    const text = encoder.encode(JSON.stringify(state));
+    const body = new Uint8Array(4 + header.length + 5 + text.length);
+    body.set(encoder.encode('iTXt'), 0);
+    body.set(header, 4);
+    body.set(text, 4 + header.length + 5);
+
+    const chunk = new Uint8Array(body.length + 8);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, body.length - 4);
+    chunk.set(body, 4);
+    view.setUint32(body.length + 4, crc32(body));
+
+    // IEND is the last chunk: 12 bytes
+    const end = png.length - 12;
+    return new Blob([png.subarray(0, end), chunk, png.subarray(end)], { type: 'image/png' });
+}
+
+/**
+ * Read the scene of a PNG exported by the visualization
+ * @param {ArrayBuffer} buffer - PNG file contents
+ * @returns {Object|null} The checked scene (see parseScene), or null if the file carries none
+ * @throws {Error} If the file is no PNG or its scene cannot be read
+ */
+function extractScene(buffer) {
+    const bytes = new Uint8Array(buffer);
+    if (bytes.length < 8 || PNG_SIGNATURE.some((value, i) => bytes[i] !== value)) {
+        throw new Error('The file is not a PNG image');
+    }
+
+    const view = new DataView(buffer);
+    const decoder = new TextDecoder();
+    let offset = 8;
+    while (offset + 12 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = decoder.decode(bytes.subarray(offset + 4, offset + 8));
+        const data = bytes.subarray(offset + 8, offset + 8 + length);
+        if (type === 'IEND') break;
+
+        // tEXt: keyword \0 text; iTXt: keyword \0 flag method language \0 translated \0 text
+        const zero = data.indexOf(0);
+        if ((type === 'tEXt' || type === 'iTXt') && decoder.decode(data.subarray(0, zero)) === SCENE_PNG_KEYWORD) {
+            let start = zero + 1;
+            if (type === 'iTXt') {
+                if (data[start] !== 0) throw new Error('Compressed scene chunks are not supported');
+                start = data.indexOf(0, data.indexOf(0, start + 2) + 1) + 1;
+            }
+            return parseScene(JSON.parse(decoder.decode(data.subarray(start))));
+        }
+        offset += 12 + length;
+    }
+    return null;
+}
+
+// Export for use in other modules
+window.LensingScene = {
+    SCENE_VERSION,
+    captureScene,
+    parseScene,
+    encodeSceneHash,
+    decodeSceneHash,
+    updateSceneHash,
+    readSceneHash,
+    embedScene,
+    extractScene,
+};
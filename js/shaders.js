@@ -17,7 +17,10 @@ const vertexShader = `
 /**
  * Fragment Shader
  * This is where the physics and rendering logic lives.
- * Implements Point Mass, NFW Halo, and Void lensing models.
+ * Implements Point Mass, NFW Halo, Void, Elliptical Halo, tabulated radial profile, custom κ map
+ * and multiple point-mass (microlensing) models.
+ * Deflections of every lens in the lens list are superposed per background layer.
+ * Optionally blends a false-colour map of κ, |γ|, det A or μ over the lensed image.
  */
 const fragmentShader = `
     uniform sampler2D u_bg;
@@ -33,27 +36,63 @@ const fragmentShader = `
     uniform sampler2D u_cluster;
     uniform sampler2D u_fg;
     uniform vec2 u_resolution;
-    uniform vec2 u_mouse;
-    uniform float u_mass;
-    uniform float u_spread;
     uniform float u_layers;
+    uniform float u_layer_efficiency[8]; // Lensing efficiency D_ls / D_s per layer for the selected lens plane (cosmology.js)
+    uniform float u_layer_dist[8];       // Layer distances (comoving Mpc, or normalized), same units as u_lens_dist
     uniform float u_brightness;
     uniform float u_show_core;
     uniform float u_show_foreground;
     uniform float u_show_cluster;
-    uniform float u_model;
     uniform float u_grid_mode;
     uniform float u_use_manual;
-    // Toy Model Specifics
-    uniform float u_wall_density; // Peak density of wall
-    uniform float u_wall_width;   // Width of wall (outer edge - 1.0)
 
-    // Elliptical Model
-    uniform float u_ellipticity;
-    uniform float u_angle;
-
-    // HSW Model Texture
-    uniform sampler2D u_hsw_tex;  // Lookup table for HSW deflection
+    // Lens List (must match MAX_LENSES in lenses.js)
+    #define MAX_LENSES 8
+    uniform float u_lens_count;
+    uniform vec2 u_lens_pos[MAX_LENSES];     // Lens centre in UV space
+    uniform float u_lens_model[MAX_LENSES];
+    uniform float u_lens_mass[MAX_LENSES];
+    uniform float u_lens_spread[MAX_LENSES];
+    // Model specifics: x = wall density, y = wall width (Toy), z = ellipticity, w = angle (NIE)
+    uniform vec4 u_lens_params[MAX_LENSES];
+    // Lenses are sorted front to back by the distance of their lens plane
+    uniform float u_lens_dist[MAX_LENSES];
+    uniform float u_lens_row[MAX_LENSES];    // Row of the lens in the profile lookup texture
+
+    // Microlenses: point masses of lens k at k * MAX_MICRO + j (must match microlensing.js)
+    // xy = offset from the lens centre (centre of mass), z = mass (0 for unused entries)
+    #define MAX_MICRO 4
+    uniform vec4 u_lens_micro[MAX_LENSES * MAX_MICRO];
+
+    // Profile Lookup Texture
+    uniform sampler2D u_profile_tex;  // Deflection tables of HSW voids & radial profiles (one row per lens)
+
+    // Custom κ Map (deflection field from the FFT Poisson solve in kappa-map.js)
+    uniform sampler2D u_kappa_tex;    // RG = deflection in map pixels, map centred on the lens
+    uniform float u_kappa_pixel;      // Map pixel size in screen-height units
+    uniform float u_kappa_extent;     // Side of the (zero-padded) deflection grid in screen-height units
+    uniform float u_kappa_mass;       // Total convergence of the map (sum over pixels)
+    uniform float u_kappa_size;       // Side of the deflection grid in pixels
+
+    // External Environment (applies on top of every model)
+    uniform float u_kappa_ext;    // Constant convergence of a mass sheet
+    uniform vec2 u_shear_ext;     // External shear components (gamma_1, gamma_2)
+    uniform vec2 u_ext_center;    // Expansion point of the environment terms (selected lens)
+    uniform float u_exaggeration; // Amplitude factor of every lens deflection (1 = classic, amplified look)
+
+    // Light-curve star in the farthest layer (lightcurve.js), radius in screen-height units
+    #define SOURCE_STAR_SIGMA 0.004
+    uniform float u_show_source;
+    uniform vec2 u_source_pos;    // Unlensed position in UV space
+
+    // Lens maps (see lens-maps.js)
+    uniform float u_map_mode;         // 0: off, 1: κ, 2: |γ|, 3: det A, 4: log10 |μ|
+    uniform vec2 u_map_limits;        // Values at the ends of the colormap
+    uniform float u_map_opacity;      // Blending with the lensed image
+    uniform float u_map_efficiency;   // Efficiency & distance of the mapped (farthest) layer
+    uniform float u_map_dist;
+    uniform sampler2D u_colormap_tex; // One colormap per row
+    uniform float u_colormap_row;     // V coordinate of the selected colormap
 
     varying vec2 vUv;
 
@@ -234,99 +273,220 @@ const fragmentShader = `
         return vec4(0.0);
     }
 
-    void main() {
-        float aspect = u_resolution.x / u_resolution.y;
-        vec2 uv = vUv;
+    // --- Deflection of a Single Lens ---
+    // Evaluates the chosen model for one entry of the lens list.
+    // distVec: aspect-corrected offset from the lens centre
+    // row: V coordinate of this lens' row in the HSW lookup texture
+    // depth: lensing strength, 2.5 x the efficiency D_ls / D_s (the multi-plane loop uses 2.5, i.e. D_ls / D_s = 1)
+    vec2 lens_deflection(float model, vec2 distVec, float mass, float spread, vec4 params, float row, float depth) {
+        float r = length(distVec);
+        float baseStrength = mass * 0.03;
+
+        vec2 deflection;
+
+        if (model < 0.5) {
+            // 0: Point Mass
+            float lensStrength = baseStrength * depth;
+            deflection = normalize(distVec) * lensStrength / (r + 0.005);
+        }
+        else if (model < 1.5) {
+            // 1: NFW Halo (Using improved function)
+            float nfwStrength = baseStrength * depth * 6.0;
+            float rs = max(spread * 0.24, 0.01);
+            float x = r / rs;
+            // Use the new stable function
+            float alpha = nfw_deflection(x);
+            deflection = normalize(distVec) * nfwStrength * alpha;
+        }
+        else if (model < 2.5) {
+            // 2: Void Toy Model
+            float rv = max(spread * 0.24, 0.01);
+
+            // Map slider (0-2) to density contrast (-1 to +1).
+            // We allow d_in to be positive. The integral handles it correctly.
+            float d_in = mass - 1.0;
+
+            float alpha = void_toy_deflection(r, rv, d_in, params.x, params.y);
+            float voidStrength = 0.15 * depth;
+            deflection = normalize(distVec) * voidStrength * alpha;
+        }
+        else if (model < 3.5 || (model > 4.5 && model < 5.5)) {
+            // 3: HSW Void, 5: Radial Profile (Texture Lookup, tables integrated in profiles.js)
+            float rs = max(spread * 0.24, 0.01);
+            float max_r = 20.0 * rs;
+            // Entry i holds R = (i + 0.5) * max_r / 8192. The texture is nearest-filtered (float textures),
+            // so neighbouring entries are interpolated by hand (same as sampleDeflection in profiles.js)
+            float f = clamp((r / max_r) * 8192.0 - 0.5, 0.0, 8191.0);
+            float i0 = min(floor(f), 8190.0);
+            float a0 = texture2D(u_profile_tex, vec2((i0 + 0.5) / 8192.0, row)).r;
+            float a1 = texture2D(u_profile_tex, vec2((i0 + 1.5) / 8192.0, row)).r;
+            float alpha = mix(a0, a1, f - i0);
+
+            // HSW: the signed table diverges where the enclosed mass is negative (void core) and converges
+            // where the compensation wall outweighs it. Radial profiles are normalised to the NFW deflection
+            // at r_s and share its strength. (κ and γ of the g & b channels are read by the CPU solvers.)
+            float profileStrength = model < 3.5 ? 0.33 * depth : baseStrength * depth * 6.0;
+            deflection = normalize(distVec) * profileStrength * alpha;
+        }
+        else if (model > 5.5) {
+            // 6: Custom κ Map (the map holds κ for D_ls / D_s = 1, the mass slider is its normalisation)
+            vec2 mapUv = distVec / u_kappa_extent + 0.5;
+            vec2 alpha;
+            if (mapUv.x > 0.0 && mapUv.x < 1.0 && mapUv.y > 0.0 && mapUv.y < 1.0) {
+                // Bilinear interpolation between pixel centres (by hand, the float texture is nearest-filtered)
+                vec2 texel = mapUv * u_kappa_size - 0.5;
+                vec2 i0 = floor(texel);
+                vec2 t = texel - i0;
+                vec2 a00 = texture2D(u_kappa_tex, (i0 + vec2(0.5, 0.5)) / u_kappa_size).rg;
+                vec2 a10 = texture2D(u_kappa_tex, (i0 + vec2(1.5, 0.5)) / u_kappa_size).rg;
+                vec2 a01 = texture2D(u_kappa_tex, (i0 + vec2(0.5, 1.5)) / u_kappa_size).rg;
+                vec2 a11 = texture2D(u_kappa_tex, (i0 + vec2(1.5, 1.5)) / u_kappa_size).rg;
+                alpha = mix(mix(a00, a10, t.x), mix(a01, a11, t.x), t.y) * u_kappa_pixel;
+            } else {
+                // Beyond the padded grid the map acts as a point mass of the same total convergence
+                float pointMass = u_kappa_mass * u_kappa_pixel * u_kappa_pixel / 3.14159;
+                alpha = distVec * pointMass / max(dot(distVec, distVec), 1e-6);
+            }
+            deflection = alpha * mass * depth * 0.4;
+        }
+        else {
+            // 4: Elliptical Halo (NIE), based on R. Kormann et al. 1994 'Isothermal elliptical gravitational lens models'
+            float b = baseStrength * depth * 8.0;
+            float s_avg = max(spread * 0.1, 0.005);
+            float q = 1.0 - params.z;
+
+            // Scale the minor axis by sqrt(q) to preserve the average core area
+            float s = s_avg * sqrt(q);
+            float theta = params.w * 3.14159 / 180.0;
 
-        vec2 lensPos = u_mouse;
+            deflection = nie_deflection(distVec, b, s, q, theta);
+        }
+
+        return deflection;
+    }
+
+    // --- External Shear & Mass Sheet ---
+    // Deflection of a constant convergence sheet plus a constant external shear:
+    // alpha = kappa * x + (gamma_1 * x + gamma_2 * y, gamma_2 * x - gamma_1 * y)
+    // Both scale with the geometric lensing efficiency D_ls / D_s of the layer.
+    vec2 external_deflection(vec2 d, float efficiency) {
+        float g1 = u_shear_ext.x;
+        float g2 = u_shear_ext.y;
+        vec2 alpha = u_kappa_ext * d + vec2(g1 * d.x + g2 * d.y, g2 * d.x - g1 * d.y);
+        return alpha * efficiency;
+    }
+
+    // Aspect-corrected offset of a pixel from a lens centre
+    vec2 lens_offset(vec2 uv, vec2 lensPos, float aspect) {
         vec2 distVec = (uv - lensPos);
         distVec.x *= aspect;
-        float r = length(distVec);
+        return distVec;
+    }
+
+    // Lensing efficiency D_ls / D_s of a plane for a plane behind it (flat universe: 1 - χ_l / χ_s)
+    float plane_efficiency(float lensDist, float sourceDist) {
+        return max(1.0 - lensDist / sourceDist, 0.0);
+    }
+
+    // Multi-Plane Ray Tracing:
+    // Lens planes are visited front to back. A ray reaches plane k displaced by the deflections
+    // of all planes in front of it (recursive lens equation, Schneider et al. 1992):
+    //   theta_k = theta - sum_{i<k} (D_ik / D_k) * alphaHat_i(theta_i)
+    // alphaHat is the deflection for D_ls / D_s = 1 (depth 2.5, times the exaggeration factor).
+    // Lenses sharing a plane superpose linearly.
+    void trace_lens_planes(vec2 uv, float aspect, out vec2 alphaHat[MAX_LENSES]) {
+        float depth = 2.5 * u_exaggeration;
+        for (int k = 0; k < MAX_LENSES; k++) {
+            if (float(k) >= u_lens_count) break;
+            vec2 rayUv = uv;
+            for (int i = 0; i < MAX_LENSES; i++) {
+                if (i >= k) break;
+                rayUv -= plane_efficiency(u_lens_dist[i], u_lens_dist[k]) * alphaHat[i] / vec2(aspect, 1.0);
+            }
+            vec2 distVec = lens_offset(rayUv, u_lens_pos[k], aspect);
+            float row = (u_lens_row[k] + 0.5) / float(MAX_LENSES);
+
+            if (u_lens_model[k] > 6.5) {
+                // 7: Microlens, a sum of point masses (model 0)
+                alphaHat[k] = vec2(0.0);
+                for (int j = 0; j < MAX_MICRO; j++) {
+                    vec4 point = u_lens_micro[k * MAX_MICRO + j];
+                    if (point.z > 0.0) {
+                        alphaHat[k] += lens_deflection(0.0, distVec - point.xy, point.z, 0.0, vec4(0.0), row, depth);
+                    }
+                }
+            } else {
+                alphaHat[k] = lens_deflection(
+                    u_lens_model[k], distVec, u_lens_mass[k], u_lens_spread[k], u_lens_params[k], row, depth
+                );
+            }
+        }
+    }
 
-        float baseStrength = u_mass * 0.03;
+    // Source position of a layer: every lens plane in front of the layer deflects with its own efficiency.
+    // The environment is a single screen in the plane of the selected lens.
+    vec2 layer_deflection(vec2 uv, vec2 alphaHat[MAX_LENSES], float layerDist, float efficiency, float aspect) {
+        vec2 deflection = external_deflection(lens_offset(uv, u_ext_center, aspect), efficiency);
+        for (int k = 0; k < MAX_LENSES; k++) {
+            if (float(k) >= u_lens_count) break;
+            deflection += plane_efficiency(u_lens_dist[k], layerDist) * alphaHat[k];
+        }
+        return deflection;
+    }
+
+    // --- Lens Maps ---
+    // Deflection of the mapped layer, traced through all lens planes
+    vec2 map_deflection(vec2 uv, float aspect) {
+        vec2 alphaHat[MAX_LENSES];
+        trace_lens_planes(uv, aspect, alphaHat);
+        return layer_deflection(uv, alphaHat, u_map_dist, u_map_efficiency, aspect);
+    }
+
+    // κ, |γ|, det A or log10 |μ| from the Jacobian of the deflection (central differences over one pixel)
+    float lens_map_value(vec2 uv, float aspect) {
+        float h = 1.0 / u_resolution.y;
+        vec2 stepX = vec2(h / aspect, 0.0);
+        vec2 stepY = vec2(0.0, h);
+        // dx = (d alpha_x / dx, d alpha_y / dx), dy = (d alpha_x / dy, d alpha_y / dy)
+        vec2 dx = (map_deflection(uv + stepX, aspect) - map_deflection(uv - stepX, aspect)) / (2.0 * h);
+        vec2 dy = (map_deflection(uv + stepY, aspect) - map_deflection(uv - stepY, aspect)) / (2.0 * h);
+
+        float kappa = 0.5 * (dx.x + dy.y);
+        vec2 gamma = vec2(0.5 * (dx.x - dy.y), 0.5 * (dy.x + dx.y));
+        float detA = (1.0 - dx.x) * (1.0 - dy.y) - dy.x * dx.y;
+
+        if (u_map_mode < 1.5) return kappa;
+        if (u_map_mode < 2.5) return length(gamma);
+        if (u_map_mode < 3.5) return detA;
+        return -log(max(abs(detA), 1e-6)) / log(10.0);
+    }
+
+    void main() {
+        float aspect = u_resolution.x / u_resolution.y;
+        vec2 uv = vUv;
 
         vec3 finalColor = vec3(0.0);
 
-        // Multi-Plane Lensing Loop:
+        vec2 alphaHat[MAX_LENSES];
+        trace_lens_planes(uv, aspect, alphaHat);
+
+        // Background Layer Loop:
         // We simulate depth by iterating through 'layers'.
         // Layers further back are deflected more than layers close to the lens.
         for (float i = 0.0; i < 8.0; i++) {
             if (i >= u_layers) break;
 
             // --- REALISTIC DISTANCE SCALING ---
-            // Normalized distances: Lens at 1.0, First layer at 1.4, Step 0.4
-            float d_lens = 1.0;
-            float d_source = 1.4 + (i * 0.4);
-
-            // Geometric Lensing Efficiency: 1 - (D_lens / D_source)
-            float efficiency = 1.0 - (d_lens / d_source);
-
-            // Scale strength to be visually punchy
-            float depth = efficiency * 2.5;
+            // Geometric Lensing Efficiency D_ls / D_s, computed on the CPU either from
+            // layer redshifts (cosmology mode) or from normalized distances (1 - d_lens / d_source)
+            float efficiency = u_layer_efficiency[int(i)];
+            float layerDist = u_layer_dist[int(i)];
 
             // Brightness decay (Parallax dimming)
             float decay = 1.0 / (1.0 + i * 0.3);
             float layerBrightness = u_brightness * decay;
 
-            vec2 deflection;
-
-            // Calculate deflection angle based on chosen model
-            if (u_model < 0.5) {
-                // 0: Point Mass
-                float lensStrength = baseStrength * depth;
-                deflection = normalize(distVec) * lensStrength / (r + 0.005);
-            }
-            else if (u_model < 1.5) {
-                // 1: NFW Halo (Using improved function)
-                float nfwStrength = baseStrength * depth * 6.0;
-                float rs = max(u_spread * 0.24, 0.01);
-                float x = r / rs;
-                // Use the new stable function
-                float alpha = nfw_deflection(x);
-                deflection = normalize(distVec) * nfwStrength * alpha;
-            }
-            else if (u_model < 2.5) {
-                // 2: Void Toy Model
-                float rv = max(u_spread * 0.24, 0.01);
-
-                // Map slider (0-2) to density contrast (-1 to +1).
-                // We allow d_in to be positive. The integral handles it correctly.
-                float d_in = u_mass - 1.0;
-
-                float alpha = void_toy_deflection(r, rv, d_in, u_wall_density, u_wall_width);
-                float voidStrength = 0.15 * depth;
-                deflection = normalize(distVec) * voidStrength * alpha;
-            }
-            else if (u_model < 3.5) {
-                // 3: HSW Void (Texture Lookup)
-                float rv = max(u_spread * 0.24, 0.01);
-                float max_r = 20.0 * rv;
-                // Shift to pixel center and clamp to [0, 1] range to avoid edge artifacts
-                float tex_coord = clamp((r / max_r) + (0.5 / 8192.0), 0.0, 1.0);
-
-                float alpha = 0.0;
-                if (tex_coord <= 1.0) {
-                    // Texture stores absolute value.
-                    // Multiply by -1.0 to restore negative mass (diverging void).
-                    alpha = -1.0 * texture2D(u_hsw_tex, vec2(tex_coord, 0.5)).r;
-                }
-
-                // HSW visual strength multiplier
-                float hswStrength = 0.33 * depth;
-                deflection = normalize(distVec) * hswStrength * alpha;
-            }
-            else {
-                // 4: Elliptical Halo (NIE), based on R. Kormann et al. 1994 'Isothermal elliptical gravitational lens models'
-                float b = baseStrength * depth * 8.0;
-                float s_avg = max(u_spread * 0.1, 0.005);
-                float q = 1.0 - u_ellipticity;
-
-                // Scale the minor axis by sqrt(q) to preserve the average core area
-                float s = s_avg * sqrt(q);
-                float theta = u_angle * 3.14159 / 180.0;
-
-                deflection = nie_deflection(distVec, b, s, q, theta);
-            }
+            vec2 deflection = layer_deflection(uv, alphaHat, layerDist, efficiency, aspect);
 
             // Apply Parallax and Lensing Deflection
             float scale = 1.0 + i * 0.12;
@@ -350,74 +510,114 @@ const fragmentShader = `
                 texColor = mappedColor;
             }
 
+            // The star is a small disk in the source plane, so its lensed images grow with the magnification
+            if (u_show_source > 0.5 && i == u_layers - 1.0) {
+                vec2 starOffset = lens_offset(uv, u_source_pos, aspect) - deflection;
+                float star = exp(-dot(starOffset, starOffset) / (2.0 * SOURCE_STAR_SIGMA * SOURCE_STAR_SIGMA));
+                texColor += vec3(1.0, 0.95, 0.8) * star * 2.0;
+            }
+
             finalColor += texColor * layerBrightness;
         }
 
-        // Render the Dark Matter Halo Glow (if enabled)
-        if (u_show_core > 0.5) {
-            if (u_model < 1.5 || u_model > 3.5) {
-                // Standard Cluster Halo
-                float eff_r = r;
-                if (u_model > 3.5) {
-                    float c = cos(u_angle * 3.14159 / 180.0);
-                    float sn = sin(u_angle * 3.14159 / 180.0);
-                    vec2 rotR = vec2(c * distVec.x + sn * distVec.y, -sn * distVec.x + c * distVec.y);
-                    float q = clamp(1.0 - u_ellipticity, 0.1, 1.0);
-
-                    eff_r = sqrt(q * rotR.x*rotR.x + (1.0/q) * rotR.y*rotR.y);
+        // False-colour lens map over the lensed image (lens markers & foreground stay on top)
+        if (u_map_mode > 0.5) {
+            float value = lens_map_value(uv, aspect);
+            float t = clamp((value - u_map_limits.x) / (u_map_limits.y - u_map_limits.x), 0.0, 1.0);
+            // Texel centres, as sampleColormap in lens-maps.js
+            vec3 mapColor = texture2D(u_colormap_tex, vec2((t * 255.0 + 0.5) / 256.0, u_colormap_row)).rgb;
+            finalColor = mix(finalColor, mapColor, u_map_opacity);
+        }
+
+        for (int k = 0; k < MAX_LENSES; k++) {
+            if (float(k) >= u_lens_count) break;
+
+            float model = u_lens_model[k];
+            float mass = u_lens_mass[k];
+            float spread = u_lens_spread[k];
+            vec4 params = u_lens_params[k];
+            vec2 distVec = lens_offset(uv, u_lens_pos[k], aspect);
+            float r = length(distVec);
+
+            // Microlens: mark the point masses instead of a halo
+            if (model > 6.5) {
+                if (u_show_core > 0.5) {
+                    for (int j = 0; j < MAX_MICRO; j++) {
+                        vec4 point = u_lens_micro[k * MAX_MICRO + j];
+                        float star = smoothstep(0.004, 0.002, length(distVec - point.xy)) * step(0.0001, point.z);
+                        finalColor = mix(finalColor, vec3(1.0, 0.9, 0.6), star * 0.8);
+                    }
                 }
-                float haloSize = (u_model > 0.5 && u_model < 1.5 || u_model > 3.5) ? max(u_spread * 0.2, 0.05) : u_mass * 0.1;
-                float halo = smoothstep(haloSize, 0.0, eff_r);
-                vec3 haloColor = vec3(0.1, 0.12, 0.2) + vec3(0.4, 0.35, 0.3) * halo;
-                finalColor += halo * haloColor * 0.3;
-            } else {
-                // Void Boundary & Center Markers
-                float rv = max(u_spread * 0.24, 0.01);
-
-                // 1. Dotted Outline at Boundary (rv)
-                float distFromBound = abs(r - rv);
-                float outline = smoothstep(0.003, 0.0, distFromBound);
-                float angle = atan(distVec.y, distVec.x);
-                float dashes = step(0.0, sin(angle * 40.0));
-                vec3 outlineColor = vec3(0.7); // Bright Grey
-                finalColor = mix(finalColor, outlineColor, outline * dashes * 0.8);
-
-                // 2. X Cross at Center
-                // Rotate coordinates by 45 degrees
-                float s = 0.7071;
-                vec2 local = distVec;
-                vec2 rot = vec2(local.x * s - local.y * s, local.x * s + local.y * s);
-                float thickness = 0.0015;
-                float size = 0.0075;
-                float cross = 0.0;
-
-                if (abs(rot.x) < thickness && abs(rot.y) < size) cross = 1.0;
-                if (abs(rot.y) < thickness && abs(rot.x) < size) cross = 1.0;
-
-                finalColor = mix(finalColor, outlineColor, cross);
-
-                // Show Outer Wall Edge for Toy Model
-                if (u_model > 1.5 && u_model < 2.5) {
-                    float r_outer = rv * (1.0 + u_wall_width);
-                    float distOut = abs(r - r_outer);
-                    float outline2 = smoothstep(0.002, 0.0, distOut);
-                    vec3 wallColor = vec3(0.3, 0.5, 0.8);
-                    finalColor = mix(finalColor, wallColor, outline2 * 0.5);
+                continue;
+            }
+
+            // A κ map brings its own mass distribution: no halo glow or member galaxies
+            if (model > 5.5) continue;
+
+            // Render the Dark Matter Halo Glow (if enabled)
+            if (u_show_core > 0.5) {
+                if (model < 1.5 || model > 3.5) {
+                    // Standard Cluster Halo
+                    float eff_r = r;
+                    if (model > 3.5 && model < 4.5) {
+                        float c = cos(params.w * 3.14159 / 180.0);
+                        float sn = sin(params.w * 3.14159 / 180.0);
+                        vec2 rotR = vec2(c * distVec.x + sn * distVec.y, -sn * distVec.x + c * distVec.y);
+                        float q = clamp(1.0 - params.z, 0.1, 1.0);
+
+                        eff_r = sqrt(q * rotR.x*rotR.x + (1.0/q) * rotR.y*rotR.y);
+                    }
+                    float haloSize = (model > 0.5 && model < 1.5 || model > 3.5) ? max(spread * 0.2, 0.05) : mass * 0.1;
+                    float halo = smoothstep(haloSize, 0.0, eff_r);
+                    vec3 haloColor = vec3(0.1, 0.12, 0.2) + vec3(0.4, 0.35, 0.3) * halo;
+                    finalColor += halo * haloColor * 0.3;
+                } else {
+                    // Void Boundary & Center Markers
+                    float rv = max(spread * 0.24, 0.01);
+
+                    // 1. Dotted Outline at Boundary (rv)
+                    float distFromBound = abs(r - rv);
+                    float outline = smoothstep(0.003, 0.0, distFromBound);
+                    float angle = atan(distVec.y, distVec.x);
+                    float dashes = step(0.0, sin(angle * 40.0));
+                    vec3 outlineColor = vec3(0.7); // Bright Grey
+                    finalColor = mix(finalColor, outlineColor, outline * dashes * 0.8);
+
+                    // 2. X Cross at Center
+                    // Rotate coordinates by 45 degrees
+                    float s = 0.7071;
+                    vec2 local = distVec;
+                    vec2 rot = vec2(local.x * s - local.y * s, local.x * s + local.y * s);
+                    float thickness = 0.0015;
+                    float size = 0.0075;
+                    float cross = 0.0;
+
+                    if (abs(rot.x) < thickness && abs(rot.y) < size) cross = 1.0;
+                    if (abs(rot.y) < thickness && abs(rot.x) < size) cross = 1.0;
+
+                    finalColor = mix(finalColor, outlineColor, cross);
+
+                    // Show Outer Wall Edge for Toy Model
+                    if (model > 1.5 && model < 2.5) {
+                        float r_outer = rv * (1.0 + params.y);
+                        float distOut = abs(r - r_outer);
+                        float outline2 = smoothstep(0.002, 0.0, distOut);
+                        vec3 wallColor = vec3(0.3, 0.5, 0.8);
+                        finalColor = mix(finalColor, wallColor, outline2 * 0.5);
+                    }
                 }
             }
-        }
 
-        // Render the Foreground Cluster (The Lens Object)
-        // Only visible if NOT in Void mode
-        if ((u_model < 1.5 || u_model > 3.5) && u_show_cluster > 0.5) {
-            vec2 memberUvCenter = uv - u_mouse;
-            memberUvCenter.x *= aspect;
-            vec2 memberUv = memberUvCenter / (u_spread * 0.24) + 0.5;
-
-            if(memberUv.x > 0.0 && memberUv.x < 1.0 && memberUv.y > 0.0 && memberUv.y < 1.0) {
-                vec4 clusterSample = texture2D(u_cluster, memberUv);
-                vec3 clusterRgb = clusterSample.rgb * u_brightness;
-                finalColor = mix(finalColor, clusterRgb, clusterSample.a);
+            // Render the Foreground Cluster (The Lens Object)
+            // Only visible if NOT in Void mode
+            if ((model < 1.5 || model > 3.5) && u_show_cluster > 0.5) {
+                vec2 memberUv = distVec / (spread * 0.24) + 0.5;
+
+                if(memberUv.x > 0.0 && memberUv.x < 1.0 && memberUv.y > 0.0 && memberUv.y < 1.0) {
+                    vec4 clusterSample = texture2D(u_cluster, memberUv);
+                    vec3 clusterRgb = clusterSample.rgb * u_brightness;
+                    finalColor = mix(finalColor, clusterRgb, clusterSample.a);
+                }
             }
         }
 
@@ -0,0 +1,121 @@
+/**
+ * Stacked Shear Module
+ * Weak-lensing measurement on the mock catalog (catalog.js): galaxies are binned in annuli around the
+ * lens and their tangential ellipticities e_t = -Re(ε e^{-2iφ}) averaged, which estimates the reduced
+ * tangential shear g_t(R). The intrinsic shapes add shape noise σ_e / √n per bin.
+ * Only the field of the current lens is measured. Stacking N lenses multiplies the number of galaxies per
+ * bin by N, so for a stack the errors σ_e / √(nN) around the mean reduced shear of the catalog and the
+ * detection significance are predicted rather than measured.
+ */
+
+// Logarithmic radial bins in units of the plot radius (scale or void radius)
+const STACK_BIN_COUNT = 10;
+const STACK_RADII = [0.1, 5.0];
+
+// Bins with fewer galaxies give no usable mean or scatter
+const STACK_MIN_GALAXIES = 3;
+
+/**
+ * Tangential components of a catalog row around the lens
+ * @param {Object} row - Row from LensingCatalog.generateCatalog()
+ * @returns {Object} { r (screen-height units), et (ellipticity), gt (reduced shear) }
+ */
+function getTangentialComponents(row) {
+    const phi = Math.atan2(row.y, row.x);
+    const c = Math.cos(2.0 * phi);
+    const s = Math.sin(2.0 * phi);
+    return {
+        r: Math.hypot(row.x, row.y),
+        et: -(row.e1 * c + row.e2 * s),
+        gt: -(row.g1 * c + row.g2 * s),
+    };
+}
+
+/**
+ * Model reduced tangential shear of the catalog: the circular profile of the lens in every layer
+ * (efficiency & parallax zoom as in the catalog), weighted by the galaxies per layer
+ * @param {Object} config - The configuration object
+ * @param {Object[]} rows - Rows from LensingCatalog.generateCatalog()
+ * @param {number} x - Radius in units of the plot radius
+ * @returns {number|null} g_t, or null for lenses without a circular profile
+ */
+function getStackedShearModel(config, rows, x) {
+    const kappa = LensingProfileCurves.getProfileValue(config, 'kappa', x);
+    const gamma = LensingProfileCurves.getProfileValue(config, 'gammaT', x);
+    if (kappa === null || rows.length === 0) return null;
+
+    const layers = new Map();
+    rows.forEach((row) => {
+        const layer = layers.get(row.layer) || { efficiency: row.efficiency, count: 0 };
+        layer.count += 1;
+        layers.set(row.layer, layer);
+    });
+
+    let sum = 0;
+    layers.forEach((layer, index) => {
+        const weight = layer.efficiency / (1.0 + (index - 1) * 0.12);
+        sum += layer.count * ((weight * gamma) / (1.0 - weight * kappa));
+    });
+    return sum / rows.length;
+}
+
+/**
+ * Stacked tangential shear profile
+ * @param {Object[]} rows - Rows from LensingCatalog.generateCatalog()
+ * @param {Object} config - The configuration object
+ * @param {number} stackedLenses - Number of stacked lenses
+ * @returns {Object} { bins: [{ x, count, mean, error, expected, stackError, model }], snr } with radii in
+ *   plot-radius units: mean ± error is measured on the one field, expected ± stackError is the mean reduced
+ *   shear with the predicted error of the stack, and snr the predicted significance of the stack
+ */
+function measureStackedShear(rows, config, stackedLenses) {
+    const { radius } = LensingProfileCurves.getPlotRadius(config);
+    const [xMin, xMax] = STACK_RADII;
+    const logStep = Math.log(xMax / xMin) / STACK_BIN_COUNT;
+    const sums = Array.from({ length: STACK_BIN_COUNT }, () => ({
+        count: 0, et: 0, et2: 0, gt: 0,
+    }));
+
+    rows.forEach((row) => {
+        const t = getTangentialComponents(row);
+        const bin = Math.floor(Math.log(t.r / radius / xMin) / logStep);
+        if (bin >= 0 && bin < STACK_BIN_COUNT && Number.isFinite(t.et)) {
+            sums[bin].count += 1;
+            sums[bin].et += t.et;
+            sums[bin].et2 += t.et * t.et;
+            sums[bin].gt += t.gt;
+        }
+    });
+
+    let chi2 = 0;
+    const bins = [];
+    sums.forEach((sum, i) => {
+        if (sum.count < STACK_MIN_GALAXIES) return;
+        const x = xMin * Math.exp((i + 0.5) * logStep);
+        const meanEt = sum.et / sum.count;
+        const meanGt = sum.gt / sum.count;
+        const sigma = Math.sqrt(Math.max(sum.et2 / sum.count - meanEt * meanEt, 0.0));
+        const stackError = sigma / Math.sqrt(sum.count * stackedLenses);
+
+        bins.push({
+            x,
+            count: sum.count,
+            mean: meanEt,
+            error: sigma / Math.sqrt(sum.count),
+            expected: meanGt,
+            stackError,
+            model: getStackedShearModel(config, rows, x),
+        });
+        if (stackError > 0) chi2 += (meanGt / stackError) ** 2;
+    });
+
+    // Expected detection significance of the true shear in the stack
+    return { bins, snr: Math.sqrt(chi2) };
+}
+
+// Export for use in other modules
+window.LensingStacking = {
+    STACK_RADII,
+    getStackedShearModel,
+    measureStackedShear,
+};
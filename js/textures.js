@@ -3,14 +3,19 @@
  * Contains all texture creation functions for backgrounds, clusters, and grids
  */
 
+// Galaxies of the last generated deep field (see getBackgroundCatalog)
+let backgroundCatalog = [];
+
 /**
  * Generates the deep field background of galaxies.
+ * The drawn galaxies are kept as a catalog for the mock catalog export.
  * @param {number} density - Density multiplier for galaxy count
+ * @param {number} [scale] - Resolution multiplier (the same galaxies, drawn sharper for poster exports)
  * @returns {THREE.CanvasTexture} The generated background texture
  */
-function createBackgroundTexture(density) {
+function createBackgroundTexture(density, scale = 1) {
     const isMobile = window.innerWidth < 768;
-    const size = isMobile ? 1024 : 2048;
+    const size = (isMobile ? 1024 : 2048) * scale;
 
     const canvas = document.createElement('canvas');
     canvas.width = size;
@@ -43,9 +48,10 @@ function createBackgroundTexture(density) {
     const baseCount = isMobile ? 350 : 733;
     const count = Math.floor(baseCount * density);
     const sizeScale = size / 2048;
+    const catalog = [];
 
     for (let i = 0; i < count; i++) {
-        drawGalaxyClassic(
+        const galaxy = drawGalaxyClassic(
             ctx,
             size,
             {
@@ -56,10 +62,28 @@ function createBackgroundTexture(density) {
             },
             rng,
         );
+
+        // Texture coordinates (the canvas is flipped on upload, so v points up and the angle changes sign)
+        catalog.push({
+            u: galaxy.x / size,
+            v: 1.0 - galaxy.y / size,
+            size: galaxy.size / size,
+            axisRatio: galaxy.aspect,
+            angle: -galaxy.angle,
+        });
     }
+    backgroundCatalog = catalog;
     return new THREE.CanvasTexture(canvas);
 }
 
+/**
+ * Galaxies of the last generated deep field
+ * @returns {Object[]} { u, v, size (texture units), axisRatio (minor / major), angle (major axis, radians) }
+ */
+function getBackgroundCatalog() {
+    return backgroundCatalog;
+}
+
 /**
  * Generates a simple Black and White Grid for testing lensing distortions.
  * @returns {THREE.CanvasTexture} The generated grid texture
@@ -182,11 +206,12 @@ function createDottedGridTexture(density) {
  * Generates the "Lens" object itself - the cluster of galaxies in the foreground
  * that acts as the gravitational lens.
  * @param {number} density - Density multiplier for galaxy count
+ * @param {number} [scale] - Resolution multiplier (see createBackgroundTexture)
  * @returns {THREE.CanvasTexture} The generated cluster texture
  */
-function createClusterTexture(density) {
+function createClusterTexture(density, scale = 1) {
     const isMobile = window.innerWidth < 768;
-    const size = isMobile ? 512 : 1024;
+    const size = (isMobile ? 512 : 1024) * scale;
 
     const canvas = document.createElement('canvas');
     canvas.width = size;
@@ -274,11 +299,12 @@ function createClusterTexture(density) {
  * Generates foreground noise/objects that are NOT part of the lens or the background.
  * Used to add depth parallax.
  * @param {number} density - Density multiplier for galaxy count
+ * @param {number} [scale] - Resolution multiplier (see createBackgroundTexture)
  * @returns {THREE.CanvasTexture} The generated foreground texture
  */
-function createForegroundTexture(density) {
+function createForegroundTexture(density, scale = 1) {
     const isMobile = window.innerWidth < 768;
-    const size = isMobile ? 1024 : 2048;
+    const size = (isMobile ? 1024 : 2048) * scale;
 
     const canvas = document.createElement('canvas');
     canvas.width = size;
@@ -314,6 +340,7 @@ function createForegroundTexture(density) {
 // Export for use in other modules
 window.LensingTextures = {
     createBackgroundTexture,
+    getBackgroundCatalog,
     createBWGridTexture,
     createColorGridTexture,
     createDottedGridTexture,
@@ -6,16 +6,11 @@
 // DOM Element References
 let uiLayer;
 let toggleBtn;
-let massSlider;
-let spreadSlider;
 let layersSlider;
-let brightSlider;
 let densitySlider;
 let coreCheck;
 let fgCheck;
 let clusterCheck;
-let massLabel;
-let spreadLabel;
 let coreLabel;
 let btnVoid;
 let btnPoint;
@@ -28,9 +23,81 @@ let layerList;
 let bgUploadInput;
 let uploadLabel;
 let densityLabelText;
+let lensList;
+let addLensBtn;
+let cosmoCheck;
+let cosmoControls;
+let cosmoInfo;
+let unitsCheck;
+let unitsControls;
+let unitsInfo;
+let plotCheck;
+let causticCheck;
+let plotContainer;
+let plotCanvas;
+let hswLink;
+let btnHSW;
+let btnElliptical;
+let btnProfile;
+let profileSelect;
+let profileParams;
+let profileFormulaGroup;
+let profileFormula;
+let profileFormulaError;
+let btnKappa;
+let btnMicro;
+let microCountSlider;
+let microParams;
+let kappaUploadInput;
+let kappaPixelSlider;
+let kappaInfo;
+let lightCurveCheck;
+let lightCurveContainer;
+let lightCurveCanvas;
+let lightCurveInfo;
+let pickSourceBtn;
+let mapControls;
+let mapColormapSelect;
+let mapOpacitySlider;
+let mapRangeSlider;
+let colorbarCanvas;
+let whiskerCheck;
+let whiskerControls;
+let whiskerDensitySlider;
+let whiskerScaleSlider;
+let whiskerColorInput;
+let plotQuantitySelect;
+let plotLogXCheck;
+let plotLogYCheck;
+let stackCheck;
+let stackControls;
+let stackCountSlider;
+let stackCanvas;
+let stackInfo;
+let recordCheck;
+let recordControls;
+let recordDrawBtn;
+let recordBtn;
+let recordInfo;
+let snapshotSelect;
+let snapshotCustom;
+let snapshotInfo;
+let scenePresetSelect;
+let scenePresetInfo;
 
 // UI State
 let isMin = false;
+let plotHoverX = null; // Cursor position over the profile plot (canvas pixels)
+let stackRows = null; // Mock catalog of the last stacked shear measurement
+let recordDraft = null; // Control points of a path being drawn on the sky
+
+// Radius range of the profile curves in units of the scale radius (logarithmic & linear axis)
+const PLOT_LOG_RADII = [0.01, 10.0];
+const PLOT_LINEAR_MAX_RADIUS = 2.5;
+
+// Delay of the URL update after the last change of the scene (ms)
+const SCENE_HASH_DELAY = 400;
+let sceneHashTimer = null;
 
 /**
  * Initialize all UI element references
@@ -39,29 +106,16 @@ function initUIElements() {
     uiLayer = document.getElementById('ui-layer');
     toggleBtn = document.getElementById('toggle-btn');
 
-    massSlider = document.getElementById('mass-slider');
-    spreadSlider = document.getElementById('spread-slider');
+    // The other sliders of the schema are bound by their ids (see setupSliders)
     layersSlider = document.getElementById('layers-slider');
-    brightSlider = document.getElementById('bright-slider');
     densitySlider = document.getElementById('density-slider');
 
-    // Toy Model Sliders
-    wallDensitySlider = document.getElementById('wall-density-slider');
-    wallWidthSlider = document.getElementById('wall-width-slider');
-
-    // HSW Sliders
-    hswRsSlider = document.getElementById('hsw-rs-slider');
-    hswAlphaSlider = document.getElementById('hsw-alpha-slider');
-    hswBetaSlider = document.getElementById('hsw-beta-slider');
-
     coreCheck = document.getElementById('core-check');
     plotCheck = document.getElementById('plot-check');
     fgCheck = document.getElementById('fg-check');
     clusterCheck = document.getElementById('cluster-check');
     causticCheck = document.getElementById('caustic-check');
 
-    massLabel = document.getElementById('mass-label');
-    spreadLabel = document.getElementById('spread-label');
     coreLabel = document.getElementById('core-label');
 
     btnVoid = document.getElementById('btn-model-void');
@@ -78,14 +132,86 @@ function initUIElements() {
     uploadLabel = document.getElementById('upload-label');
     densityLabelText = document.getElementById('density-label-text');
 
+    // Lens List
+    lensList = document.getElementById('lens-list');
+    addLensBtn = document.getElementById('add-lens-btn');
+
     // Plotting & Links
     plotContainer = document.getElementById('plot-container');
     plotCanvas = document.getElementById('mass-plot');
     hswLink = document.getElementById('hsw-link');
     btnHSW = document.getElementById('btn-model-hsw'); // Added HSW button
+    btnProfile = document.getElementById('btn-model-profile');
+    profileSelect = document.getElementById('profile-select');
+    profileParams = document.getElementById('profile-params');
+    profileFormulaGroup = document.getElementById('profile-formula-group');
+    profileFormula = document.getElementById('profile-formula');
+    profileFormulaError = document.getElementById('profile-formula-error');
     btnElliptical = document.getElementById('btn-model-elliptical');
-    ellipticitySlider = document.getElementById('ellipticity-slider');
-    angleSlider = document.getElementById('angle-slider');
+
+    // Cosmology Controls
+    cosmoCheck = document.getElementById('cosmo-check');
+    cosmoControls = document.getElementById('cosmo-controls');
+    cosmoInfo = document.getElementById('cosmo-info');
+    unitsCheck = document.getElementById('units-check');
+    unitsControls = document.getElementById('units-controls');
+    unitsInfo = document.getElementById('units-info');
+
+    // Microlens
+    btnMicro = document.getElementById('btn-model-micro');
+    microCountSlider = document.getElementById('micro-count-slider');
+    microParams = document.getElementById('micro-params');
+
+    // Light Curve
+    lightCurveCheck = document.getElementById('lightcurve-check');
+    lightCurveContainer = document.getElementById('lightcurve-container');
+    lightCurveCanvas = document.getElementById('lightcurve-plot');
+    lightCurveInfo = document.getElementById('lightcurve-info');
+    pickSourceBtn = document.getElementById('pick-source-btn');
+
+    // Lens Maps
+    mapControls = document.getElementById('map-controls');
+    mapColormapSelect = document.getElementById('map-colormap-select');
+    mapOpacitySlider = document.getElementById('map-opacity-slider');
+    mapRangeSlider = document.getElementById('map-range-slider');
+    colorbarCanvas = document.getElementById('colorbar');
+
+    // Shear Whiskers
+    whiskerCheck = document.getElementById('whisker-check');
+    whiskerControls = document.getElementById('whisker-controls');
+    whiskerDensitySlider = document.getElementById('whisker-density-slider');
+    whiskerScaleSlider = document.getElementById('whisker-scale-slider');
+    whiskerColorInput = document.getElementById('whisker-color');
+
+    // Profile Plot
+    plotQuantitySelect = document.getElementById('plot-quantity-select');
+    plotLogXCheck = document.getElementById('plot-log-x');
+    plotLogYCheck = document.getElementById('plot-log-y');
+
+    // Stacked Shear
+    stackCheck = document.getElementById('stack-check');
+    stackControls = document.getElementById('stack-controls');
+    stackCountSlider = document.getElementById('stack-count-slider');
+    stackCanvas = document.getElementById('stack-plot');
+    stackInfo = document.getElementById('stack-info');
+
+    // Video Recording
+    recordCheck = document.getElementById('record-check');
+    recordControls = document.getElementById('record-controls');
+    recordDrawBtn = document.getElementById('record-draw-btn');
+    recordBtn = document.getElementById('record-btn');
+    recordInfo = document.getElementById('record-info');
+
+    // Snapshot Size
+    snapshotSelect = document.getElementById('snapshot-size-select');
+    snapshotCustom = document.getElementById('snapshot-custom');
+    snapshotInfo = document.getElementById('snapshot-info');
+
+    // Custom κ Map
+    btnKappa = document.getElementById('btn-model-kappa');
+    kappaUploadInput = document.getElementById('kappa-upload');
+    kappaPixelSlider = document.getElementById('kappa-pixel-slider');
+    kappaInfo = document.getElementById('kappa-info');
 }
 
 /**
@@ -111,74 +237,256 @@ function setupToggleButton() {
 }
 
 /**
- * Perform high-precision CPU calculation for HSW deflection.
- * Stores result in the global DataTexture `LensingApp.hswTexture`.
+ * Request the high-precision CPU calculation of the deflection lookup table of the selected lens
+ * (HSW void or radial profile). The table is integrated in the profile worker and stored in its row of
+ * `LensingApp.profileTexture`; the readouts that depend on it are refreshed once it arrives.
+ * @param {Object} config - The configuration object
+ * @param {boolean} [preview] - Coarse table while a slider is dragged
  */
-function updateHSWLookup(config) {
-    if (!LensingApp.hswTexture) return;
+function updateProfileLookup(config, preview = false) {
+    // A failed integration (e.g. a typed formula that throws) keeps the last table and is shown
+    // below the formula field until a table is integrated again
+    const failure = 'The profile could not be integrated';
+    const onComplete = (error) => {
+        if (error) {
+            profileFormulaError.innerText = `${failure}: ${error.message}`;
+            return;
+        }
+        if (profileFormulaError.innerText.startsWith(failure)) profileFormulaError.innerText = '';
+        updatePlot();
+        updatePhysicalUnits(config);
+        updateExaggerationInfo(config);
+    };
 
-    // TEXTURE RESOLUTION
-    const size = 8192;
-    const data = LensingApp.hswTexture.image.data;
+    if (config.model === 3) {
+        const hswParams = {
+            deltac: config.hswDeltac,
+            rs: config.hswRs,
+            alpha: config.hswAlpha,
+            beta: config.hswBeta,
+        };
+        // The signed table keeps the diverging core and the converging compensation wall
+        LensingProfiles.requestLookupRow(
+            LensingApp.selectedLens,
+            { profile: 'hsw', params: hswParams },
+            { preview },
+            onComplete,
+        );
+    } else if (config.model === 5) {
+        // Typed formulas keep their own amplitude (and sign), built-in profiles are normalised
+        const profile = LensingProfiles.getLensProfile(config);
+        LensingProfiles.requestLookupRow(
+            LensingApp.selectedLens,
+            { profile: config.profile, formula: config.profileFormula, params: config.profileParams },
+            { normalize: !profile.custom, preview },
+            onComplete,
+        );
+    }
+}
 
-    // PARAMETERS
-    const dc = config.hswDeltac;
-    const rs = config.hswRs;
-    const alpha = config.hswAlpha;
-    const beta = config.hswBeta;
+/**
+ * Format a plotted value compactly
+ * @param {number} value - The value
+ * @returns {string} Three significant digits, in exponential notation for very large or small values
+ */
+function formatPlotValue(value) {
+    const abs = Math.abs(value);
+    if (abs >= 1e4 || (abs > 0 && abs < 1e-2)) return value.toExponential(2);
+    return value.toPrecision(3);
+}
 
-    // INTEGRATION BOUNDS
-    // max_r = 20.0 ensures we capture the long gravitational tail.
-    const max_r = 20.0;
-    const dr = max_r / size;
+/**
+ * Grid line spacing of a linear axis (1, 2 or 5 times a power of ten)
+ * @param {number} span - Length of the axis
+ * @param {number} count - Approximate number of grid lines
+ * @returns {number} Spacing
+ */
+function getTickStep(span, count) {
+    const raw = span / count;
+    const magnitude = 10 ** Math.floor(Math.log10(raw));
+    return [1, 2, 5, 10].find((step) => step * magnitude >= raw) * magnitude;
+}
 
-    // DEPTH SETTINGS
-    // z_max matches max_r for isotropic integration
-    const z_max = max_r;
-    const z_steps = 1000;
-    const dz = z_max / z_steps;
+/**
+ * Draw the hover cursor of the plot with its readout
+ * @param {CanvasRenderingContext2D} ctx - Plot context
+ * @param {number} px - Cursor column
+ * @param {number} py - Curve height at the cursor
+ * @param {number} w - Canvas width
+ * @param {number} h - Canvas height
+ * @param {string} text - Readout
+ */
+function drawPlotCursor(ctx, px, py, w, h, text) {
+    ctx.strokeStyle = 'rgba(255,255,255,0.4)';
+    ctx.lineWidth = 1;
+    ctx.beginPath(); ctx.moveTo(px, 0); ctx.lineTo(px, h); ctx.stroke();
 
-    // Helper: HSW Density Profile
-    function getDensityHSW(r_3d) {
-        if (r_3d < 0.0001) return dc;
+    ctx.fillStyle = '#fff';
+    ctx.beginPath(); ctx.arc(px, Math.min(Math.max(py, 0), h), 3, 0, 2 * Math.PI); ctx.fill();
 
-        let x = r_3d / rs;
-        let term1 = 1.0 - Math.pow(x, alpha);
-        let term2 = 1.0 + Math.pow(x, beta);
+    // Readout on the side of the cursor with more room
+    const onLeft = px > w / 2;
+    ctx.font = '10px monospace';
+    ctx.textAlign = onLeft ? 'right' : 'left';
+    ctx.fillText(text, px + (onLeft ? -6 : 6), 26);
+}
 
-        return dc * term1 / term2;
+/**
+ * Readout of a radius at the cursor, in kpc as well with physical units switched on
+ * @param {Object} config - The configuration object
+ * @param {number} x - Radius in units of the plot radius
+ * @param {string} symbol - Radius symbol (r or R)
+ * @returns {string} Readout
+ */
+function formatPlotRadius(config, x, symbol) {
+    const { radius, name } = LensingProfileCurves.getPlotRadius(config);
+    let text = `${symbol}=${x.toFixed(2)} ${name}`;
+    if (config.physicalUnits > 0.5) {
+        const { dL, scale } = LensingUnits.getLensPlaneScales(config);
+        text += ` (${(x * radius * dL * scale * 1000).toFixed(0)} kpc)`;
     }
+    return text;
+}
 
-    // --- CYLINDRICAL INTEGRATION ---
-    let current_mass_2d = 0.0;
-
-    for (let i = 0; i < size; i++) {
-        let R = (i + 0.5) * dr; // Distance on sky
+/**
+ * Draw a lensing profile (κ, κ̄, γ_t, ΔΣ, α or M) with axes, grid and the hover readout
+ * Logarithmic y axes show |value|, with the negative parts (voids) dashed.
+ * @param {Object} config - The configuration object
+ * @param {CanvasRenderingContext2D} ctx - Plot context
+ * @param {number} w - Canvas width
+ * @param {number} h - Canvas height
+ */
+function drawProfileCurve(config, ctx, w, h) {
+    const quantity = LensingProfileCurves.getPlotQuantity(config.plotQuantity);
+    const unit = LensingProfileCurves.getPlotUnit(config, quantity.id);
+    const { name } = LensingProfileCurves.getPlotRadius(config);
+    const logX = config.plotLogX > 0.5;
+    const logY = config.plotLogY > 0.5;
+    const left = 36;
+    const top = 16;
+    const bottom = h - 14;
+
+    // Radius axis
+    const [rMin, rMax] = logX ? PLOT_LOG_RADII : [0.0, PLOT_LINEAR_MAX_RADIUS];
+    const toX = (x) => left + (logX ? Math.log10(x / rMin) / Math.log10(rMax / rMin) : x / rMax) * (w - left);
+    const toRadius = (px) => {
+        const t = (px - left) / (w - left);
+        return logX ? rMin * (rMax / rMin) ** t : Math.max(t * rMax, 0.005);
+    };
 
-        // 1. Calculate Surface Density Sigma(R)
-        let sigma = 0.0;
+    const samples = [];
+    for (let px = left; px <= w; px++) {
+        const v = LensingProfileCurves.getProfileValue(config, quantity.id, toRadius(px));
+        if (v === null) return;
+        if (Number.isFinite(v)) samples.push({ px, v });
+    }
+    if (samples.length < 2) return;
+
+    // Value axis
+    let yMin;
+    let yMax;
+    if (logY) {
+        const magnitudes = samples.map((s) => Math.abs(s.v)).filter((v) => v > 0);
+        const peak = magnitudes.length > 0 ? Math.max(...magnitudes) : 1.0;
+        yMax = Math.ceil(Math.log10(peak));
+        yMin = Math.max(Math.floor(Math.log10(Math.min(...magnitudes, peak))), yMax - 4);
+        if (yMin === yMax) yMin -= 1;
+    } else {
+        yMin = Math.min(0.0, ...samples.map((s) => s.v));
+        yMax = Math.max(0.0, ...samples.map((s) => s.v));
+        if (yMax - yMin < 1e-12) yMax = yMin + 1.0;
+        const pad = 0.1 * (yMax - yMin);
+        yMax += pad;
+        if (yMin < 0) yMin -= pad;
+    }
+    const toY = (v) => {
+        const y = logY ? Math.log10(Math.max(Math.abs(v), 10 ** (yMin - 1))) : v;
+        return bottom - ((y - yMin) / (yMax - yMin)) * (bottom - top);
+    };
 
-        for (let j = 0; j < z_steps; j++) {
-            let z = (j + 0.5) * dz;
-            let r_3d = Math.sqrt(R*R + z*z);
-            sigma += getDensityHSW(r_3d);
+    // Grid & tick labels
+    ctx.lineWidth = 1;
+    ctx.font = '9px monospace';
+    ctx.fillStyle = 'rgba(255,255,255,0.5)';
+    ctx.textAlign = 'right';
+    const yTicks = [];
+    if (logY) {
+        const every = yMax - yMin > 4 ? 2 : 1;
+        for (let k = yMin; k <= yMax; k += every) yTicks.push({ y: toY(10 ** k), label: `1e${k}` });
+    } else {
+        const step = getTickStep(yMax - yMin, 3);
+        for (let t = Math.ceil(yMin / step) * step; t <= yMax; t += step) {
+            yTicks.push({ y: toY(t), label: formatPlotValue(Math.abs(t) < step * 1e-6 ? 0 : t) });
         }
-        // Multiply by dz and 2.0 (symmetry: -z to +z)
-        sigma *= 2.0 * dz;
+    }
+    yTicks.forEach((tick) => {
+        ctx.strokeStyle = 'rgba(255,255,255,0.08)';
+        ctx.beginPath(); ctx.moveTo(left, tick.y); ctx.lineTo(w, tick.y); ctx.stroke();
+        ctx.fillText(tick.label, left - 3, tick.y + 3);
+    });
 
-        // 2. Add to Enclosed Mass (Cylindrical Shell)
-        current_mass_2d += sigma * R * dr;
+    ctx.textAlign = 'center';
+    const xTicks = logX ? [0.01, 0.1, 1, 10] : [0, 0.5, 1, 1.5, 2, 2.5];
+    xTicks.forEach((x) => {
+        ctx.strokeStyle = 'rgba(255,255,255,0.08)';
+        ctx.beginPath(); ctx.moveTo(toX(x), top); ctx.lineTo(toX(x), bottom); ctx.stroke();
+        if (x > rMin && x < rMax) ctx.fillText(`${x}`, toX(x), h - 3);
+    });
 
-        // 3. Store Deflection: Mass / R
-        if (R < 0.001) {
-            data[i * 4] = 0.0;
-        } else {
-            // Store Absolute Value to avoid texture clipping negative numbers
-            data[i * 4] = Math.abs(current_mass_2d / R);
+    // Axes, zero line & the scale radius
+    ctx.strokeStyle = 'rgba(255,255,255,0.3)';
+    ctx.beginPath(); ctx.moveTo(left, top); ctx.lineTo(left, bottom); ctx.lineTo(w, bottom); ctx.stroke();
+    if (!logY && yMin < 0) {
+        ctx.beginPath(); ctx.moveTo(left, toY(0)); ctx.lineTo(w, toY(0)); ctx.stroke();
+    }
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath(); ctx.moveTo(toX(1.0), top); ctx.lineTo(toX(1.0), bottom); ctx.stroke();
+
+    // Curve, one path per sign
+    ctx.strokeStyle = '#4facfe';
+    ctx.lineWidth = 2;
+    let runNegative = null;
+    samples.forEach((s, i) => {
+        const negative = logY && s.v < 0;
+        if (negative === runNegative) {
+            ctx.lineTo(s.px, toY(s.v));
+            return;
         }
+        if (i > 0) {
+            ctx.lineTo(s.px, toY(s.v));
+            ctx.stroke();
+        }
+        ctx.setLineDash(negative ? [4, 3] : []);
+        ctx.beginPath();
+        ctx.moveTo(s.px, toY(s.v));
+        runNegative = negative;
+    });
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // Labels
+    ctx.fillStyle = '#aaa';
+    ctx.font = '10px sans-serif';
+    ctx.textAlign = 'right';
+    const unitLabel = unit ? ` [${unit}]` : '';
+    ctx.fillText(`${quantity.name}${unitLabel}`, w - 6, 12);
+    ctx.textAlign = 'left';
+    ctx.fillText(`R / ${name}`, left + 4, bottom - 4);
+    if (logY && samples.some((s) => s.v < 0)) {
+        ctx.textAlign = 'right';
+        ctx.fillText('dashed: negative', w - 6, bottom - 4);
     }
 
-    LensingApp.hswTexture.needsUpdate = true;
+    // Hover readout
+    if (plotHoverX !== null && plotHoverX >= left) {
+        const x = toRadius(plotHoverX);
+        const v = LensingProfileCurves.getProfileValue(config, quantity.id, x);
+        if (Number.isFinite(v)) {
+            const text = `${formatPlotRadius(config, x, 'R')}  ${quantity.symbol}=${formatPlotValue(v)}`;
+            drawPlotCursor(ctx, plotHoverX, toY(v), w, h, text);
+        }
+    }
 }
 
 function updatePlot() {
@@ -195,6 +503,12 @@ function drawMassPlot(config, canvas) {
     // Clear background
     ctx.clearRect(0, 0, w, h);
 
+    // Lensing profiles have their own axes, the density contrast keeps the schematic plot below
+    if (config.plotQuantity !== 'delta') {
+        drawProfileCurve(config, ctx, w, h);
+        return;
+    }
+
     // --- 1. Setup Plot Constants ---
     const yZero = h / 2;
     const maxR = 2.5; // Plot shows up to 2.5x radius
@@ -224,6 +538,7 @@ function drawMassPlot(config, canvas) {
     ctx.lineWidth = 2;
     ctx.beginPath();
 
+    const values = []; // δ per column, for the hover readout
     for (let px = 0; px < w; px++) {
         const rNorm = (px / w) * maxR;
         let val = 0;
@@ -257,9 +572,16 @@ function drawMassPlot(config, canvas) {
             let term1 = 1.0 - Math.pow(rNorm / rs, a);
             let term2 = 1.0 + Math.pow(rNorm, b);
             val = dc * term1 / term2;
+        } else if (config.model === 5) { // Radial Profile, matched to the NFW curve at r_s
+            const profile = LensingProfiles.getLensProfile(config);
+            const x = Math.max(rNorm, 0.02);
+            val = profile.density(x, config.profileParams);
+            // A typed formula is plotted as is, like the HSW density contrast
+            if (!profile.custom) val *= 0.0375 / profile.density(1.0, config.profileParams);
         }
 
         // Scale Y
+        values.push(val);
         const plotY = yZero - (val * (h * 0.4));
 
         if (px === 0) ctx.moveTo(px, plotY);
@@ -278,6 +600,7 @@ function drawMassPlot(config, canvas) {
     // Context-Sensitive Labels for the Vertical Marker
     let markerLabel = 'Void Radius'; // Default for Toy (2) & HSW (3)
     if (config.model === 1) markerLabel = 'Halo Radius'; // Specific for NFW
+    if (config.model === 5) markerLabel = 'Scale Radius';
 
     // Vertical Marker Label (Bottom)
     ctx.textAlign = 'center';
@@ -287,152 +610,1182 @@ function drawMassPlot(config, canvas) {
     ctx.textAlign = 'left';
     ctx.fillStyle = 'rgba(255,255,255,0.6)';
     ctx.fillText('Mean Density', 2, yZero + 12);
+
+    // Hover readout
+    if (plotHoverX !== null && plotHoverX < values.length) {
+        const val = values[plotHoverX];
+        const text = `${formatPlotRadius(config, (plotHoverX / w) * maxR, 'r')}  δ=${formatPlotValue(val)}`;
+        drawPlotCursor(ctx, plotHoverX, yZero - (val * (h * 0.4)), w, h, text);
+    }
 }
 
 
 /**
- * Setup all slider event listeners
- * @param {Object} config - The configuration object to update
- * @param {Object} material - The Three.js material with uniforms
+ * Draw the light curve A(t) on a logarithmic magnification axis
+ * @param {Object} state - Light curve from LensingLightCurve.updateLightCurve()
  */
-function setupSliders(config, material) {
-    const updateAll = () => {
-        if (config.model === 3) updateHSWLookup(config);
+function drawLightCurve(state) {
+    const canvas = lightCurveCanvas;
+    const ctx = canvas.getContext('2d');
+    const w = canvas.width = canvas.offsetWidth;
+    const h = canvas.height = canvas.offsetHeight;
+    ctx.clearRect(0, 0, w, h);
+
+    if (!state.available) {
+        lightCurveInfo.innerText = 'No light curve here\n(load a κ map, or put the star behind the lens)';
+        return;
+    }
+
+    const { curve, current } = state;
+    const isLine = state.path === 'line';
+
+    // Time axis: the whole track, or the recorded mouse path (oldest sample at the left)
+    const tMin = isLine ? -LensingLightCurve.LIGHT_CURVE_HALF_TIME : curve[0].t;
+    const tMax = isLine ? LensingLightCurve.LIGHT_CURVE_HALF_TIME : Math.max(curve[curve.length - 1].t, tMin + 1.0);
+    const peak = curve.reduce((m, p) => Math.max(m, p.a), 1.0);
+    const logMax = Math.log10(Math.min(Math.max(peak, 2.0), 1000.0)) * 1.1;
+    const toX = (t) => ((t - tMin) / (tMax - tMin)) * w;
+    const toY = (a) => h - 14 - (Math.log10(Math.max(a, 1.0)) / logMax) * (h - 24);
+
+    // Magnification grid lines
+    ctx.lineWidth = 1;
+    ctx.font = '10px monospace';
+    ctx.textAlign = 'left';
+    [1, 2, 5, 10, 20, 50, 100, 200, 500].forEach((a) => {
+        if (Math.log10(a) > logMax) return;
+        ctx.strokeStyle = a === 1 ? 'rgba(255,255,255,0.3)' : 'rgba(255,255,255,0.1)';
+        ctx.beginPath(); ctx.moveTo(0, toY(a)); ctx.lineTo(w, toY(a)); ctx.stroke();
+        ctx.fillStyle = 'rgba(255,255,255,0.5)';
+        ctx.fillText(`${a}`, 2, toY(a) - 2);
+    });
+
+    // Curve
+    ctx.strokeStyle = '#ffd27a';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    curve.forEach((p, i) => {
+        if (i === 0) ctx.moveTo(toX(p.t), toY(p.a));
+        else ctx.lineTo(toX(p.t), toY(p.a));
+    });
+    ctx.stroke();
+
+    // Current position of the lens
+    if (current.t >= tMin && current.t <= tMax) {
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath(); ctx.moveTo(toX(current.t), 0); ctx.lineTo(toX(current.t), h); ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#ffffff';
+        ctx.beginPath(); ctx.arc(toX(current.t), toY(current.a), 3, 0, 2 * Math.PI); ctx.fill();
+    }
+
+    ctx.fillStyle = 'rgba(255,255,255,0.6)';
+    ctx.textAlign = 'center';
+    ctx.fillText(isLine ? 't / t_E' : 'Time (s)', w / 2, h - 3);
+
+    // A point source on a caustic is infinitely magnified, the plot stops at 1000
+    const formatA = (a) => (a >= 1000 ? '> 1000' : a.toFixed(2));
+    lightCurveInfo.innerText = `A = ${formatA(current.a)}   u = ${current.u.toFixed(2)} θ_E\n`
+        + `Peak A = ${formatA(peak)}`;
+}
+
+/**
+ * Place the light-curve star at a point of the screen
+ * @param {number} clientX - Pointer x in CSS pixels
+ * @param {number} clientY - Pointer y in CSS pixels
+ */
+function placeSourceStar(clientX, clientY) {
+    const { config } = LensingApp;
+    config.sourceX = clientX / window.innerWidth;
+    config.sourceY = 1.0 - clientY / window.innerHeight;
+
+    LensingApp.pickingSource = false;
+    pickSourceBtn.innerText = 'Pick Source Star';
+    LensingLightCurve.clearPathHistory();
+}
+
+/**
+ * Show the controls of the selected light-curve trajectory
+ * @param {Object} config - The configuration object
+ */
+function updateLightCurvePath(config) {
+    document.querySelectorAll('#lightcurve-container .preset-btn').forEach((btn) => {
+        btn.classList.toggle('active', btn.dataset.path === config.lightCurvePath);
+    });
+    document.getElementById('lightcurve-line-controls').style.display = config.lightCurvePath === 'line' ? 'block' : 'none';
+}
+
+/**
+ * Setup the light curve panel (star, trajectory & transit)
+ * @param {Object} config - The configuration object
+ */
+function setupLightCurveControls(config) {
+    lightCurveCheck.addEventListener('change', (e) => {
+        config.lightCurve = e.target.checked ? 1.0 : 0.0;
+        lightCurveContainer.style.display = e.target.checked ? 'block' : 'none';
+        LensingLightCurve.clearPathHistory();
+    });
+
+    document.querySelectorAll('#lightcurve-container .preset-btn').forEach((btn) => {
+        btn.addEventListener('click', () => {
+            config.lightCurvePath = btn.dataset.path;
+            updateLightCurvePath(config);
+            LensingLightCurve.clearPathHistory();
+        });
+    });
+
+    document.getElementById('impact-slider').addEventListener('input', (e) => {
+        config.impactParameter = e.target.value / 100;
+        document.getElementById('impact-val').innerText = `${config.impactParameter.toFixed(2)} θ_E`;
+    });
+
+    document.getElementById('track-angle-slider').addEventListener('input', (e) => {
+        config.trackAngle = parseFloat(e.target.value);
+        document.getElementById('track-angle-val').innerText = `${config.trackAngle}°`;
+    });
+
+    document.getElementById('transit-btn').addEventListener('click', () => LensingLightCurve.startTransit());
+
+    // The next click on the sky places the star (see toggleLock in app.js)
+    pickSourceBtn.addEventListener('click', () => {
+        LensingApp.pickingSource = !LensingApp.pickingSource;
+        pickSourceBtn.innerText = LensingApp.pickingSource ? 'Click on the Sky…' : 'Pick Source Star';
+    });
+}
+
+/**
+ * Reset the light curve panel to the values in the config
+ * @param {Object} config - The configuration object
+ */
+function syncLightCurveControls(config) {
+    lightCurveCheck.checked = config.lightCurve > 0.5;
+    lightCurveContainer.style.display = lightCurveCheck.checked ? 'block' : 'none';
+    updateLightCurvePath(config);
+
+    document.getElementById('impact-slider').value = Math.round(config.impactParameter * 100);
+    document.getElementById('impact-val').innerText = `${config.impactParameter.toFixed(2)} θ_E`;
+    document.getElementById('track-angle-slider').value = config.trackAngle;
+    document.getElementById('track-angle-val').innerText = `${config.trackAngle}°`;
+
+    LensingApp.pickingSource = false;
+    pickSourceBtn.innerText = 'Pick Source Star';
+    LensingLightCurve.clearPathHistory();
+}
+
+/**
+ * Draw the colourbar of the lens map (hidden while no map is shown)
+ * @param {Object} config - The configuration object
+ */
+function drawColorbar(config) {
+    const visible = config.mapMode !== 'none';
+    colorbarCanvas.style.display = visible ? 'block' : 'none';
+    if (!visible) return;
+
+    const canvas = colorbarCanvas;
+    const ctx = canvas.getContext('2d');
+    const w = canvas.width = canvas.offsetWidth;
+    const h = canvas.height = canvas.offsetHeight;
+    ctx.clearRect(0, 0, w, h);
+
+    const quantity = LensingMaps.MAP_QUANTITIES[LensingMaps.getMapModeIndex(config.mapMode)];
+    const limits = LensingMaps.getMapLimits(config.mapMode, config.mapRange);
+    const colormap = LensingMaps.getColormapIndex(config.mapColormap);
+    const top = 26;
+    const bottom = h - 12;
+    const toY = (t) => bottom - t * (bottom - top);
+
+    // Colour strip, maximum at the top
+    for (let y = top; y < bottom; y++) {
+        const [r, g, b] = LensingMaps.sampleColormap(colormap, (bottom - y) / (bottom - top));
+        ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+        ctx.fillRect(10, y, 16, 1);
+    }
+    ctx.strokeStyle = 'rgba(255,255,255,0.4)';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(10.5, top + 0.5, 15, bottom - top - 1);
+
+    // Ticks; values beyond the limits take the end colours
+    ctx.font = '10px monospace';
+    ctx.textAlign = 'left';
+    ctx.fillStyle = 'rgba(255,255,255,0.8)';
+    [0, 0.25, 0.5, 0.75, 1].forEach((t) => {
+        const value = limits.min + t * (limits.max - limits.min);
+        ctx.fillRect(26, Math.round(toY(t)), 4, 1);
+        ctx.fillText(value.toFixed(2), 33, toY(t) + 3);
+    });
+
+    ctx.textAlign = 'center';
+    ctx.fillText(quantity.label, w / 2, 15);
+}
+
+/**
+ * Show the controls & colourbar of the selected lens map
+ * @param {Object} config - The configuration object
+ */
+function updateLensMap(config) {
+    document.querySelectorAll('#group-lens-map .preset-btn').forEach((btn) => {
+        btn.classList.toggle('active', btn.dataset.map === config.mapMode);
+    });
+    mapControls.style.display = config.mapMode === 'none' ? 'none' : 'block';
+
+    const { signed } = LensingMaps.MAP_QUANTITIES[LensingMaps.getMapModeIndex(config.mapMode)];
+    const range = config.mapRange.toFixed(2);
+    document.getElementById('map-range-val').innerText = signed ? `±${range}` : `0 – ${range}`;
+    drawColorbar(config);
+}
+
+/**
+ * Reset the lens map controls to the values in the config
+ * @param {Object} config - The configuration object
+ */
+function syncLensMapControls(config) {
+    mapColormapSelect.value = config.mapColormap;
+    mapOpacitySlider.value = Math.round(config.mapOpacity * 100);
+    document.getElementById('map-opacity-val').innerText = `${mapOpacitySlider.value}%`;
+    mapRangeSlider.value = Math.round(Math.log10(config.mapRange) * 100);
+    updateLensMap(config);
+}
+
+/**
+ * Setup the lens map controls (quantity, colormap, opacity & colour range)
+ * @param {Object} config - The configuration object
+ */
+function setupLensMapControls(config) {
+    LensingMaps.COLORMAPS.forEach((colormap) => {
+        const option = document.createElement('option');
+        option.value = colormap.id;
+        option.textContent = colormap.name;
+        mapColormapSelect.appendChild(option);
+    });
+
+    document.querySelectorAll('#group-lens-map .preset-btn').forEach((btn) => {
+        btn.addEventListener('click', () => {
+            config.mapMode = btn.dataset.map;
+            updateLensMap(config);
+        });
+    });
+
+    mapColormapSelect.addEventListener('change', (e) => {
+        config.mapColormap = e.target.value;
+        drawColorbar(config);
+    });
+
+    mapOpacitySlider.addEventListener('input', (e) => {
+        config.mapOpacity = e.target.value / 100;
+        document.getElementById('map-opacity-val').innerText = `${e.target.value}%`;
+    });
+
+    // Logarithmic slider: 0.05 to 5
+    mapRangeSlider.addEventListener('input', (e) => {
+        config.mapRange = 10 ** (e.target.value / 100);
+        updateLensMap(config);
+    });
+    syncLensMapControls(config);
+}
+
+/**
+ * Setup the shear whisker controls (density, scale & colour)
+ * @param {Object} config - The configuration object
+ */
+function setupWhiskerControls(config) {
+    whiskerCheck.addEventListener('change', (e) => {
+        config.showWhiskers = e.target.checked ? 1.0 : 0.0;
+        whiskerControls.style.display = e.target.checked ? 'block' : 'none';
+    });
+
+    whiskerDensitySlider.addEventListener('input', (e) => {
+        config.whiskerDensity = parseInt(e.target.value, 10);
+        document.getElementById('whisker-density-val').innerText = e.target.value;
+    });
+
+    // Logarithmic slider: 1x to 100x
+    whiskerScaleSlider.addEventListener('input', (e) => {
+        config.whiskerScale = 10 ** (e.target.value / 100);
+        document.getElementById('whisker-scale-val').innerText = `${config.whiskerScale.toFixed(1)}x`;
+    });
+
+    whiskerColorInput.addEventListener('input', (e) => {
+        config.whiskerColor = e.target.value;
+    });
+}
+
+/**
+ * Reset the shear whisker controls to the values in the config
+ * @param {Object} config - The configuration object
+ */
+function syncWhiskerControls(config) {
+    whiskerCheck.checked = config.showWhiskers > 0.5;
+    whiskerControls.style.display = whiskerCheck.checked ? 'block' : 'none';
+    whiskerDensitySlider.value = config.whiskerDensity;
+    document.getElementById('whisker-density-val').innerText = `${config.whiskerDensity}`;
+    whiskerScaleSlider.value = Math.round(Math.log10(config.whiskerScale) * 100);
+    document.getElementById('whisker-scale-val').innerText = `${config.whiskerScale.toFixed(1)}x`;
+    whiskerColorInput.value = config.whiskerColor;
+}
+
+/**
+ * Reset the profile plot controls to the values in the config
+ * @param {Object} config - The configuration object
+ */
+function syncPlotControls(config) {
+    plotQuantitySelect.value = config.plotQuantity;
+    plotLogXCheck.checked = config.plotLogX > 0.5;
+    plotLogYCheck.checked = config.plotLogY > 0.5;
+    // The density contrast is a schematic plot with fixed axes
+    plotLogXCheck.disabled = config.plotQuantity === 'delta';
+    plotLogYCheck.disabled = config.plotQuantity === 'delta';
+    updatePlot();
+}
+
+/**
+ * Setup the profile plot controls (plotted quantity, logarithmic axes & hover cursor)
+ * @param {Object} config - The configuration object
+ */
+function setupPlotControls(config) {
+    LensingProfileCurves.PLOT_QUANTITIES.forEach((quantity) => {
+        const option = document.createElement('option');
+        option.value = quantity.id;
+        option.textContent = quantity.name;
+        plotQuantitySelect.appendChild(option);
+    });
+
+    plotQuantitySelect.addEventListener('change', (e) => {
+        config.plotQuantity = e.target.value;
+        syncPlotControls(config);
+    });
+
+    plotLogXCheck.addEventListener('change', (e) => {
+        config.plotLogX = e.target.checked ? 1.0 : 0.0;
         updatePlot();
-    };
+    });
+
+    plotLogYCheck.addEventListener('change', (e) => {
+        config.plotLogY = e.target.checked ? 1.0 : 0.0;
+        updatePlot();
+    });
+
+    plotCanvas.addEventListener('mousemove', (e) => {
+        plotHoverX = e.offsetX;
+        updatePlot();
+    });
+
+    plotCanvas.addEventListener('mouseleave', () => {
+        plotHoverX = null;
+        updatePlot();
+    });
+    syncPlotControls(config);
+}
+
+/**
+ * Download generated text as a file
+ * @param {string} text - File content
+ * @param {string} filename - Name of the download
+ * @param {string} type - MIME type
+ */
+function downloadText(text, filename, type) {
+    downloadBlob(new Blob([text], { type }), filename);
+}
 
-    massSlider.addEventListener('input', (e) => {
-        const val = e.target.value / 100;
+/**
+ * Download a blob as a file
+ * @param {Blob} blob - File content
+ * @param {string} filename - Suggested file name
+ */
+function downloadBlob(blob, filename) {
+    const link = document.createElement('a');
+    link.download = filename;
+    link.href = URL.createObjectURL(blob);
+
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+}
 
-        // Apply 0.75 scale only for Elliptical model (Model 4)
-        if (config.model === 4) {
-            config.mass = val * 0.75;
+/**
+ * Setup the mock catalog export (lensed galaxies of the procedural background as CSV or JSON)
+ * @param {Object} config - The configuration object
+ */
+function setupCatalogButtons(config) {
+    const catalogInfo = document.getElementById('catalog-info');
+
+    const exportCatalog = (format) => {
+        catalogInfo.style.display = 'block';
+        if (LensingApp.currentMode !== 'galaxies') {
+            catalogInfo.innerText = 'The catalog needs the procedural galaxy background';
+            return;
+        }
+
+        const aspect = window.innerWidth / window.innerHeight;
+        const rows = LensingCatalog.generateCatalog(config, LensingApp.mouse, aspect);
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+        if (format === 'csv') {
+            downloadText(LensingCatalog.formatCatalogCSV(rows), `lensing_catalog_${timestamp}.csv`, 'text/csv');
         } else {
-            config.mass = val;
+            const json = LensingCatalog.formatCatalogJSON(rows, config, LensingApp.mouse, aspect);
+            downloadText(json, `lensing_catalog_${timestamp}.json`, 'application/json');
         }
+        catalogInfo.innerText = `${rows.length} galaxy images in ${config.layers} layers`;
+    };
+
+    document.getElementById('catalog-csv-btn').addEventListener('click', () => exportCatalog('csv'));
+    document.getElementById('catalog-json-btn').addEventListener('click', () => exportCatalog('json'));
+}
+
+/**
+ * Draw the tangential shear measured around the current lens over the model prediction, with the
+ * predicted errors of a stack of lenses
+ * @param {Object} config - The configuration object
+ */
+function drawStackedShear(config) {
+    const canvas = stackCanvas;
+    const ctx = canvas.getContext('2d');
+    const w = canvas.width = canvas.offsetWidth;
+    const h = canvas.height = canvas.offsetHeight;
+    ctx.clearRect(0, 0, w, h);
+
+    if (LensingApp.currentMode !== 'galaxies') {
+        stackInfo.innerText = 'The measurement needs the procedural galaxy background';
+        return;
+    }
+    if (!stackRows) return;
+
+    const { bins, snr } = LensingStacking.measureStackedShear(stackRows, config, config.stackedLenses);
+    const { name } = LensingProfileCurves.getPlotRadius(config);
+    const stacked = config.stackedLenses > 1;
+    const lenses = `${config.stackedLenses} ${stacked ? 'lenses' : 'lens'}`;
+    stackInfo.innerText = `${stackRows.length} galaxies × ${lenses}  predicted S/N = ${snr.toFixed(1)}`;
+
+    // Log radius axis, value axis covering the points, their errors and the model
+    const left = 36;
+    const top = 16;
+    const bottom = h - 14;
+    const [rMin, rMax] = LensingStacking.STACK_RADII;
+    const toX = (x) => left + (Math.log(x / rMin) / Math.log(rMax / rMin)) * (w - left);
+    const model = [];
+    for (let px = left; px <= w; px += 2) {
+        const x = rMin * (rMax / rMin) ** ((px - left) / (w - left));
+        const g = LensingStacking.getStackedShearModel(config, stackRows, x);
+        if (g !== null && Number.isFinite(g)) model.push({ px, g });
+    }
+
+    const values = [0, ...model.map((m) => m.g)];
+    bins.forEach((bin) => values.push(bin.mean - bin.error, bin.mean + bin.error));
+    if (stacked) bins.forEach((bin) => values.push(bin.expected - bin.stackError, bin.expected + bin.stackError));
+    let yMin = Math.min(...values);
+    let yMax = Math.max(...values);
+    if (yMax - yMin < 1e-6) yMax = yMin + 0.01;
+    const pad = 0.1 * (yMax - yMin);
+    yMin -= pad;
+    yMax += pad;
+    const toY = (g) => bottom - ((g - yMin) / (yMax - yMin)) * (bottom - top);
+
+    // Grid & tick labels
+    ctx.lineWidth = 1;
+    ctx.font = '9px monospace';
+    ctx.fillStyle = 'rgba(255,255,255,0.5)';
+    ctx.textAlign = 'right';
+    const step = getTickStep(yMax - yMin, 3);
+    for (let t = Math.ceil(yMin / step) * step; t <= yMax; t += step) {
+        ctx.strokeStyle = 'rgba(255,255,255,0.08)';
+        ctx.beginPath(); ctx.moveTo(left, toY(t)); ctx.lineTo(w, toY(t)); ctx.stroke();
+        ctx.fillText(formatPlotValue(Math.abs(t) < step * 1e-6 ? 0 : t), left - 3, toY(t) + 3);
+    }
+    ctx.textAlign = 'center';
+    [0.1, 0.2, 0.5, 1, 2, 5].forEach((x) => {
+        ctx.strokeStyle = 'rgba(255,255,255,0.08)';
+        ctx.beginPath(); ctx.moveTo(toX(x), top); ctx.lineTo(toX(x), bottom); ctx.stroke();
+        if (x > rMin && x < rMax) ctx.fillText(`${x}`, toX(x), h - 3);
+    });
+
+    ctx.strokeStyle = 'rgba(255,255,255,0.3)';
+    ctx.beginPath(); ctx.moveTo(left, top); ctx.lineTo(left, bottom); ctx.lineTo(w, bottom); ctx.stroke();
+    ctx.beginPath(); ctx.moveTo(left, toY(0)); ctx.lineTo(w, toY(0)); ctx.stroke();
+
+    // Model prediction
+    ctx.strokeStyle = '#4facfe';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    model.forEach((m, i) => {
+        if (i === 0) ctx.moveTo(m.px, toY(m.g));
+        else ctx.lineTo(m.px, toY(m.g));
+    });
+    ctx.stroke();
+
+    // Predicted 1σ errors of the stack around the mean shear of the catalog (no stacked points are simulated)
+    if (stacked) {
+        ctx.fillStyle = 'rgba(255, 210, 122, 0.3)';
+        bins.forEach((bin) => {
+            const barTop = toY(bin.expected + bin.stackError);
+            ctx.fillRect(toX(bin.x) - 4, barTop, 8, Math.max(toY(bin.expected - bin.stackError) - barTop, 1));
+        });
+    }
+
+    // Measurement on the current field with 1σ error bars
+    ctx.strokeStyle = '#ffd27a';
+    ctx.fillStyle = '#ffd27a';
+    ctx.lineWidth = 1.5;
+    bins.forEach((bin) => {
+        const px = toX(bin.x);
+        ctx.beginPath();
+        ctx.moveTo(px, toY(bin.mean - bin.error));
+        ctx.lineTo(px, toY(bin.mean + bin.error));
+        ctx.stroke();
+        ctx.beginPath(); ctx.arc(px, toY(bin.mean), 2.5, 0, 2 * Math.PI); ctx.fill();
+    });
+
+    // Labels
+    ctx.fillStyle = '#aaa';
+    ctx.font = '10px sans-serif';
+    ctx.textAlign = 'right';
+    ctx.fillText(stacked ? 'g_t(R): 1 lens measured, stack predicted' : 'g_t(R): measured vs model', w - 6, 12);
+    ctx.textAlign = 'left';
+    ctx.fillText(`R / ${name}`, left + 4, bottom - 4);
+}
+
+/**
+ * Measure the catalog of the current lens and background for the stacked shear plot
+ * @param {Object} config - The configuration object
+ */
+function runStackedMeasurement(config) {
+    const aspect = window.innerWidth / window.innerHeight;
+    stackRows = LensingApp.currentMode === 'galaxies'
+        ? LensingCatalog.generateCatalog(config, LensingApp.mouse, aspect)
+        : null;
+    drawStackedShear(config);
+}
+
+/**
+ * Setup the stacked shear measurement (toggle, number of stacked lenses & re-measurement)
+ * @param {Object} config - The configuration object
+ */
+function setupStackingControls(config) {
+    stackCheck.addEventListener('change', (e) => {
+        config.showStacking = e.target.checked ? 1.0 : 0.0;
+        stackControls.style.display = e.target.checked ? 'block' : 'none';
+        if (e.target.checked) runStackedMeasurement(config);
+    });
+
+    // Logarithmic slider: 1 to 10000 lenses
+    stackCountSlider.addEventListener('input', (e) => {
+        config.stackedLenses = Math.round(10 ** (e.target.value / 100));
+        document.getElementById('stack-count-val').innerText = `${config.stackedLenses}`;
+        drawStackedShear(config);
+    });
+
+    document.getElementById('stack-measure-btn').addEventListener('click', () => runStackedMeasurement(config));
+}
+
+/**
+ * Reset the stacked shear controls to the values in the config
+ * @param {Object} config - The configuration object
+ */
+function syncStackingControls(config) {
+    stackCheck.checked = config.showStacking > 0.5;
+    stackControls.style.display = stackCheck.checked ? 'block' : 'none';
+    stackCountSlider.value = Math.round(Math.log10(config.stackedLenses) * 100);
+    document.getElementById('stack-count-val').innerText = `${config.stackedLenses}`;
+    stackRows = null;
+}
+
+/**
+ * Show the exaggeration factor and the resulting shear at the Einstein radius of the farthest layer
+ * @param {Object} config - The configuration object
+ */
+function updateExaggerationInfo(config) {
+    const exaggerationSlider = document.getElementById('exaggeration-slider');
+    exaggerationSlider.value = Math.round(Math.log10(config.exaggeration) * 100);
+    document.getElementById('exaggeration-val').innerText = `${config.exaggeration.toFixed(2)}x`;
+    document.getElementById('btn-amplitude-classic').classList.toggle('active', config.exaggeration === 1.0);
+    document.getElementById('btn-amplitude-realistic').classList.toggle(
+        'active',
+        config.exaggeration === LensingUnits.REALISTIC_EXAGGERATION,
+    );
+
+    const efficiencies = LensingCosmology.getLayerEfficiencies(config, getActiveLayerCount(config));
+    const reference = LensingProfileCurves.getReferenceShear(config, efficiencies[efficiencies.length - 1]);
+    const info = document.getElementById('exaggeration-info');
+    if (!reference) {
+        info.innerText = 'Shear at θ_E: n/a for κ maps';
+        return;
+    }
+    const percent = Math.abs(reference.gamma) < 0.1 ? 2 : 1;
+    info.innerText = `Shear at ${reference.label}: γ_t = ${(reference.gamma * 100).toFixed(percent)}%\n`
+        + `(${reference.x.toFixed(2)} ${LensingProfileCurves.getPlotRadius(config).name}, farthest layer)`;
+}
+
+/**
+ * Setup the exaggeration factor (one amplitude for every lens model) and its presets
+ * @param {Object} config - The configuration object
+ */
+function setupExaggerationControls(config) {
+    const setExaggeration = (value) => {
+        config.exaggeration = value;
+        updateExaggerationInfo(config);
+        // The Einstein radius & the profile curves follow the displayed amplitude
+        updatePhysicalUnits(config);
+        updatePlot();
+    };
+
+    // Logarithmic slider: 0.01x to 10x
+    document.getElementById('exaggeration-slider').addEventListener('input', (e) => {
+        setExaggeration(10 ** (e.target.value / 100));
+    });
+    document.getElementById('btn-amplitude-classic').addEventListener('click', () => setExaggeration(1.0));
+    document.getElementById('btn-amplitude-realistic').addEventListener('click', () => {
+        setExaggeration(LensingUnits.REALISTIC_EXAGGERATION);
+    });
+    updateExaggerationInfo(config);
+}
+
+/**
+ * Show the state of the video panel: the running take, the path being drawn or the next take
+ * Called every frame, so the readout is only written when it changes.
+ */
+function updateRecordingInfo() {
+    const { config } = LensingApp;
+    if (config.showRecording < 0.5 && !LensingRecording.isRecording()) return;
+
+    const progress = LensingRecording.getRecordingProgress();
+    const duration = LensingRecording.getTakeDuration(config);
+    let text;
+    if (progress) {
+        text = `Recording… ${progress.elapsed.toFixed(1)} / ${progress.duration.toFixed(1)} s`;
+    } else if (LensingApp.pickingPath) {
+        const count = LensingRecording.RECORD_PATH_POINTS[config.recordPath];
+        text = `Click point ${recordDraft.length + 1} of ${count} on the sky`;
+    } else if (LensingRecording.isCapturingMouse()) {
+        text = 'Capturing the mouse motion… (unlock the lens to move it)';
+    } else if (duration === 0) {
+        text = 'Capture a mouse motion to record';
+    } else {
+        const aspect = window.innerWidth / window.innerHeight;
+        const { width, height } = LensingRecording.getRecordingSize(config.recordHeight, aspect);
+        text = `${width} × ${height} at ${config.recordFps} fps, ${duration.toFixed(1)} s`;
+    }
+    if (recordInfo.innerText !== text) recordInfo.innerText = text;
+}
+
+/**
+ * Add a control point of the recording path at a point of the screen
+ * @param {number} clientX - Pointer x in CSS pixels
+ * @param {number} clientY - Pointer y in CSS pixels
+ */
+function addRecordingPoint(clientX, clientY) {
+    const { config } = LensingApp;
+    recordDraft.push([clientX / window.innerWidth, 1.0 - clientY / window.innerHeight]);
+    if (recordDraft.length < LensingRecording.RECORD_PATH_POINTS[config.recordPath]) return;
+
+    config.recordPoints = recordDraft;
+    recordDraft = null;
+    LensingApp.pickingPath = false;
+    recordDrawBtn.innerText = 'Draw Path';
+}
+
+/**
+ * Stop drawing a path or capturing the mouse motion
+ * @param {Object} config - The configuration object
+ */
+function cancelRecordingInput(config) {
+    LensingApp.pickingPath = false;
+    recordDraft = null;
+    if (LensingRecording.isCapturingMouse()) LensingRecording.toggleMouseCapture();
+    recordDrawBtn.innerText = config.recordPath === 'mouse' ? 'Capture Mouse Motion' : 'Draw Path';
+}
+
+/**
+ * Show the controls of the selected recording path
+ * @param {Object} config - The configuration object
+ */
+function updateRecordingPath(config) {
+    document.querySelectorAll('#record-controls .preset-btn').forEach((btn) => {
+        btn.classList.toggle('active', btn.dataset.recordPath === config.recordPath);
+    });
+    document.getElementById('record-speed-controls').style.display = config.recordPath === 'mouse' ? 'none' : 'block';
+    cancelRecordingInput(config);
+}
+
+/**
+ * Setup the video recording panel (lens path, frame rate, resolution & the take itself)
+ * @param {Object} config - The configuration object
+ */
+function setupRecordingControls(config) {
+    recordCheck.addEventListener('change', (e) => {
+        config.showRecording = e.target.checked ? 1.0 : 0.0;
+        recordControls.style.display = e.target.checked ? 'block' : 'none';
+        if (!e.target.checked) cancelRecordingInput(config);
+    });
 
-        // For HSW, link mass slider to delta_c
-        if (config.model === 3) {
-            config.hswDeltac = config.mass - 1.0;
+    document.querySelectorAll('#record-controls .preset-btn').forEach((btn) => {
+        btn.addEventListener('click', () => {
+            config.recordPath = btn.dataset.recordPath;
+            // Drawn paths start from a default shape; mouse takes keep the points for later
+            if (config.recordPath !== 'mouse') {
+                config.recordPoints = LensingRecording.RECORD_DEFAULT_POINTS[config.recordPath];
+            }
+            updateRecordingPath(config);
+        });
+    });
+
+    // Drawn paths: the next clicks on the sky place the control points (see toggleLock in app.js)
+    recordDrawBtn.addEventListener('click', () => {
+        if (config.recordPath === 'mouse') {
+            const capturing = LensingRecording.toggleMouseCapture();
+            recordDrawBtn.innerText = capturing ? 'Stop Capture' : 'Capture Mouse Motion';
+            return;
         }
+        const drawing = !LensingApp.pickingPath;
+        cancelRecordingInput(config);
+        if (drawing) {
+            LensingApp.pickingPath = true;
+            recordDraft = [];
+            recordDrawBtn.innerText = 'Click on the Sky…';
+        }
+    });
 
-        document.getElementById('mass-val').innerText = `${e.target.value}%`;
-        updateAll();
+    document.getElementById('record-speed-slider').addEventListener('input', (e) => {
+        config.recordSpeed = e.target.value / 100;
+        document.getElementById('record-speed-val').innerText = `${config.recordSpeed.toFixed(2)} /s`;
+    });
+    document.getElementById('record-fps-select').addEventListener('change', (e) => {
+        config.recordFps = parseInt(e.target.value, 10);
+    });
+    document.getElementById('record-height-select').addEventListener('change', (e) => {
+        config.recordHeight = parseInt(e.target.value, 10);
+    });
+
+    recordBtn.addEventListener('click', () => {
+        if (LensingRecording.isRecording()) {
+            LensingRecording.stopRecording();
+            return;
+        }
+        cancelRecordingInput(config);
+
+        try {
+            LensingRecording.startRecording(config, (blob) => {
+                recordBtn.innerText = 'Start Recording';
+                const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+                downloadBlob(blob, `gravitational_lens_${timestamp}.webm`);
+            });
+        } catch (err) {
+            console.error('Error starting the video recording:', err);
+            alert(`Failed to start the recording: ${err.message}`);
+            return;
+        }
+        recordBtn.innerText = 'Stop Recording';
     });
+    syncRecordingControls(config);
+}
+
+/**
+ * Reset the video recording panel to the values in the config
+ * @param {Object} config - The configuration object
+ */
+function syncRecordingControls(config) {
+    recordCheck.checked = config.showRecording > 0.5;
+    recordControls.style.display = recordCheck.checked ? 'block' : 'none';
+    document.getElementById('record-speed-slider').value = Math.round(config.recordSpeed * 100);
+    document.getElementById('record-speed-val').innerText = `${config.recordSpeed.toFixed(2)} /s`;
+    document.getElementById('record-fps-select').value = `${config.recordFps}`;
+    document.getElementById('record-height-select').value = `${config.recordHeight}`;
+    updateRecordingPath(config);
+}
+
+/**
+ * Move the slider and label of a schema parameter to its configured value (in the slider range of the model)
+ * @param {Object} entry - Entry of LensingParams.PARAMETER_SCHEMA
+ * @param {Object} config - The configuration object
+ */
+function showParameter(entry, config) {
+    const slider = document.getElementById(`${entry.control}-slider`);
+    const [min, max] = LensingParams.getSliderRange(entry, config.model);
+    slider.min = min;
+    slider.max = max;
+    slider.value = LensingParams.toSliderValue(entry, config);
+    document.getElementById(`${entry.control}-val`).innerText = LensingParams.formatParameter(entry, config);
+}
 
-    spreadSlider.addEventListener('input', (e) => {
-        const val = e.target.value / 100;
+/**
+ * Bind the sliders of the parameter schema to the store both ways, and subscribe what follows them
+ * @param {Object} config - The configuration object
+ * @param {Object} material - The Three.js material
+ */
+function setupSliders(config, material) {
+    const { store } = LensingApp;
+
+    LensingParams.PARAMETER_SCHEMA.forEach((entry) => {
+        const slider = document.getElementById(`${entry.control}-slider`);
+        const read = () => LensingParams.fromSliderValue(entry, parseFloat(slider.value), config);
+        slider.step = entry.step;
 
-        // Apply 0.50 scale only for Elliptical model (Model 4)
-        if (config.model === 4) {
-            config.spread = val * 0.50;
+        if (entry.commit === 'change') {
+            slider.addEventListener('input', () => {
+                document.getElementById(`${entry.control}-val`).innerText = entry.format(parseFloat(slider.value), config);
+            });
         } else {
-            config.spread = val;
+            slider.addEventListener('input', () => store.set(entry.key, read(), 'input'));
         }
+        slider.addEventListener('change', () => store.set(entry.key, read(), 'change'));
 
-        document.getElementById('spread-val').innerText = `${(e.target.value / 100).toFixed(2)}x`;
-        updateAll();
+        store.subscribe([entry.key], () => showParameter(entry, config));
+        showParameter(entry, config);
     });
 
-    // --- Toy Model Sliders ---
-    wallDensitySlider.addEventListener('input', (e) => {
-        config.wallDensity = e.target.value / 100;
-        document.getElementById('wall-density-val').innerText = config.wallDensity.toFixed(2);
-        material.uniforms.u_wall_density.value = config.wallDensity;
-        updateAll();
+    store.subscribe(['model'], () => updateModelControls(config.model));
+
+    // For HSW, the mass slider sets delta_c
+    store.subscribe(['mass'], (changes, source) => {
+        if (config.model === 3 && source !== 'sync') config.hswDeltac = config.mass - 1.0;
     });
 
-    wallWidthSlider.addEventListener('input', (e) => {
-        config.wallWidth = e.target.value / 100;
-        document.getElementById('wall-width-val').innerText = (1.0 + config.wallWidth).toFixed(2) + "x";
-        material.uniforms.u_wall_width.value = config.wallWidth;
-        updateAll();
+    // Radial profile tables are in units of r_s and normalised, so only the HSW table depends on
+    // these parameters: a coarse preview while dragging, the full table on release
+    store.subscribe(['mass', 'hswRs', 'hswAlpha', 'hswBeta'], (changes, source) => {
+        if (config.model === 3 && source !== 'sync') updateProfileLookup(config, source === 'input');
     });
 
-    // --- HSW Sliders ---
-    hswRsSlider.addEventListener('input', (e) => {
-        config.hswRs = e.target.value / 100;
-        document.getElementById('hsw-rs-val').innerText = config.hswRs.toFixed(2);
-        updateAll();
+    // The density profile sets the plot and the readouts
+    const profileKeys = LensingParams.PARAMETER_SCHEMA.filter((entry) => entry.profile).map((entry) => entry.key);
+    store.subscribe(['model', ...profileKeys], () => {
+        updatePlot();
+        updatePhysicalUnits(config);
+        updateExaggerationInfo(config);
     });
 
-    hswAlphaSlider.addEventListener('input', (e) => {
-        config.hswAlpha = e.target.value / 10.0;
-        document.getElementById('hsw-alpha-val').innerText = config.hswAlpha.toFixed(1);
-        updateAll();
+    store.subscribe(['kappaExt'], () => updatePhysicalUnits(config));
+    store.subscribe(['layers'], () => updateCosmologyInfo(config));
+
+    // Distance of the selected lens' plane in units of the main lens plane
+    store.subscribe(['planeDistance'], (changes, source) => {
+        if (source !== 'sync') updateLensUI(config);
+        updateCosmologyInfo(config);
     });
 
-    hswBetaSlider.addEventListener('input', (e) => {
-        config.hswBeta = e.target.value / 10.0;
-        document.getElementById('hsw-beta-val').innerText = config.hswBeta.toFixed(1);
-        updateAll();
+    // A new galaxy density redraws the textures
+    store.subscribe(['density'], (changes, source) => {
+        if (source === 'sync') return;
+        redrawForegroundTextures(config, material);
+
+        if (LensingApp.currentMode === 'galaxies') {
+            const newBg = LensingTextures.createBackgroundTexture(config.density);
+            newBg.wrapS = THREE.RepeatWrapping;
+            newBg.wrapT = THREE.RepeatWrapping;
+            material.uniforms.u_bg.value = newBg;
+        } else if (LensingApp.currentMode === 'dotted-grid') {
+            const newBg = LensingTextures.createDottedGridTexture(config.density);
+            newBg.wrapS = THREE.RepeatWrapping;
+            newBg.wrapT = THREE.RepeatWrapping;
+            material.uniforms.u_bg.value = newBg;
+        }
     });
 
-    // --- Elliptical Sliders ---
-    ellipticitySlider.addEventListener('input', (e) => {
-        config.ellipticity = e.target.value / 100.0;
-        document.getElementById('ellipticity-val').innerText = config.ellipticity.toFixed(2);
-        updateAll();
+    // Plot Toggle
+    plotCheck.addEventListener('change', (e) => {
+        if (e.target.checked) {
+            plotContainer.style.display = 'block';
+            updatePlot();
+        } else {
+            plotContainer.style.display = 'none';
+        }
     });
+}
+
+/**
+ * Number of background layers currently rendered (manual uploads override the slider)
+ * @param {Object} config - The configuration object
+ * @returns {number} Active layer count
+ */
+function getActiveLayerCount(config) {
+    return LensingApp.manualLayers.length > 1 ? LensingApp.manualLayers.length : config.layers;
+}
 
-    angleSlider.addEventListener('input', (e) => {
-        config.angle = parseFloat(e.target.value);
-        document.getElementById('angle-val').innerText = config.angle.toFixed(0);
-        updateAll();
+/**
+ * Show the distances and critical surface densities of the background layers
+ * @param {Object} config - The configuration object
+ */
+function updateCosmologyInfo(config) {
+    // The Einstein radius and the physical profile curves depend on the layer geometry as well
+    updatePhysicalUnits(config);
+    updateExaggerationInfo(config);
+    if (config.physicalUnits > 0.5) updatePlot();
+    updatePlaneDistanceLabel(config);
+    if (!cosmoInfo || config.cosmology < 0.5) return;
+
+    const geometry = LensingCosmology.getLayerGeometry(config, getActiveLayerCount(config));
+    const lines = [`D_l = ${geometry[0].dL.toFixed(0)} Mpc`];
+
+    geometry.forEach((layer, i) => {
+        if (layer.efficiency <= 0) {
+            lines.push(`L${i + 1} z=${layer.z.toFixed(2)}  in front of lens`);
+            return;
+        }
+        lines.push(
+            `L${i + 1} z=${layer.z.toFixed(2)}  D_ls/D_s=${layer.efficiency.toFixed(2)}  `
+            + `Σcr=${layer.sigmaCrit.toFixed(0)} M☉/pc²`,
+        );
+    });
+    cosmoInfo.innerText = lines.join('\n');
+}
+
+/**
+ * Setup the cosmology mode controls (lens & layer redshifts, H0, Ωm)
+ * @param {Object} config - The configuration object
+ */
+function setupCosmologyControls(config) {
+    const zMinSlider = document.getElementById('z-source-min-slider');
+    const zMaxSlider = document.getElementById('z-source-max-slider');
+
+    cosmoCheck.addEventListener('change', (e) => {
+        config.cosmology = e.target.checked ? 1.0 : 0.0;
+        cosmoControls.style.display = e.target.checked ? 'block' : 'none';
+        updateCosmologyInfo(config);
+    });
+
+    document.getElementById('z-lens-slider').addEventListener('input', (e) => {
+        config.zLens = e.target.value / 100;
+        document.getElementById('z-lens-val').innerText = config.zLens.toFixed(2);
+        updateCosmologyInfo(config);
+    });
+
+    // Keep the source range ordered: moving one end past the other drags it along
+    zMinSlider.addEventListener('input', (e) => {
+        config.zSourceMin = e.target.value / 100;
+        if (config.zSourceMin > config.zSourceMax) {
+            config.zSourceMax = config.zSourceMin;
+            zMaxSlider.value = e.target.value;
+            document.getElementById('z-source-max-val').innerText = config.zSourceMax.toFixed(2);
+        }
+        document.getElementById('z-source-min-val').innerText = config.zSourceMin.toFixed(2);
+        updateCosmologyInfo(config);
     });
 
-    // --- Standard Sliders ---
-    layersSlider.addEventListener('input', (e) => {
-        config.layers = parseFloat(e.target.value);
-        document.getElementById('layers-val').innerText = e.target.value;
+    zMaxSlider.addEventListener('input', (e) => {
+        config.zSourceMax = e.target.value / 100;
+        if (config.zSourceMax < config.zSourceMin) {
+            config.zSourceMin = config.zSourceMax;
+            zMinSlider.value = e.target.value;
+            document.getElementById('z-source-min-val').innerText = config.zSourceMin.toFixed(2);
+        }
+        document.getElementById('z-source-max-val').innerText = config.zSourceMax.toFixed(2);
+        updateCosmologyInfo(config);
     });
 
-    brightSlider.addEventListener('input', (e) => {
-        config.brightness = e.target.value / 100;
-        document.getElementById('bright-val').innerText = `${e.target.value}%`;
+    document.getElementById('hubble-slider').addEventListener('input', (e) => {
+        config.hubble = parseFloat(e.target.value);
+        document.getElementById('hubble-val').innerText = config.hubble.toFixed(0);
+        updateCosmologyInfo(config);
     });
 
-    densitySlider.addEventListener('input', (e) => {
-        document.getElementById('density-val').innerText = `${e.target.value}%`;
-    });
+    document.getElementById('omega-m-slider').addEventListener('input', (e) => {
+        config.omegaM = e.target.value / 100;
+        document.getElementById('omega-m-val').innerText = config.omegaM.toFixed(2);
+        updateCosmologyInfo(config);
+    });
+}
+
+/**
+ * Reset the cosmology controls to the values in the config
+ * @param {Object} config - The configuration object
+ */
+function syncCosmologyControls(config) {
+    cosmoCheck.checked = config.cosmology > 0.5;
+    cosmoControls.style.display = cosmoCheck.checked ? 'block' : 'none';
+
+    document.getElementById('z-lens-slider').value = config.zLens * 100;
+    document.getElementById('z-lens-val').innerText = config.zLens.toFixed(2);
+    document.getElementById('z-source-min-slider').value = config.zSourceMin * 100;
+    document.getElementById('z-source-min-val').innerText = config.zSourceMin.toFixed(2);
+    document.getElementById('z-source-max-slider').value = config.zSourceMax * 100;
+    document.getElementById('z-source-max-val').innerText = config.zSourceMax.toFixed(2);
+    document.getElementById('hubble-slider').value = config.hubble;
+    document.getElementById('hubble-val').innerText = config.hubble.toFixed(0);
+    document.getElementById('omega-m-slider').value = config.omegaM * 100;
+    document.getElementById('omega-m-val').innerText = config.omegaM.toFixed(2);
+
+    updateCosmologyInfo(config);
+}
+
+/**
+ * Format a field of view given in arcminutes
+ * @param {number} arcmin - Field of view in arcminutes
+ * @returns {string} Label text
+ */
+function formatFieldOfView(arcmin) {
+    if (arcmin < 1.0) return `${(arcmin * 60).toFixed(0)}″`;
+    return `${arcmin.toFixed(arcmin < 10 ? 1 : 0)}′`;
+}
+
+/**
+ * Show the selected lens in physical units: relabel the mass & spread values
+ * and list the derived quantities, including the Einstein radius of the farthest layer
+ * @param {Object} config - The configuration object
+ */
+function updatePhysicalUnits(config) {
+    if (!unitsInfo || config.physicalUnits < 0.5) return;
+
+    const phys = LensingUnits.getPhysicalParams(config);
+    const arcsecPerUnit = LensingUnits.getFieldScale(config) * LensingUnits.ARCSEC_PER_RADIAN;
+    const kpc = (mpc) => `${(mpc * 1000).toFixed(0)} kpc`;
+    const massVal = document.getElementById('mass-val');
+    const spreadVal = document.getElementById('spread-val');
+
+    const lines = [
+        `z_l = ${phys.zL.toFixed(2)}  D_l = ${phys.dL.toFixed(0)} Mpc`,
+        `1″ = ${phys.kpcPerArcsec.toFixed(2)} kpc  screen = ${kpc((arcsecPerUnit * phys.kpcPerArcsec) / 1000)}`,
+    ];
+
+    if (phys.kind === 'point') {
+        massVal.innerText = LensingUnits.formatSolarMass(phys.mass);
+        lines.push(`M = ${LensingUnits.formatSolarMass(phys.mass)}`);
+    } else if (phys.kind === 'nfw') {
+        massVal.innerText = LensingUnits.formatSolarMass(phys.m200);
+        spreadVal.innerText = `c=${phys.c200.toFixed(1)}`;
+        lines.push(`M200 = ${LensingUnits.formatSolarMass(phys.m200)}  c200 = ${phys.c200.toFixed(1)}`);
+        lines.push(`r_s = ${kpc(phys.rs)}  r200 = ${kpc(phys.r200)}`);
+    } else if (phys.kind === 'profile') {
+        massVal.innerText = LensingUnits.formatSolarMass(phys.massRs);
+        spreadVal.innerText = kpc(phys.rs);
+        lines.push(`M(<r_s) = ${LensingUnits.formatSolarMass(phys.massRs)}  r_s = ${kpc(phys.rs)}`);
+    } else if (phys.kind === 'nie') {
+        massVal.innerText = `${phys.sigma.toFixed(0)} km/s`;
+        spreadVal.innerText = kpc(phys.rCore);
+        lines.push(`σ_v = ${phys.sigma.toFixed(0)} km/s  r_core = ${kpc(phys.rCore)}`);
+    } else if (phys.kind === 'kappa') {
+        massVal.innerText = LensingUnits.formatSolarMass(phys.mass);
+        lines.push(`M(map) = ${LensingUnits.formatSolarMass(phys.mass)}  pixel = ${(phys.pixel * 1000).toFixed(2)} kpc`);
+    } else {
+        massVal.innerText = `δ=${phys.deltaC.toFixed(2)}`;
+        spreadVal.innerText = `${phys.rv.toFixed(2)} Mpc`;
+        lines.push(`δ_c = ${phys.deltaC.toFixed(2)}  R_v = ${phys.rv.toFixed(2)} Mpc`);
+        lines.push(`R_v (comoving) = ${(phys.rv * (1.0 + phys.zL)).toFixed(2)} Mpc`);
+    }
+
+    // The Einstein radius needs a radial deflection, which voids and κ maps do not have
+    if (phys.kind !== 'void' && phys.kind !== 'kappa') {
+        const geometry = LensingCosmology.getLayerGeometry(config, getActiveLayerCount(config));
+        const farthest = geometry[geometry.length - 1];
+        const thetaE = LensingUnits.einsteinRadius(config, farthest.efficiency) * arcsecPerUnit;
+        lines.push(thetaE > 0 ? `θ_E = ${thetaE.toFixed(1)}″ (farthest layer)` : 'θ_E: subcritical');
+    }
+
+    unitsInfo.innerText = lines.join('\n');
+}
+
+/**
+ * Setup the physical units controls (toggle & field of view)
+ * @param {Object} config - The configuration object
+ */
+function setupUnitsControls(config) {
+    unitsCheck.addEventListener('change', (e) => {
+        config.physicalUnits = e.target.checked ? 1.0 : 0.0;
+        unitsControls.style.display = e.target.checked ? 'block' : 'none';
+        // Restores the dimensionless slider labels when switched off
+        syncLensControls(config);
+    });
+
+    // Logarithmic slider: 10^(value / 100 - 1) arcminutes
+    document.getElementById('fov-slider').addEventListener('input', (e) => {
+        config.fieldOfView = 10 ** (e.target.value / 100 - 1);
+        document.getElementById('fov-val').innerText = formatFieldOfView(config.fieldOfView);
+        updatePhysicalUnits(config);
+        updatePlot();
+    });
+}
+
+/**
+ * Reset the physical units controls to the values in the config
+ * @param {Object} config - The configuration object
+ */
+function syncUnitsControls(config) {
+    unitsCheck.checked = config.physicalUnits > 0.5;
+    unitsControls.style.display = unitsCheck.checked ? 'block' : 'none';
+
+    document.getElementById('fov-slider').value = Math.round((Math.log10(config.fieldOfView) + 1) * 100);
+    document.getElementById('fov-val').innerText = formatFieldOfView(config.fieldOfView);
+
+    syncLensControls(config);
+}
+
+/**
+ * Format a κ map pixel scale
+ * @param {number} arcsec - Pixel scale in arcseconds
+ * @returns {string} Formatted pixel scale
+ */
+function formatPixelScale(arcsec) {
+    if (arcsec < 0.1) return `${(arcsec * 1000).toFixed(arcsec < 0.01 ? 1 : 0)} mas`;
+    return `${arcsec.toFixed(arcsec < 10 ? 2 : 0)}″`;
+}
 
-    densitySlider.addEventListener('change', (e) => {
-        config.density = e.target.value / 100;
+/**
+ * Describe the loaded κ map (size, value range, total convergence)
+ * @param {Object} config - The configuration object
+ */
+function updateKappaInfo(config) {
+    const map = LensingApp.kappaMap;
+    if (!map) {
+        kappaInfo.innerText = 'No κ map loaded';
+        return;
+    }
 
-        const newCluster = LensingTextures.createClusterTexture(config.density);
-        newCluster.wrapS = THREE.ClampToEdgeWrapping;
-        newCluster.wrapT = THREE.ClampToEdgeWrapping;
-        material.uniforms.u_cluster.value = newCluster;
+    const side = (pixels) => formatFieldOfView((pixels * config.kappaPixelScale) / 60);
+    const lines = [
+        `${map.name}: ${map.sourceWidth}×${map.sourceHeight} px`,
+        `κ = ${map.min.toPrecision(3)} … ${map.max.toPrecision(3)}  Σκ = ${map.mass.toPrecision(4)}`,
+        `size = ${side(map.sourceWidth)} × ${side(map.sourceHeight)}`,
+    ];
+    if (map.factor > 1) lines.push(`binned ${map.factor}×${map.factor} to ${map.width}×${map.height} px`);
+    kappaInfo.innerText = lines.join('\n');
+}
 
-        const newFg = LensingTextures.createForegroundTexture(config.density);
-        newFg.wrapS = THREE.RepeatWrapping;
-        newFg.wrapT = THREE.RepeatWrapping;
-        material.uniforms.u_fg.value = newFg;
+/**
+ * Setup the κ map upload and the pixel scale slider
+ * @param {Object} config - The configuration object
+ */
+function setupKappaMapControls(config) {
+    kappaUploadInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
 
-        if (LensingApp.currentMode === 'galaxies') {
-            const newBg = LensingTextures.createBackgroundTexture(config.density);
-            newBg.wrapS = THREE.RepeatWrapping;
-            newBg.wrapT = THREE.RepeatWrapping;
-            material.uniforms.u_bg.value = newBg;
-        } else if (LensingApp.currentMode === 'dotted-grid') {
-            const newBg = LensingTextures.createDottedGridTexture(config.density);
-            newBg.wrapS = THREE.RepeatWrapping;
-            newBg.wrapT = THREE.RepeatWrapping;
-            material.uniforms.u_bg.value = newBg;
-        }
+        LensingKappaMap.loadKappaFile(file)
+            .then((grid) => {
+                if (!LensingApp.renderer.capabilities.isWebGL2) {
+                    alert('Custom κ maps need WebGL 2, which this browser does not provide.');
+                    return;
+                }
+                LensingKappaMap.setKappaMap(grid, file.name);
+
+                // Fit the map to the screen height
+                config.kappaPixelScale = (config.fieldOfView * 60) / Math.max(grid.width, grid.height);
+                syncKappaMapControls(config);
+                setModel(6, config);
+            })
+            .catch((err) => {
+                console.error('Error loading κ map from uploaded file:', file.name, err);
+                alert(`Failed to load the κ map: ${err.message}`);
+            });
+        kappaUploadInput.value = '';
     });
 
-    // Plot Toggle
-    plotCheck.addEventListener('change', (e) => {
-        if (e.target.checked) {
-            plotContainer.style.display = 'block';
-            updatePlot();
-        } else {
-            plotContainer.style.display = 'none';
-        }
+    // Logarithmic slider: 10^(value / 100) arcseconds per pixel
+    kappaPixelSlider.addEventListener('input', (e) => {
+        config.kappaPixelScale = 10 ** (e.target.value / 100);
+        document.getElementById('kappa-pixel-val').innerText = formatPixelScale(config.kappaPixelScale);
+        updateKappaInfo(config);
+        updatePhysicalUnits(config);
     });
 }
 
+/**
+ * Reset the κ map controls to the values in the config
+ * @param {Object} config - The configuration object
+ */
+function syncKappaMapControls(config) {
+    kappaPixelSlider.value = Math.round(Math.log10(config.kappaPixelScale) * 100);
+    document.getElementById('kappa-pixel-val').innerText = formatPixelScale(config.kappaPixelScale);
+    updateKappaInfo(config);
+}
+
 /**
  * Setup checkbox event listeners
  * @param {Object} config - The configuration object to update
@@ -456,47 +1809,42 @@ function setupCheckboxes(config) {
 }
 
 /**
- * Set the physics model and update UI labels
+ * Update model buttons, slider labels and group visibility for a model
  * @param {number} modelIndex - The model index (0=Point Mass, 1=NFW, 2=Void)
- * @param {Object} config - The configuration object to update
  */
-function setModel(modelIndex, config) {
-    config.model = modelIndex;
+function updateModelControls(modelIndex) {
     const modelBtns = document.querySelectorAll('.model-btn');
     modelBtns.forEach((b) => b.classList.remove('active'));
-    // Limit slider to 100% for HSW (Strictly Void), allow 200% for others
-    if (modelIndex === 3) massSlider.max = 100;
-    else massSlider.max = 200;
 
     if (modelIndex === 0) btnPoint.classList.add('active');
     else if (modelIndex === 1) btnNFW.classList.add('active');
     else if (modelIndex === 2) btnVoid.classList.add('active');
     else if (modelIndex === 3) btnHSW.classList.add('active');
     else if (modelIndex === 4) btnElliptical.classList.add('active');
+    else if (modelIndex === 5) btnProfile.classList.add('active');
+    else if (modelIndex === 6) btnKappa.classList.add('active');
+    else if (modelIndex === 7) btnMicro.classList.add('active');
+
+    // --- Parameter sliders: visibility, label and range by model (see params.js) ---
+    LensingParams.PARAMETER_SCHEMA.forEach((entry) => {
+        if (entry.group) {
+            const visible = LensingParams.isParameterVisible(entry, modelIndex);
+            document.getElementById(entry.group).style.display = visible ? 'block' : 'none';
+        }
+        const title = LensingParams.getParameterTitle(entry, modelIndex);
+        if (title) document.getElementById(`${entry.control}-label`).firstChild.textContent = title;
+        showParameter(entry, LensingApp.config);
+    });
+
+    // --- UI Visibility of the model panels ---
+    hswLink.style.display = modelIndex === 3 ? 'block' : 'none';
+    document.getElementById('group-profile').style.display = modelIndex === 5 ? 'block' : 'none';
+    document.getElementById('group-kappa-map').style.display = modelIndex === 6 ? 'block' : 'none';
+    document.getElementById('group-microlens').style.display = modelIndex === 7 ? 'block' : 'none';
 
-    // --- UI Visibility ---
-    const groupWallD = document.getElementById('group-wall-density');
-    const groupWallW = document.getElementById('group-wall-width');
-    const groupHswRs = document.getElementById('group-hsw-rs');
-    const groupHswA = document.getElementById('group-hsw-alpha');
-    const groupHswB = document.getElementById('group-hsw-beta');
+    // Point masses and κ maps have no radial density curve to plot
     const groupPlot = document.getElementById('group-plot-toggle');
-    const groupEllipticity = document.getElementById('group-ellipticity');
-    const groupAngle = document.getElementById('group-angle');
-    const groupCaustics = document.getElementById('group-caustics');
-
-    // Reset visibility
-    groupWallD.style.display = 'none';
-    groupWallW.style.display = 'none';
-    groupHswRs.style.display = 'none';
-    groupHswA.style.display = 'none';
-    groupHswB.style.display = 'none';
-    hswLink.style.display = 'none';
-    groupEllipticity.style.display = 'none';
-    groupAngle.style.display = 'none';
-    groupCaustics.style.display = 'none';
-
-    if (modelIndex === 0) {
+    if (modelIndex === 0 || modelIndex === 6 || modelIndex === 7) {
         groupPlot.style.display = 'none';
     } else {
         groupPlot.style.display = 'block';
@@ -506,91 +1854,324 @@ function setModel(modelIndex, config) {
         }
     }
 
-    if (modelIndex === 2) { // Toy Model
-        massLabel.firstChild.textContent = 'Inner Density (% Mean)';
-        spreadLabel.firstChild.textContent = 'Void Radius';
+    if (modelIndex === 2 || modelIndex === 3) {
         coreLabel.childNodes[0].textContent = 'Show Void Boundary ';
+    } else if (modelIndex === 7) {
+        coreLabel.childNodes[0].textContent = 'Show Point Masses ';
+    } else {
+        coreLabel.childNodes[0].textContent = 'Show Dark Matter Halo ';
+    }
+}
 
-        groupWallD.style.display = 'block';
-        groupWallW.style.display = 'block';
+/**
+ * Set the physics model of the selected lens, apply its defaults and update UI labels
+ * @param {number} modelIndex - The model index (0=Point Mass, 1=NFW, 2=Void)
+ * @param {Object} config - The configuration object to update
+ */
+function setModel(modelIndex, config) {
+    // The sliders, the HSW lookup table and the plot follow the store (see setupSliders)
+    const defaults = { model: modelIndex, ...LensingParams.MODEL_DEFAULTS[modelIndex] };
 
-        // Defaults
-        if (config.mass > 0.5) config.mass = 0.2;
-        massSlider.value = config.mass * 100;
-        document.getElementById('mass-val').innerText = (config.mass * 100).toFixed(0) + '%';
+    // The toy void keeps an inner density that is void-like already
+    if (modelIndex === 2 && config.mass <= 0.5) delete defaults.mass;
+    LensingApp.store.update(defaults);
 
+    if (modelIndex === 2) { // Toy Model
         coreCheck.checked = true;
         config.showCore = 1.0;
+    } else if (modelIndex === 5) { // Radial Profile
+        syncProfileControls(config);
+        updateProfileLookup(config);
+    } else if (modelIndex === 7) { // Microlens: equal-mass binary at one Einstein radius
+        config.microMasses = [LensingMicrolensing.createCompanion(0)];
+        syncMicrolensControls(config);
+    }
 
-    } else if (modelIndex === 3) { // HSW Model
-        massLabel.firstChild.textContent = 'Inner Density (Delta_c)';
-        spreadLabel.firstChild.textContent = 'Void Radius';
-        coreLabel.childNodes[0].textContent = 'Show Void Boundary ';
+    updateLensUI(config);
+}
+
+/**
+ * Move the lens sliders and labels to the values stored in the config
+ * (used when a different lens is selected, so no model defaults are applied)
+ * @param {Object} config - The configuration object
+ */
+function syncLensControls(config) {
+    LensingApp.store.refresh(LensingLenses.LENS_KEYS);
+    syncProfileControls(config);
+    syncMicrolensControls(config);
+    updatePlot();
+}
 
-        groupHswRs.style.display = 'block';
-        groupHswA.style.display = 'block';
-        groupHswB.style.display = 'block';
-        hswLink.style.display = 'block';
+/**
+ * Select the profile of the selected lens in the dropdown and rebuild its shape parameter sliders
+ * @param {Object} config - The configuration object
+ */
+function syncProfileControls(config) {
+    const profile = LensingProfiles.getLensProfile(config);
+    profileSelect.value = profile.id;
+    profileParams.innerHTML = '';
+
+    profileFormulaGroup.style.display = profile.custom ? 'block' : 'none';
+    profileFormula.value = config.profileFormula;
+    profileFormulaError.innerText = '';
+
+    profile.params.forEach((param) => {
+        const value = config.profileParams[param.key] ?? param.value;
+        const digits = param.step < 0.1 ? 2 : 1;
+
+        const label = document.createElement('label');
+        label.textContent = `${param.label} `;
+        const valueDisplay = document.createElement('span');
+        valueDisplay.className = 'value-display';
+        valueDisplay.innerText = value.toFixed(digits);
+        label.appendChild(valueDisplay);
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = param.min;
+        slider.max = param.max;
+        slider.step = param.step;
+        slider.value = value;
+        slider.addEventListener('input', (e) => {
+            const newValue = parseFloat(e.target.value);
+            // Replace rather than mutate: the params object may be shared with defaultConfig
+            config.profileParams = { ...config.profileParams, [param.key]: newValue };
+            valueDisplay.innerText = newValue.toFixed(digits);
+            updateProfileLookup(config, true);
+            updatePlot();
+            updatePhysicalUnits(config);
+        });
+        slider.addEventListener('change', () => updateProfileLookup(config));
+
+        profileParams.appendChild(label);
+        profileParams.appendChild(slider);
+    });
+}
 
-        // Set HSW Defaults
-        config.mass = 0.2; // 20% -> -0.8
-        config.hswDeltac = -0.8;
-        config.hswRs = 0.9;
-        config.hswAlpha = 4.0;
-        config.hswBeta = 15.0;
+/**
+ * Format a microlens mass ratio
+ * @param {number} q - Mass ratio
+ * @returns {string} Label text
+ */
+function formatMassRatio(q) {
+    return q >= 0.01 ? q.toFixed(2) : q.toExponential(1);
+}
 
-        massSlider.value = 20;
-        document.getElementById('mass-val').innerText = '20%';
+/**
+ * Rebuild the companion sliders of the microlens of the selected lens
+ * @param {Object} config - The configuration object
+ */
+function syncMicrolensControls(config) {
+    const companions = config.microMasses;
+    microCountSlider.value = companions.length + 1;
+    document.getElementById('micro-count-val').innerText = companions.length + 1;
+    microParams.innerHTML = '';
+
+    // Mass ratio on a log scale (10^(value / 100)), separation in Einstein radii, position angle
+    const sliders = [
+        {
+            key: 'q',
+            label: 'Mass Ratio',
+            min: -400,
+            max: 0,
+            step: 1,
+            toSlider: (v) => Math.round(Math.log10(v) * 100),
+            fromSlider: (v) => 10 ** (v / 100),
+            format: formatMassRatio,
+        },
+        {
+            key: 's',
+            label: 'Separation (θ_E)',
+            min: 10,
+            max: 400,
+            step: 1,
+            toSlider: (v) => Math.round(v * 100),
+            fromSlider: (v) => v / 100,
+            format: (v) => v.toFixed(2),
+        },
+        {
+            key: 'angle',
+            label: 'Position Angle',
+            min: 0,
+            max: 360,
+            step: 1,
+            toSlider: (v) => v,
+            fromSlider: (v) => v,
+            format: (v) => `${v.toFixed(0)}°`,
+        },
+    ];
+
+    companions.forEach((companion, index) => {
+        sliders.forEach((param) => {
+            const label = document.createElement('label');
+            label.textContent = `${param.label} ${index + 2} `;
+            const valueDisplay = document.createElement('span');
+            valueDisplay.className = 'value-display';
+            valueDisplay.innerText = param.format(companion[param.key]);
+            label.appendChild(valueDisplay);
+
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = param.min;
+            slider.max = param.max;
+            slider.step = param.step;
+            slider.value = param.toSlider(companion[param.key]);
+            slider.addEventListener('input', (e) => {
+                const value = param.fromSlider(parseFloat(e.target.value));
+                // Replace rather than mutate: the list may be shared with defaultConfig
+                config.microMasses = config.microMasses.map((c, i) => (i === index ? { ...c, [param.key]: value } : c));
+                valueDisplay.innerText = param.format(value);
+            });
+
+            microParams.appendChild(label);
+            microParams.appendChild(slider);
+        });
+    });
+}
 
-        hswRsSlider.value = 90;
-        document.getElementById('hsw-rs-val').innerText = '0.90';
+/**
+ * Setup the microlens controls (number of point masses)
+ * @param {Object} config - The configuration object
+ */
+function setupMicrolensControls(config) {
+    microCountSlider.addEventListener('input', (e) => {
+        const companions = parseInt(e.target.value, 10) - 1;
+        const kept = config.microMasses.slice(0, companions);
+        for (let i = kept.length; i < companions; i++) {
+            kept.push(LensingMicrolensing.createCompanion(i));
+        }
+        config.microMasses = kept;
+        syncMicrolensControls(config);
+    });
+}
 
-        hswAlphaSlider.value = 40;
-        document.getElementById('hsw-alpha-val').innerText = '4.0';
+/**
+ * Setup the radial profile selector from the profile registry
+ * @param {Object} config - The configuration object
+ */
+function setupProfileControls(config) {
+    LensingProfiles.listProfiles().forEach((profile) => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        profileSelect.appendChild(option);
+    });
 
-        hswBetaSlider.value = 150;
-        document.getElementById('hsw-beta-val').innerText = '15.0';
+    profileSelect.addEventListener('change', (e) => {
+        config.profile = e.target.value;
+        config.profileParams = LensingProfiles.getDefaultParams(LensingProfiles.getLensProfile(config));
+        syncProfileControls(config);
+        updateProfileLookup(config);
+        updatePlot();
+        updatePhysicalUnits(config);
+        updateLensUI(config);
+    });
 
-        updateHSWLookup(config);
+    // Typed formula: applied on Enter or when the field loses focus; invalid input keeps the last good formula
+    profileFormula.addEventListener('change', (e) => {
+        let profile;
+        try {
+            profile = LensingProfiles.compileCustomProfile(e.target.value);
+        } catch (err) {
+            profileFormulaError.innerText = err.message;
+            return;
+        }
 
-    } else if (modelIndex === 4) { // Elliptical Halo
-        massLabel.firstChild.textContent = 'Cluster Mass';
-        spreadLabel.firstChild.textContent = 'Core Radius';
-        coreLabel.childNodes[0].textContent = 'Show Dark Matter Halo ';
+        // Parameters that survive the edit keep their values
+        const params = LensingProfiles.getDefaultParams(profile);
+        Object.keys(params).forEach((key) => {
+            if (key in config.profileParams) params[key] = config.profileParams[key];
+        });
+        config.profileFormula = e.target.value;
+        config.profileParams = params;
 
-        groupEllipticity.style.display = 'block';
-        groupAngle.style.display = 'block';
-        groupCaustics.style.display = 'block';
+        syncProfileControls(config);
+        updateProfileLookup(config);
+        updatePlot();
+        updatePhysicalUnits(config);
+    });
+    syncProfileControls(config);
+}
 
-        config.mass = 0.75;
-        massSlider.value = 100;
-        document.getElementById('mass-val').innerText = '100%';
+/**
+ * Rebuild the lens list in the panel
+ * @param {Object} config - The configuration object
+ */
+function updateLensUI(config) {
+    if (!lensList) return;
+    LensingLenses.storeSelectedLens();
 
-        config.spread = 0.50;
-        spreadSlider.value = 100;
-        document.getElementById('spread-val').innerText = '1.00x';
+    const { lenses } = LensingApp;
+    lensList.innerHTML = '';
 
-        config.ellipticity = 0.25;
-        ellipticitySlider.value = 25;
-        document.getElementById('ellipticity-val').innerText = '0.25';
+    lenses.forEach((lens, index) => {
+        const item = document.createElement('div');
+        item.className = 'layer-item lens-item';
+        if (index === LensingApp.selectedLens) item.classList.add('active');
+        item.onclick = () => selectLens(index, config);
 
-        config.angle = 0;
-        angleSlider.value = 0;
-        document.getElementById('angle-val').innerText = '0';
+        const name = document.createElement('span');
+        name.className = 'layer-name';
+        const modelName = lens.model === 5
+            ? LensingProfiles.getProfile(lens.profile).name
+            : LensingLenses.MODEL_NAMES[lens.model];
+        // Lenses outside the main lens plane show their plane distance
+        const plane = lens.planeDistance === 1.0 ? '' : ` (${lens.planeDistance.toFixed(2)}×)`;
+        name.innerText = `Lens ${index + 1}: ${modelName}${plane}`;
+        item.appendChild(name);
 
-    } else { // Point or NFW
-        massLabel.firstChild.textContent = 'Cluster Mass';
-        spreadLabel.firstChild.textContent = 'Cluster Spread';
-        coreLabel.childNodes[0].textContent = 'Show Dark Matter Halo ';
+        // The last remaining lens cannot be deleted
+        if (lenses.length > 1) {
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'remove-layer-btn';
+            removeBtn.innerText = '×';
+            removeBtn.onclick = (e) => {
+                e.stopPropagation();
+                LensingLenses.removeLens(index);
+                syncLensControls(config);
+                updateLensUI(config);
+            };
+            item.appendChild(removeBtn);
+        }
 
-        // ALWAYS reset to 100% when switching to a Cluster model
-        // This ensures consistent behavior coming from ANY void settings
-        config.mass = 1.0;
-        massSlider.value = 100;
-        document.getElementById('mass-val').innerText = '100%';
-    }
+        lensList.appendChild(item);
+    });
 
-    updatePlot();
+    addLensBtn.style.display = lenses.length < LensingLenses.MAX_LENSES ? 'block' : 'none';
+}
+
+/**
+ * Select a lens from the lens list and load its parameters into the controls
+ * @param {number} index - Index of the lens
+ * @param {Object} config - The configuration object
+ */
+function selectLens(index, config) {
+    LensingLenses.activateLens(index);
+    syncLensControls(config);
+    updateLensUI(config);
+}
+
+/**
+ * Setup the lens list controls
+ * @param {Object} config - The configuration object
+ */
+function setupLensControls(config) {
+    addLensBtn.addEventListener('click', () => {
+        if (!LensingLenses.addLens()) return;
+        syncLensControls(config);
+        updateLensUI(config);
+    });
+
+    updateLensUI(config);
+}
+
+/**
+ * Show the lens plane distance of the selected lens (and its redshift in cosmology mode)
+ * @param {Object} config - The configuration object
+ */
+function updatePlaneDistanceLabel(config) {
+    const entry = LensingParams.getParameter('planeDistance');
+    document.getElementById('plane-distance-val').innerText = LensingParams.formatParameter(entry, config);
 }
 
 /**
@@ -647,7 +2228,7 @@ function updateTexture(type, config, material) {
  */
 function setBgMode(mode, config, material) {
     LensingApp.currentMode = mode;
-    const presetBtns = document.querySelectorAll('.preset-btn');
+    const presetBtns = document.querySelectorAll('.preset-btn[data-type]');
     presetBtns.forEach((b) => b.classList.remove('active'));
 
     if (mode === 'galaxies') btnGalaxies.classList.add('active');
@@ -662,14 +2243,10 @@ function setBgMode(mode, config, material) {
         if (densityLabelText) densityLabelText.innerText = 'Galaxy Density';
 
         // Reset to default 3 layers for Galaxies
-        config.layers = 3;
-        layersSlider.value = 3;
-        document.getElementById('layers-val').innerText = '3';
+        LensingApp.store.set('layers', 3);
     } else {
         // For all grids, default to 1 layer
-        config.layers = 1;
-        layersSlider.value = 1;
-        document.getElementById('layers-val').innerText = '1';
+        LensingApp.store.set('layers', 1);
 
         if (mode === 'dotted-grid') {
             densitySlider.disabled = false;
@@ -687,7 +2264,7 @@ function setBgMode(mode, config, material) {
  * @param {Object} material - The Three.js material
  */
 function setupPresetButtons(config, material) {
-    const presetBtns = document.querySelectorAll('.preset-btn');
+    const presetBtns = document.querySelectorAll('.preset-btn[data-type]');
     presetBtns.forEach((btn) => {
         btn.addEventListener('click', () => {
             setBgMode(btn.dataset.type, config, material);
@@ -748,13 +2325,14 @@ function updateLayerUI(config, material) {
         layersSlider.value = config.layers;
         document.getElementById('layers-val').innerText = config.layers;
     }
+    updateCosmologyInfo(config);
 
     for (let i = 0; i < 8; i++) {
         material.uniforms[`u_manual_tex_${i}`].value = null;
     }
 
     if (manualLayers.length > 0) {
-        const presetBtns = document.querySelectorAll('.preset-btn');
+        const presetBtns = document.querySelectorAll('.preset-btn[data-type]');
         presetBtns.forEach((b) => b.classList.remove('active'));
         LensingApp.currentMode = 'upload';
 
@@ -819,7 +2397,7 @@ function setupFileUpload(config, material) {
 
                 // If it's the first image, default to 1 layer
                 if (LensingApp.manualLayers.length === 0) {
-                    config.layers = 1;
+                    LensingApp.store.set('layers', 1);
                 }
 
                 LensingApp.manualLayers.push({ texture: tex, name: file.name });
@@ -850,15 +2428,7 @@ function setupReshuffleButton(config, material) {
         LensingUtils.randomizeCredits();
         LensingUtils.randomizeMasterSeed();
 
-        const newCluster = LensingTextures.createClusterTexture(config.density);
-        newCluster.wrapS = THREE.ClampToEdgeWrapping;
-        newCluster.wrapT = THREE.ClampToEdgeWrapping;
-        material.uniforms.u_cluster.value = newCluster;
-
-        const newFg = LensingTextures.createForegroundTexture(config.density);
-        newFg.wrapS = THREE.RepeatWrapping;
-        newFg.wrapT = THREE.RepeatWrapping;
-        material.uniforms.u_fg.value = newFg;
+        redrawForegroundTextures(config, material);
 
         if (LensingApp.currentMode === 'galaxies') {
             const newBg = LensingTextures.createBackgroundTexture(config.density);
@@ -875,116 +2445,458 @@ function setupReshuffleButton(config, material) {
 }
 
 /**
- * Setup reset button
+ * Lock or unlock the selected lens and update the lock indicator
+ * @param {boolean} locked - True to lock the lens in place
+ */
+function setLockState(locked) {
+    LensingApp.isLocked = locked;
+    document.getElementById('lock-indicator').style.display = locked ? 'block' : 'none';
+    document.getElementById('instruct').innerText = locked ? 'Click to Unlock' : 'Drag to move • Click to Lock';
+    document.getElementById('canvas-container').style.cursor = locked ? 'default' : 'crosshair';
+}
+
+/**
+ * Redraw the cluster and foreground textures (after a new seed or galaxy density)
  * @param {Object} config - The configuration object
- * @param {Object} defaultConfig - The default configuration
  * @param {Object} material - The Three.js material
  */
-function setupResetButton(config, defaultConfig, material) {
-    document.getElementById('reset-main').addEventListener('click', () => {
-        LensingUtils.randomizeCredits();
-        Object.assign(config, defaultConfig);
+function redrawForegroundTextures(config, material) {
+    const newCluster = LensingTextures.createClusterTexture(config.density);
+    newCluster.wrapS = THREE.ClampToEdgeWrapping;
+    newCluster.wrapT = THREE.ClampToEdgeWrapping;
+    material.uniforms.u_cluster.value = newCluster;
+
+    const newFg = LensingTextures.createForegroundTexture(config.density);
+    newFg.wrapS = THREE.RepeatWrapping;
+    newFg.wrapT = THREE.RepeatWrapping;
+    material.uniforms.u_fg.value = newFg;
+}
 
-        massSlider.value = 100;
-        document.getElementById('mass-val').innerText = '100%';
+/**
+ * Move the scene-wide sliders, checkboxes and panels to the values stored in the config
+ * (the controls of the selected lens follow syncLensControls)
+ * @param {Object} config - The configuration object
+ */
+function syncSceneControls(config) {
+    const sceneKeys = LensingParams.PARAMETER_SCHEMA.map((entry) => entry.key)
+        .filter((key) => !LensingLenses.LENS_KEYS.includes(key));
+    LensingApp.store.refresh(sceneKeys);
+
+    coreCheck.checked = config.showCore > 0.5;
+    causticCheck.checked = config.showCaustics > 0.5;
+    if (fgCheck) fgCheck.checked = config.showForeground > 0.5;
+    if (clusterCheck) clusterCheck.checked = config.showCluster > 0.5;
+
+    syncCosmologyControls(config);
+    syncUnitsControls(config);
+    syncKappaMapControls(config);
+    syncLightCurveControls(config);
+    syncLensMapControls(config);
+    syncWhiskerControls(config);
+    syncPlotControls(config);
+    syncStackingControls(config);
+    syncRecordingControls(config);
+    syncSnapshotControls(config);
+    updateExaggerationInfo(config);
+}
 
-        spreadSlider.value = 100;
-        document.getElementById('spread-val').innerText = '1.00x';
+/**
+ * Restore a scene (see LensingScene): background and seed, the scene-wide settings, every lens of the
+ * lens list with its lookup table, the selected lens and the lock state
+ * @param {Object} state - Checked scene from LensingScene.parseScene()
+ * @param {Object} config - The configuration object
+ * @param {Object} material - The Three.js material
+ */
+function applyScene(state, config, material) {
+    cancelRecordingInput(config);
+    Object.assign(config, state.config);
 
-        layersSlider.value = 3;
-        document.getElementById('layers-val').innerText = '3';
+    // The textures are drawn from the seed; the background mode resets the layer count
+    LensingUtils.setMasterSeed(state.seed);
+    LensingApp.manualLayers = [];
+    updateLayerUI(config, material);
+    setBgMode(state.background, config, material);
+    redrawForegroundTextures(config, material);
+    config.layers = state.config.layers;
+    syncSceneControls(config);
+
+    // Every lens is selected once, so that its row of the lookup texture is integrated
+    LensingApp.lenses = state.lenses.map((lens) => LensingLenses.createLens(lens, new THREE.Vector2(lens.x, lens.y)));
+    LensingApp.selectedLens = -1;
+    LensingApp.lenses.forEach((lens, index) => {
+        LensingLenses.activateLens(index);
+        updateProfileLookup(config);
+    });
+    selectLens(state.selectedLens, config);
+    updatePhysicalUnits(config);
+    updateExaggerationInfo(config);
 
-        densitySlider.value = 100;
-        document.getElementById('density-val').innerText = '100%';
+    setLockState(state.locked);
+    scheduleSceneHash();
+}
 
-        brightSlider.value = 100;
-        document.getElementById('bright-val').innerText = '100%';
+/**
+ * Update the URL hash once the scene has stopped changing for a moment
+ */
+function scheduleSceneHash() {
+    clearTimeout(sceneHashTimer);
+    sceneHashTimer = setTimeout(LensingScene.updateSceneHash, SCENE_HASH_DELAY);
+}
 
-        coreCheck.checked = true;
-        causticCheck.checked = false;
-        config.showCaustics = 0.0;
+/**
+ * Restore the scene of a shared link (on load and when a new link is pasted into the address bar)
+ */
+function applySceneHash() {
+    let state;
+    try {
+        state = LensingScene.readSceneHash();
+    } catch (err) {
+        console.error('Error reading the scene from the link:', err);
+        alert(`Failed to load the linked scene: ${err.message}`);
+        return;
+    }
+    if (state) applyScene(state, LensingApp.config, LensingApp.material);
+}
+
+/**
+ * Keep the URL hash in step with the scene and setup the Copy Link button
+ */
+function setupSceneLink() {
+    // Controls of the panel, lens locks and drags change the scene
+    ['input', 'change', 'click'].forEach((type) => uiLayer.addEventListener(type, scheduleSceneHash));
+    LensingApp.renderer.domElement.addEventListener('click', scheduleSceneHash);
+    LensingApp.renderer.domElement.addEventListener('touchend', scheduleSceneHash);
+    window.addEventListener('mouseup', scheduleSceneHash);
+    window.addEventListener('hashchange', applySceneHash);
+
+    const copyLinkBtn = document.getElementById('copy-link-btn');
+    copyLinkBtn.addEventListener('click', () => {
+        clearTimeout(sceneHashTimer);
+        const link = LensingScene.updateSceneHash();
+        navigator.clipboard.writeText(link)
+            .then(() => {
+                copyLinkBtn.innerText = 'Link Copied';
+                setTimeout(() => {
+                    copyLinkBtn.innerText = 'Copy Link';
+                }, 1500);
+            })
+            .catch(() => {
+                // Without clipboard access (e.g. over plain HTTP) the link is shown for copying by hand
+                window.prompt('Copy this link:', link);
+            });
+    });
+}
+
+/**
+ * Preset of the preset menu
+ * @returns {Object|null} { name, scene, description?, saved }, or null without a choice
+ */
+function getChosenPreset() {
+    const [kind, key] = scenePresetSelect.value.split(/:(.*)/);
+    if (kind === 'curated') {
+        const preset = LensingPresets.CURATED_PRESETS.find((item) => item.id === key);
+        return preset ? { ...preset, saved: false } : null;
+    }
+    const preset = LensingPresets.getSavedPresets().find((item) => item.name === key);
+    return preset ? { ...preset, saved: true } : null;
+}
+
+/**
+ * Refill the preset menu (curated scenes, then the user's own)
+ * @param {string} [value] - Option to choose, e.g. 'saved:My Scene' (keeps the current choice by default)
+ */
+function updatePresetList(value = scenePresetSelect.value) {
+    scenePresetSelect.innerHTML = '';
+    const addGroup = (label, presets, kind, key) => {
+        if (presets.length === 0) return;
+        const group = document.createElement('optgroup');
+        group.label = label;
+        presets.forEach((preset) => {
+            const option = document.createElement('option');
+            option.value = `${kind}:${preset[key]}`;
+            option.textContent = preset.name;
+            group.appendChild(option);
+        });
+        scenePresetSelect.appendChild(group);
+    };
+    addGroup('Curated Scenes', LensingPresets.CURATED_PRESETS, 'curated', 'id');
+    addGroup('My Presets', LensingPresets.getSavedPresets(), 'saved', 'name');
+
+    if (Array.from(scenePresetSelect.options).some((option) => option.value === value)) {
+        scenePresetSelect.value = value;
+    }
+    updatePresetInfo();
+}
+
+/**
+ * Description of the chosen preset; renaming and deleting apply to saved presets only
+ */
+function updatePresetInfo() {
+    const preset = getChosenPreset();
+    scenePresetInfo.innerText = preset && !preset.saved ? preset.description : 'Saved in this browser';
+    const saved = preset !== null && preset.saved;
+    document.getElementById('preset-rename-btn').disabled = !saved;
+    document.getElementById('preset-delete-btn').disabled = !saved;
+}
 
-        if (fgCheck) {
-            fgCheck.checked = true;
-            config.showForeground = 1.0;
+/**
+ * Setup the preset menu: load, save, rename, delete, export and import
+ * @param {Object} config - The configuration object
+ * @param {Object} material - The Three.js material
+ */
+function setupScenePresets(config, material) {
+    scenePresetSelect = document.getElementById('preset-select');
+    scenePresetInfo = document.getElementById('preset-info');
+    const presetUpload = document.getElementById('preset-upload');
+
+    // Failures of the buttons are reported the same way
+    const run = (action, task) => {
+        try {
+            task();
+        } catch (err) {
+            console.error(`Error ${action} the preset:`, err);
+            alert(`Failed ${action} the preset: ${err.message}`);
         }
-        if (clusterCheck) {
-            clusterCheck.checked = true;
-            config.showCluster = 1.0;
+    };
+
+    scenePresetSelect.addEventListener('change', updatePresetInfo);
+
+    document.getElementById('preset-load-btn').addEventListener('click', () => {
+        run('loading', () => {
+            const preset = getChosenPreset();
+            if (preset) applyScene(LensingScene.parseScene(preset.scene), config, material);
+        });
+    });
+
+    document.getElementById('preset-save-btn').addEventListener('click', () => {
+        const saved = LensingPresets.getSavedPresets();
+        const name = window.prompt('Name of the preset:', `My Scene ${saved.length + 1}`);
+        if (name === null) return;
+        if (saved.some((preset) => preset.name === name.trim()) && !window.confirm(`Replace the preset "${name.trim()}"?`)) {
+            return;
         }
+        run('saving', () => {
+            const stored = LensingPresets.savePreset(name, LensingScene.captureScene());
+            updatePresetList(`saved:${stored}`);
+        });
+    });
+
+    document.getElementById('preset-rename-btn').addEventListener('click', () => {
+        const preset = getChosenPreset();
+        if (!preset || !preset.saved) return;
+        const name = window.prompt('New name of the preset:', preset.name);
+        if (name === null) return;
+        run('renaming', () => {
+            const stored = LensingPresets.renamePreset(preset.name, name);
+            updatePresetList(`saved:${stored}`);
+        });
+    });
+
+    document.getElementById('preset-delete-btn').addEventListener('click', () => {
+        const preset = getChosenPreset();
+        if (!preset || !preset.saved || !window.confirm(`Delete the preset "${preset.name}"?`)) return;
+        run('deleting', () => {
+            LensingPresets.deletePreset(preset.name);
+            updatePresetList();
+        });
+    });
+
+    document.getElementById('preset-export-btn').addEventListener('click', () => {
+        const preset = getChosenPreset();
+        if (!preset) return;
+        const slug = preset.name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'preset';
+        downloadText(LensingPresets.exportPresets([preset]), `lensing_preset_${slug}.json`, 'application/json');
+    });
+
+    presetUpload.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        presetUpload.value = '';
+        if (!file) return;
+        file.text()
+            .then((text) => {
+                const names = LensingPresets.importPresets(text);
+                updatePresetList(`saved:${names[0]}`);
+                scenePresetInfo.innerText = names.length === 1
+                    ? `Imported "${names[0]}"`
+                    : `Imported ${names.length} presets`;
+            })
+            .catch((err) => {
+                console.error('Error importing presets from file:', file.name, err);
+                alert(`Failed to import the presets: ${err.message}`);
+            });
+    });
+
+    updatePresetList();
+}
+
+/**
+ * Restore the scene of a PNG dropped onto the canvas
+ * @param {Object} config - The configuration object
+ * @param {Object} material - The Three.js material
+ */
+function setupSceneDrop(config, material) {
+    const canvas = LensingApp.renderer.domElement;
+    canvas.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+    });
+    canvas.addEventListener('drop', (e) => {
+        e.preventDefault();
+        const file = e.dataTransfer.files[0];
+        if (!file) return;
+
+        file.arrayBuffer()
+            .then((buffer) => {
+                const state = LensingScene.extractScene(buffer);
+                if (!state) throw new Error('The image carries no scene. Only snapshots of this visualization do.');
+                applyScene(state, config, material);
+            })
+            .catch((err) => {
+                console.error('Error restoring the scene from a dropped file:', file.name, err);
+                alert(`Failed to restore the scene: ${err.message}`);
+            });
+    });
+}
+
+/**
+ * Setup reset button
+ * @param {Object} config - The configuration object
+ * @param {Object} defaultConfig - The default configuration
+ * @param {Object} material - The Three.js material
+ */
+function setupResetButton(config, defaultConfig, material) {
+    document.getElementById('reset-main').addEventListener('click', () => {
+        LensingUtils.randomizeCredits();
+        Object.assign(config, defaultConfig);
+        syncSceneControls(config);
 
+        LensingLenses.resetLenses();
         setModel(0, config);
         LensingApp.manualLayers = [];
         updateLayerUI(config, material);
         setBgMode('galaxies', config, material);
 
-        const newCluster = LensingTextures.createClusterTexture(config.density);
-        newCluster.wrapS = THREE.ClampToEdgeWrapping;
-        newCluster.wrapT = THREE.ClampToEdgeWrapping;
-        material.uniforms.u_cluster.value = newCluster;
-
-        const newFg = LensingTextures.createForegroundTexture(config.density);
-        newFg.wrapS = THREE.RepeatWrapping;
-        newFg.wrapT = THREE.RepeatWrapping;
-        material.uniforms.u_fg.value = newFg;
+        redrawForegroundTextures(config, material);
     });
 }
 
 /**
- * Setup snapshot button
+ * Show the pixel size of the next snapshot (and the tiles of a poster)
+ * @param {Object} config - The configuration object
+ * @param {THREE.WebGLRenderer} renderer - The Three.js renderer
+ */
+function updateSnapshotInfo(config, renderer) {
+    const size = LensingPoster.getPosterSize(config);
+    if (!size) {
+        snapshotInfo.innerText = `${renderer.domElement.width} × ${renderer.domElement.height} (canvas)`;
+        return;
+    }
+    const tiles = LensingPoster.getTileCount(renderer, size.width, size.height);
+    const megapixels = (size.width * size.height) / 1e6;
+    snapshotInfo.innerText = `${size.width} × ${size.height} (${megapixels.toFixed(1)} MP, ${tiles} tile${tiles > 1 ? 's' : ''})`;
+}
+
+/**
+ * Setup snapshot button and its output size
+ * Window snapshots copy the canvas; larger sizes are rendered offscreen by LensingPoster.
+ * @param {Object} config - The configuration object
  * @param {THREE.WebGLRenderer} renderer - The Three.js renderer
  * @param {THREE.Scene} scene - The Three.js scene
  * @param {THREE.Camera} camera - The Three.js camera
  */
-function setupSnapshotButton(renderer, scene, camera) {
-    document.getElementById('snapshot-btn').addEventListener('click', () => {
-        // 1. Render the 3D scene fresh
-        renderer.render(scene, camera);
-
-        // 2. Create a temporary 2D canvas
-        const virtualCanvas = document.createElement('canvas');
-        virtualCanvas.width = renderer.domElement.width;
-        virtualCanvas.height = renderer.domElement.height;
-        const ctx = virtualCanvas.getContext('2d');
+function setupSnapshotButton(config, renderer, scene, camera) {
+    const snapshotBtn = document.getElementById('snapshot-btn');
+    const widthInput = document.getElementById('snapshot-width');
+    const heightInput = document.getElementById('snapshot-height');
+
+    snapshotSelect.addEventListener('change', (e) => {
+        config.snapshotSize = e.target.value;
+        snapshotCustom.style.display = config.snapshotSize === 'custom' ? 'flex' : 'none';
+        updateSnapshotInfo(config, renderer);
+    });
 
-        // 3. Draw the WebGL rendered image
-        ctx.drawImage(renderer.domElement, 0, 0);
+    // Custom sizes are clamped to the canvas limits once entered
+    const setCustomSize = () => {
+        config.snapshotWidth = parseInt(widthInput.value, 10) || config.snapshotWidth;
+        config.snapshotHeight = parseInt(heightInput.value, 10) || config.snapshotHeight;
+        const size = LensingPoster.getPosterSize(config);
+        config.snapshotWidth = size.width;
+        config.snapshotHeight = size.height;
+        widthInput.value = size.width;
+        heightInput.value = size.height;
+        updateSnapshotInfo(config, renderer);
+    };
+    widthInput.addEventListener('change', setCustomSize);
+    heightInput.addEventListener('change', setCustomSize);
+    window.addEventListener('resize', () => updateSnapshotInfo(config, renderer));
+
+    // The PNG carries the scene, so that dropping it onto the canvas restores it (see setupSceneDrop)
+    const save = (canvas, filename, state) => {
+        canvas.toBlob((blob) => {
+            LensingScene.embedScene(blob, state)
+                .then((png) => downloadBlob(png, filename))
+                .catch((err) => {
+                    console.error('Error embedding the scene in the snapshot:', err);
+                    downloadBlob(blob, filename);
+                });
+        }, 'image/png');
+    };
 
-        // 4. Configure Text
-        const text = 'nicosmo.github.io/lensing_visualization/';
-        const fontSize = Math.max(12, Math.floor(virtualCanvas.width * 0.012));
-        ctx.font = `300 ${fontSize}px Inter, sans-serif`;
-        ctx.textAlign = 'right';
-        ctx.textBaseline = 'bottom';
+    snapshotBtn.addEventListener('click', () => {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+        const filename = `gravitational_lens_${timestamp}.png`;
+        const size = LensingPoster.getPosterSize(config);
+        const state = LensingScene.captureScene();
 
-        // 5. Calculate positions & Measure text for the background box
-        const marginX = virtualCanvas.width * 0.02;
-        const x = virtualCanvas.width - marginX;
-        const y = virtualCanvas.height - 15;
+        if (!size) {
+            // 1. Render the 3D scene fresh
+            renderer.render(scene, camera);
 
-        const metrics = ctx.measureText(text);
-        const textWidth = metrics.width;
-        const padding = fontSize * 0.5;
-        const boxHeight = fontSize + padding;
+            // 2. Create a temporary 2D canvas
+            const virtualCanvas = document.createElement('canvas');
+            virtualCanvas.width = renderer.domElement.width;
+            virtualCanvas.height = renderer.domElement.height;
+            const ctx = virtualCanvas.getContext('2d');
 
-        // 6. Draw the Dark Background Box
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
-        ctx.fillRect(x - textWidth - padding, y - fontSize - padding / 2, textWidth + padding * 2, boxHeight);
+            // 3. Draw the WebGL rendered image
+            ctx.drawImage(renderer.domElement, 0, 0);
 
-        // 7. Draw the Text on top
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.65)';
-        ctx.fillText(text, x, y);
+            // 4. Add the attribution (shared with the video recording)
+            LensingUtils.drawAttribution(ctx, virtualCanvas.width, virtualCanvas.height);
 
-        // 8. Save
-        const link = document.createElement('a');
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-        link.download = `gravitational_lens_${timestamp}.png`;
-        link.href = virtualCanvas.toDataURL('image/png');
+            // 5. Save
+            save(virtualCanvas, filename, state);
+            return;
+        }
 
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
+        // Posters block the page for a moment: let the button show it first
+        snapshotBtn.disabled = true;
+        snapshotBtn.innerText = 'Rendering…';
+        setTimeout(() => {
+            try {
+                save(LensingPoster.renderPoster(config, size.width, size.height), filename, state);
+            } catch (err) {
+                console.error('Error rendering the poster snapshot:', err);
+                alert(`Failed to render the snapshot: ${err.message}`);
+            } finally {
+                snapshotBtn.disabled = false;
+                snapshotBtn.innerText = 'Save Snapshot';
+            }
+        }, 50);
     });
+    syncSnapshotControls(config);
+}
+
+/**
+ * Reset the snapshot size controls to the values in the config
+ * @param {Object} config - The configuration object
+ */
+function syncSnapshotControls(config) {
+    snapshotSelect.value = config.snapshotSize;
+    snapshotCustom.style.display = config.snapshotSize === 'custom' ? 'flex' : 'none';
+    document.getElementById('snapshot-width').value = config.snapshotWidth;
+    document.getElementById('snapshot-height').value = config.snapshotHeight;
+    updateSnapshotInfo(config, LensingApp.renderer);
 }
 
 /**
@@ -1002,17 +2914,42 @@ function initUI(config, defaultConfig, material, renderer, scene, camera) {
     setupSliders(config, material);
     setupCheckboxes(config);
     setupModelButtons(config);
+    setupLensControls(config);
+    setupProfileControls(config);
+    setupMicrolensControls(config);
+    setupCosmologyControls(config);
+    setupUnitsControls(config);
+    setupKappaMapControls(config);
+    setupLightCurveControls(config);
+    setupLensMapControls(config);
+    setupWhiskerControls(config);
+    setupPlotControls(config);
     setupPresetButtons(config, material);
     setupFileUpload(config, material);
     setupReshuffleButton(config, material);
     setupResetButton(config, defaultConfig, material);
-    setupSnapshotButton(renderer, scene, camera);
+    setupSnapshotButton(config, renderer, scene, camera);
+    setupCatalogButtons(config);
+    setupStackingControls(config);
+    setupExaggerationControls(config);
+    setupRecordingControls(config);
+    setupSceneDrop(config, material);
+    setupSceneLink();
+    setupScenePresets(config, material);
 }
 
 // Export for use in other modules
 window.LensingUI = {
     initUI,
     setModel,
+    selectLens,
     setBgMode,
     updateLayerUI,
+    drawLightCurve,
+    placeSourceStar,
+    addRecordingPoint,
+    updateRecordingInfo,
+    setLockState,
+    applyScene,
+    applySceneHash,
 };
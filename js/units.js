@@ -0,0 +1,360 @@
+/**
+ * Physical Units Module
+ * Translates the dimensionless slider values of a lens (mass, spread, ...) into physical quantities:
+ * M200 & concentration for the NFW halo, velocity dispersion for the NIE, δ_c & R_v for the voids,
+ * and the Einstein radius in arcseconds. Distances come from the cosmology settings (cosmology.js).
+ *
+ * The shader works in screen-height units (1.0 = screen height). A deflection of the shader's
+ * lens_deflection() at efficiency D_ls/D_s = 1 corresponds to depth = 2.5, so the unreduced
+ * deflection angle of a model is 2.5 x its deflection per unit depth.
+ */
+
+// Arcseconds per radian
+const ARCSEC_PER_RADIAN = 206264.806;
+
+// c^2 / (4 G) in solar masses per Mpc (π x the Σ_crit prefactor c^2 / (4 π G))
+const LENS_MASS_PREFACTOR = Math.PI * 1.6625e18;
+
+// Critical density today for h = 1, in solar masses per Mpc^3
+const RHO_CRIT_H2 = 2.775e11;
+
+// Depth of a layer with efficiency D_ls / D_s = 1 (must match 'depth' in the fragment shader)
+const UNIT_DEPTH = 2.5;
+
+// Exaggeration factor of the "realistic" preset: percent-level shear around the default halo and void
+const REALISTIC_EXAGGERATION = 0.1;
+
+/**
+ * Angular size of one screen-height unit
+ * @param {Object} config - The configuration object
+ * @returns {number} Radians per screen height
+ */
+function getFieldScale(config) {
+    return (config.fieldOfView / 60.0) * (Math.PI / 180.0);
+}
+
+/**
+ * NFW deflection shape g(x) / x (matches nfw_deflection in the fragment shader)
+ * @param {number} x - Radius in units of the scale radius
+ * @returns {number} Deflection per unit strength
+ */
+function nfwShape(x) {
+    if (x < 0.0001) return 0.0;
+
+    let termGeo = 1.0;
+    if (x < 0.999) {
+        const root = Math.sqrt(1.0 - x * x);
+        termGeo = Math.log((1.0 + root) / x) / root;
+    } else if (x > 1.001) {
+        const root = Math.sqrt(x * x - 1.0);
+        termGeo = Math.acos(1.0 / x) / root;
+    }
+    return (Math.log(x * 0.5) + termGeo) / x;
+}
+
+/**
+ * Enclosed mass of the void toy model divided by x (matches void_toy_deflection in the fragment shader)
+ * @param {number} r - Distance from the void centre
+ * @param {number} rv - Void radius
+ * @param {number} dIn - Inner density contrast
+ * @param {number} dWall - Peak density contrast of the wall
+ * @param {number} w - Wall width in void radii
+ * @returns {number} Deflection per unit strength
+ */
+function voidToyShape(r, rv, dIn, dWall, w) {
+    if (r < 0.0001) return 0.0;
+
+    const x = r / rv;
+    const xOut = 1.0 + w;
+    const xCore = 0.05;
+    const lensingStrength = 3.0;
+
+    // Quadratic rise from the core to the wall peak at x = 1
+    const mCore = 0.5 * dIn * xCore * xCore;
+    const diff = dWall - dIn;
+    const span = 1.0 - xCore;
+    const scale = 1.0 / (span * span);
+    const rise = (v) => (v * v * v * v) * 0.25 + xCore * (v * v * v) * (1.0 / 3.0);
+
+    // Quadratic wall drop from x = 1 to x_out, q = (x - 1) / w
+    const wall = (q) => q + q * q * (0.5 * w - 1.0)
+        + q * q * q * (1.0 / 3.0 - (2.0 / 3.0) * w) + q * q * q * q * 0.25 * w;
+    const mInner = mCore + 0.5 * dIn * (1.0 - xCore * xCore) + diff * scale * rise(span);
+
+    let mass;
+    if (x < xCore) {
+        mass = 0.5 * dIn * x * x;
+    } else if (x < 1.0) {
+        mass = mCore + 0.5 * dIn * (x * x - xCore * xCore) + diff * scale * rise(x - xCore);
+    } else if (x < xOut) {
+        mass = mInner + dWall * w * wall((x - 1.0) / w);
+    } else {
+        mass = mInner + dWall * w * wall(1.0);
+    }
+    return (lensingStrength * mass) / x;
+}
+
+/**
+ * Radial deflection of the lens models in screen-height units (same scalings as lens_deflection)
+ * HSW voids and radial profiles are read from the lookup row of the selected lens.
+ * The NIE is circularised, i.e. evaluated as a cored isothermal sphere, and a microlens as its total mass.
+ * @param {Object} lens - Lens parameters (model, mass, spread, ellipticity, wall & HSW parameters)
+ * @param {number} r - Distance from the lens centre
+ * @param {number} depth - Lensing depth of the layer (efficiency x 2.5)
+ * @returns {number|null} Deflection (negative = away from the centre), or null for κ maps
+ */
+function radialDeflection(lens, r, depth) {
+    const baseStrength = lens.mass * 0.03;
+
+    if (lens.model === 0 || lens.model === 7) {
+        return (baseStrength * depth) / (r + 0.005);
+    }
+    if (lens.model === 1) {
+        const rs = Math.max(lens.spread * 0.24, 0.01);
+        return baseStrength * depth * 6.0 * nfwShape(r / rs);
+    }
+    if (lens.model === 3 || lens.model === 5) {
+        // Tabulated profile of the selected lens (profiles.js)
+        const rs = Math.max(lens.spread * 0.24, 0.01);
+        return tableStrength(lens, depth) * LensingProfiles.sampleDeflection(LensingApp.selectedLens, r / rs);
+    }
+    if (lens.model === 4) {
+        const b = baseStrength * depth * 8.0;
+        const s = Math.max(lens.spread * 0.1, 0.005) * Math.sqrt(1.0 - lens.ellipticity);
+        return (b * (Math.sqrt(r * r + s * s) - s)) / r;
+    }
+    if (lens.model === 2) {
+        const rv = Math.max(lens.spread * 0.24, 0.01);
+        return 0.15 * depth * voidToyShape(r, rv, lens.mass - 1.0, lens.wallDensity, lens.wallWidth);
+    }
+    return null;
+}
+
+/**
+ * Strength of the tabulated lenses: HSW voids (signed table) and radial profiles (normalised to the
+ * NFW deflection at r_s, so they share the strength of the NFW halo)
+ * @param {Object} lens - Lens parameters (model 3 or 5)
+ * @param {number} depth - Lensing depth of the layer (efficiency x 2.5)
+ * @returns {number} Factor of the tabulated deflection
+ */
+function tableStrength(lens, depth) {
+    return lens.model === 3 ? 0.33 * depth : lens.mass * 0.03 * depth * 6.0;
+}
+
+/**
+ * Convergence & tangential shear of a tabulated lens (HSW void or radial profile), read from the
+ * g & b channels of the lookup row of the selected lens
+ * @param {Object} lens - Lens parameters
+ * @param {number} r - Distance from the lens centre
+ * @param {number} depth - Lensing depth of the layer (efficiency x 2.5)
+ * @returns {Object|null} { kappa, gamma }, or null for lenses without a table
+ */
+function tabulatedConvergence(lens, r, depth) {
+    if (lens.model !== 3 && lens.model !== 5) return null;
+    const rs = Math.max(lens.spread * 0.24, 0.01);
+    const { kappa, gamma } = LensingProfiles.sampleConvergence(LensingApp.selectedLens, r / rs);
+    const strength = tableStrength(lens, depth) / rs;
+    return { kappa: strength * kappa, gamma: strength * gamma };
+}
+
+/**
+ * Einstein radius of a lens: the outermost radius where the deflection equals the radius
+ * The mass sheet of the environment is included; the external shear is not. Voids have none.
+ * @param {Object} config - Configuration holding the lens parameters and the environment
+ * @param {number} efficiency - Lensing efficiency D_ls / D_s of the source layer
+ * @returns {number} Einstein radius in screen-height units (0 if the lens is subcritical)
+ */
+function einsteinRadius(config, efficiency) {
+    if (efficiency <= 0 || config.model === 2 || config.model === 3) return 0;
+
+    const depth = efficiency * UNIT_DEPTH * config.exaggeration;
+    if (radialDeflection(config, 1.0, depth) === null) return 0;
+    const excess = (r) => radialDeflection(config, r, depth) + config.kappaExt * efficiency * r - r;
+
+    // Walk inwards until the deflection overtakes the radius, then bisect
+    const rMax = 2.0;
+    const steps = 400;
+    let outer = rMax;
+    if (excess(outer) >= 0) return rMax;
+
+    for (let i = steps - 1; i > 0; i--) {
+        const inner = (i / steps) * rMax;
+        if (excess(inner) >= 0) {
+            let lo = inner;
+            let hi = outer;
+            for (let k = 0; k < 40; k++) {
+                const mid = 0.5 * (lo + hi);
+                if (excess(mid) >= 0) lo = mid;
+                else hi = mid;
+            }
+            return 0.5 * (lo + hi);
+        }
+        outer = inner;
+    }
+    return 0;
+}
+
+/**
+ * Distance, angular scale and critical surface density of the lens plane
+ * @param {Object} config - Configuration holding the cosmology and fieldOfView
+ * @returns {Object} { dL (Mpc), scale (radians per screen height), sigmaCrit (M☉/Mpc² for D_ls / D_s = 1) }
+ */
+function getLensPlaneScales(config) {
+    const zL = LensingCosmology.getLensRedshift(config);
+    const dL = LensingCosmology.angularDiameterDistance(0, zL, config.hubble, config.omegaM);
+    return { dL, scale: getFieldScale(config), sigmaCrit: LENS_MASS_PREFACTOR / (Math.PI * dL) };
+}
+
+/**
+ * Critical density of the universe at a redshift
+ * @param {number} z - Redshift
+ * @param {Object} config - Configuration holding hubble & omegaM
+ * @returns {number} ρ_crit in solar masses per Mpc^3
+ */
+function criticalDensity(z, config) {
+    const h = config.hubble / 100.0;
+    const e = LensingCosmology.hubbleRate(z, config.omegaM);
+    return RHO_CRIT_H2 * h * h * e * e;
+}
+
+/**
+ * Concentration of an NFW halo with the given scale mass and scale radius
+ * Solves M_s m(c) = (800/3) π ρ_crit (c r_s)^3 with m(c) = ln(1 + c) - c / (1 + c).
+ * @param {number} scaleMass - 4 π ρ_s r_s^3 in solar masses
+ * @param {number} rs - Scale radius in Mpc
+ * @param {number} rhoCrit - Critical density in solar masses per Mpc^3
+ * @returns {number} Concentration c200
+ */
+function nfwConcentration(scaleMass, rs, rhoCrit) {
+    const target = ((800.0 / 3.0) * Math.PI * rhoCrit * rs * rs * rs) / scaleMass;
+    const shape = (c) => (Math.log(1.0 + c) - c / (1.0 + c)) / (c * c * c);
+
+    // shape(c) falls monotonically, so bisect in log(c)
+    let lo = Math.log(0.01);
+    let hi = Math.log(1000.0);
+    for (let k = 0; k < 60; k++) {
+        const mid = 0.5 * (lo + hi);
+        if (shape(Math.exp(mid)) > target) lo = mid;
+        else hi = mid;
+    }
+    return Math.exp(0.5 * (lo + hi));
+}
+
+/**
+ * Physical parameters of a lens
+ * @param {Object} config - Configuration holding the lens parameters, the cosmology and fieldOfView
+ * @returns {Object} { kind, zL, dL, kpcPerArcsec, ... } where the remaining keys depend on the model:
+ *   point (also the total mass of a microlens): mass; nfw: m200, c200, rs, r200;
+ *   profile: massRs (projected, within r_s), rs;
+ *   nie: sigma, rCore; kappa: mass (whole map), pixel (Mpc); void: deltaC, rv (Mpc, proper)
+ */
+function getPhysicalParams(config) {
+    const zL = LensingCosmology.getLensRedshift(config);
+    const dL = LensingCosmology.angularDiameterDistance(0, zL, config.hubble, config.omegaM);
+    const scale = getFieldScale(config);
+    const params = { zL, dL, kpcPerArcsec: (dL * 1000.0) / ARCSEC_PER_RADIAN };
+
+    if (config.model === 0 || config.model === 7) {
+        // alpha * theta = 2.5 * 0.03 * mass (screen units^2) outside the softening radius
+        const alphaTheta = UNIT_DEPTH * 0.03 * config.mass * scale * scale;
+        return { ...params, kind: 'point', mass: LENS_MASS_PREFACTOR * dL * alphaTheta };
+    }
+
+    if (config.model === 1) {
+        // alpha(x) = 2.5 * 0.18 * mass * g(x) / x  <=>  4 G M_s g(x) / (c^2 r_s x)
+        const rsScreen = Math.max(config.spread * 0.24, 0.01);
+        const rs = dL * rsScreen * scale;
+        const scaleMass = LENS_MASS_PREFACTOR * dL * UNIT_DEPTH * 0.18 * config.mass * rsScreen * scale * scale;
+        const c200 = nfwConcentration(scaleMass, rs, criticalDensity(zL, config));
+        const m200 = scaleMass * (Math.log(1.0 + c200) - c200 / (1.0 + c200));
+
+        return {
+            ...params,
+            kind: 'nfw',
+            m200,
+            c200,
+            rs,
+            r200: c200 * rs,
+        };
+    }
+
+    if (config.model === 5) {
+        // Projected mass within r_s from the tabulated deflection there: M = c^2 D_l theta alpha / (4 G)
+        const rsScreen = Math.max(config.spread * 0.24, 0.01);
+        const alpha = UNIT_DEPTH * 0.18 * config.mass * LensingProfiles.sampleDeflection(LensingApp.selectedLens, 1.0);
+        return {
+            ...params,
+            kind: 'profile',
+            massRs: LENS_MASS_PREFACTOR * dL * rsScreen * alpha * scale * scale,
+            rs: dL * rsScreen * scale,
+        };
+    }
+
+    if (config.model === 4) {
+        // Unreduced Einstein radius of the SIS limit: b = 4 π σ^2 / c^2
+        const b = UNIT_DEPTH * 0.24 * config.mass * scale;
+        const sigma = LensingCosmology.SPEED_OF_LIGHT * Math.sqrt(b / (4.0 * Math.PI));
+        const rCore = dL * Math.max(config.spread * 0.1, 0.005) * scale;
+        return {
+            ...params,
+            kind: 'nie',
+            sigma,
+            rCore,
+        };
+    }
+
+    if (config.model === 6) {
+        // Mass of a pixel with κ = 1 is Σ_crit x pixel area = c^2 D_l θ_pix^2 / (4 π G) at D_ls / D_s = 1
+        const map = LensingApp.kappaMap;
+        const pixel = LensingKappaMap.getKappaPixelSize(config) * scale;
+        const mass = map ? (LENS_MASS_PREFACTOR / Math.PI) * dL * map.mass * config.mass * pixel * pixel : 0;
+        return {
+            ...params,
+            kind: 'kappa',
+            mass,
+            pixel: dL * pixel,
+        };
+    }
+
+    // Voids: the mass slider is the central density contrast (1 + δ_c)
+    const deltaC = config.model === 3 ? config.hswDeltac : config.mass - 1.0;
+    const rv = dL * Math.max(config.spread * 0.24, 0.01) * scale;
+    return {
+        ...params,
+        kind: 'void',
+        deltaC,
+        rv,
+    };
+}
+
+/**
+ * Format a mass in solar masses as "1.2×10¹⁴ M☉"
+ * @param {number} mass - Mass in solar masses
+ * @returns {string} Formatted mass
+ */
+function formatSolarMass(mass) {
+    if (!(mass > 0)) return '0 M☉';
+    const superscripts = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+    let exponent = Math.floor(Math.log10(mass));
+    let mantissa = mass / 10 ** exponent;
+    if (mantissa >= 9.95) {
+        mantissa /= 10;
+        exponent += 1;
+    }
+    const power = String(exponent).split('').map((d) => (d === '-' ? '⁻' : superscripts[d])).join('');
+    return `${mantissa.toFixed(1)}×10${power} M☉`;
+}
+
+// Export for use in other modules
+window.LensingUnits = {
+    ARCSEC_PER_RADIAN,
+    UNIT_DEPTH,
+    REALISTIC_EXAGGERATION,
+    getFieldScale,
+    getLensPlaneScales,
+    radialDeflection,
+    tabulatedConvergence,
+    einsteinRadius,
+    getPhysicalParams,
+    formatSolarMass,
+};
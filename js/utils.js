@@ -57,6 +57,39 @@ function randomizeCredits() {
     }
 }
 
+/**
+ * Draw the attribution of exported images & videos into their bottom-right corner
+ * @param {CanvasRenderingContext2D} ctx - Context of the exported frame
+ * @param {number} width - Frame width in pixels
+ * @param {number} height - Frame height in pixels
+ */
+function drawAttribution(ctx, width, height) {
+    // 1. Configure Text
+    const text = 'nicosmo.github.io/lensing_visualization/';
+    const fontSize = Math.max(12, Math.floor(width * 0.012));
+    ctx.font = `300 ${fontSize}px Inter, sans-serif`;
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'bottom';
+
+    // 2. Calculate positions & Measure text for the background box
+    const marginX = width * 0.02;
+    const x = width - marginX;
+    const y = height - 15;
+
+    const metrics = ctx.measureText(text);
+    const textWidth = metrics.width;
+    const padding = fontSize * 0.5;
+    const boxHeight = fontSize + padding;
+
+    // 3. Draw the Dark Background Box
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(x - textWidth - padding, y - fontSize - padding / 2, textWidth + padding * 2, boxHeight);
+
+    // 4. Draw the Text on top
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.65)';
+    ctx.fillText(text, x, y);
+}
+
 // Export functions for use in other modules
 window.LensingUtils = {
     mulberry32,
@@ -64,6 +97,7 @@ window.LensingUtils = {
     setMasterSeed,
     randomizeMasterSeed,
     randomizeCredits,
+    drawAttribution,
 };
 
 
@@ -95,37 +129,181 @@ function nie_deflection(dx, dy, b, s, q, angle_deg) {
     return { x: c * ax - sn * ay, y: sn * ax + c * ay };
 }
 
-// 2. Central Difference Jacobian
-function getJacobian(x, y, b, s, q, angle) {
+// 2. External Shear & Mass Sheet (must match external_deflection in shaders.js)
+// Shear components from amplitude and position angle (degrees)
+function shearComponents(gamma, angleDeg) {
+    const phi = 2.0 * angleDeg * Math.PI / 180.0;
+    return { gamma1: gamma * Math.cos(phi), gamma2: gamma * Math.sin(phi) };
+}
+
+function externalDeflection(dx, dy, ext) {
+    return {
+        x: ext.kappa * dx + ext.gamma1 * dx + ext.gamma2 * dy,
+        y: ext.kappa * dy + ext.gamma2 * dx - ext.gamma1 * dy,
+    };
+}
+
+// Deflection of the selected lens plus its environment around the lens centre, (x, y) => { x, y }
+// Every model mirrors its branch of lens_deflection in shaders.js: the spherical models use the radial
+// deflection of units.js, the κ map its interpolated deflection field (null while no map is loaded).
+// referenceEfficiency sets the microlens separations. The lens (not its environment) is scaled by
+// the exaggeration factor, like in trace_lens_planes. Tabulated lenses also carry their exact Jacobian
+// (from the κ & γ channels of the lookup table) as deflect.jacobian, which getJacobian prefers.
+function getLensDeflection(config, layerDepth, referenceEfficiency) {
+    // Environment terms scale with the raw lensing efficiency (depth without the 2.5 boost)
+    const efficiency = layerDepth / 2.5;
+    const shear = shearComponents(config.shear * efficiency, config.shearAngle);
+    const ext = { kappa: config.kappaExt * efficiency, ...shear };
+    const depth = layerDepth * config.exaggeration;
+
+    let lensDeflection;
+    if (config.model === 7) {
+        const points = LensingMicrolensing.getMicroComponents(config, referenceEfficiency);
+        lensDeflection = (x, y) => LensingMicrolensing.microlensDeflection(points, x, y, depth);
+    } else if (config.model === 4) {
+        const b = (config.mass * 0.03) * depth * 8.0;
+        const q = 1.0 - config.ellipticity;
+        const s = Math.max(config.spread * 0.1, 0.005) * Math.sqrt(q);
+        lensDeflection = (x, y) => nie_deflection(x, y, b, s, q, config.angle);
+    } else if (config.model === 6) {
+        if (!LensingApp.kappaMap) return null;
+        lensDeflection = (x, y) => LensingKappaMap.kappaMapDeflection(config, x, y, depth);
+    } else {
+        lensDeflection = (x, y) => {
+            const r = Math.hypot(x, y);
+            if (r === 0) return { x: 0.0, y: 0.0 };
+            const alpha = LensingUnits.radialDeflection(config, r, depth) / r;
+            return { x: x * alpha, y: y * alpha };
+        };
+    }
+
+    const deflect = (x, y) => {
+        const a = lensDeflection(x, y);
+        const e = externalDeflection(x, y, ext);
+        return { x: a.x + e.x, y: a.y + e.y };
+    };
+
+    if (config.model === 3 || config.model === 5) {
+        // ∂α_i/∂x_j = κ δ_ij - γ_t (cos 2φ, sin 2φ; sin 2φ, -cos 2φ), plus the constant environment terms
+        deflect.jacobian = (x, y) => {
+            const r = Math.hypot(x, y);
+            const { kappa, gamma } = LensingUnits.tabulatedConvergence(config, Math.max(r, 1e-6), depth);
+            const phi = Math.atan2(y, x);
+            const c = gamma * Math.cos(2.0 * phi);
+            const s = gamma * Math.sin(2.0 * phi);
+            return jacobianFromDerivatives(
+                kappa - c + ext.kappa + ext.gamma1,
+                -s + ext.gamma2,
+                -s + ext.gamma2,
+                kappa + c + ext.kappa - ext.gamma1,
+            );
+        };
+    }
+    return deflect;
+}
+
+// Everything that changes the deflection of the selected lens (the CPU solvers are cached on it)
+function getDeflectionKey(config) {
+    const map = LensingApp.kappaMap ? LensingApp.kappaMap.texture.uuid : '';
+    return JSON.stringify([
+        LensingLenses.LENS_KEYS.map((key) => config[key]),
+        config.kappaExt, config.shear, config.shearAngle, config.kappaPixelScale, config.fieldOfView, map,
+        config.exaggeration, LensingProfiles.getTableVersion(),
+    ]);
+}
+
+// Half sizes of the marching squares windows: the macro grid holds the outer (tangential) curves,
+// the micro grid resolves radial curves in a small core (0 = no micro grid)
+function getCausticWindows(config, depth, referenceEfficiency) {
+    const efficiency = depth / 2.5;
+
+    if (config.model === 7) {
+        // Microlens: around all the masses (point masses have no extended core)
+        const points = LensingMicrolensing.getMicroComponents(config, referenceEfficiency);
+        const extent = Math.max(...points.map((p) => Math.hypot(p.x, p.y)));
+        const thetaE = LensingMicrolensing.microEinsteinRadius(config.mass, efficiency);
+        return { tangential: extent + 2.0 * thetaE, radial: 0 };
+    }
+    if (config.model === 4) {
+        const b = (config.mass * 0.03) * depth * 8.0;
+        const s = Math.max(config.spread * 0.1, 0.005) * Math.sqrt(1.0 - config.ellipticity);
+        return { tangential: b * 1.5 + s + 0.1, radial: s * 3.0 + 0.05 };
+    }
+    if (config.model === 6) {
+        // The map fills the central half of its zero-padded grid
+        const map = LensingApp.kappaMap;
+        return { tangential: map ? 0.3 * map.size * LensingKappaMap.getKappaPixelSize(config) : 0, radial: 0 };
+    }
+    if (config.model === 2 || config.model === 3) {
+        // Voids: out to the edge of the compensating wall
+        const rv = Math.max(config.spread * 0.24, 0.01);
+        return { tangential: rv * (config.model === 2 ? 1.0 + config.wallWidth : 2.0) * 1.2, radial: 0 };
+    }
+
+    // Point mass, NFW halo & radial profiles: the tangential curve is the Einstein ring,
+    // the radial curve of a cuspy halo lies well inside it
+    const thetaE = LensingUnits.einsteinRadius(config, efficiency);
+    const rs = Math.max(config.spread * 0.24, 0.01);
+    return { tangential: thetaE * 1.5 + 0.1, radial: config.model === 0 ? 0 : Math.min(thetaE, rs) + 0.02 };
+}
+
+// 3. Jacobian of the lens mapping from the derivatives ∂α_x/∂x, ∂α_x/∂y, ∂α_y/∂x, ∂α_y/∂y
+function jacobianFromDerivatives(axx, axy, ayx, ayy) {
+    const detA = (1.0 - axx) * (1.0 - ayy) - (axy * ayx);
+    const traceAlpha = axx + ayy; // Equals 2 * kappa
+    const gamma1 = 0.5 * (axx - ayy);
+    const gamma2 = 0.5 * (axy + ayx);
+    return {
+        detA,
+        traceAlpha,
+        gamma1,
+        gamma2,
+    };
+}
+
+// Central Difference Jacobian of a deflection function (x, y) => { x, y }, or its exact one if it has any
+function getJacobian(deflect, x, y) {
+    if (deflect.jacobian) return deflect.jacobian(x, y);
+
     const eps = 1e-4;
-    const dx_plus = nie_deflection(x + eps, y, b, s, q, angle);
-    const dx_minus = nie_deflection(x - eps, y, b, s, q, angle);
-    const dy_plus = nie_deflection(x, y + eps, b, s, q, angle);
-    const dy_minus = nie_deflection(x, y - eps, b, s, q, angle);
+    const dx_plus = deflect(x + eps, y);
+    const dx_minus = deflect(x - eps, y);
+    const dy_plus = deflect(x, y + eps);
+    const dy_minus = deflect(x, y - eps);
 
     const ax_x = (dx_plus.x - dx_minus.x) / (2 * eps);
     const ay_x = (dx_plus.y - dx_minus.y) / (2 * eps);
     const ax_y = (dy_plus.x - dy_minus.x) / (2 * eps);
     const ay_y = (dy_plus.y - dy_minus.y) / (2 * eps);
 
-    const detA = (1.0 - ax_x) * (1.0 - ay_y) - (ax_y * ay_x);
-    const traceAlpha = ax_x + ay_y; // Equals 2 * kappa
-    return { detA, traceAlpha };
+    return jacobianFromDerivatives(ax_x, ax_y, ay_x, ay_y);
 }
 
-// 3. 2D Marching Squares Algorithm (Lenstronomy Method)
-function generateCausticLines(config, depth, aspect) {
-    const b = (config.mass * 0.03) * depth * 8.0;
-    const q = 1.0 - config.ellipticity;
-    const s = Math.max(config.spread * 0.1, 0.005) * Math.sqrt(q);
-    const angle = config.angle;
+// 4. 2D Marching Squares Algorithm (Lenstronomy Method)
+// Works for every lens model through the Jacobian of getLensDeflection (numerical or tabulated).
+// referenceEfficiency is the efficiency whose Einstein radius sets the microlens separations (the farthest layer).
+function generateCausticLines(config, depth, aspect, referenceEfficiency) {
+    const efficiency = depth / 2.5;
+    const shear = shearComponents(config.shear * efficiency, config.shearAngle);
+    const ext = { kappa: config.kappaExt * efficiency, ...shear };
+
+    // Total deflection: lens plus environment (no curves while a κ map is missing)
+    const totalDeflection = getLensDeflection(config, depth, referenceEfficiency);
+    const windows = totalDeflection ? getCausticWindows(config, depth, referenceEfficiency) : {
+        tangential: 0,
+        radial: 0,
+    };
+    // The softened cores of point masses are no physical radial curves
+    const pointMasses = config.model === 0 || config.model === 7;
 
     const radialCritPts = [], tangCritPts = [];
     const radialCausticSegs = [], tangCausticSegs = [];
     const toWorld = (px, py) => new THREE.Vector3((px / aspect) * 2.5, py * 2.5, -0.01);
 
     // Helper to evaluate a grid and extract zero-contours
-    function runMarchingSquares(L, N, findRadial) {
+    // The macro grid (findTangential) keeps both kinds of curves, except radial ones inside the micro grid;
+    // the micro grid keeps the radial curves only
+    function runMarchingSquares(L, N, findTangential) {
         const step = (2 * L) / N;
         const grid = new Float32Array((N + 1) * (N + 1));
         const traceGrid = new Float32Array((N + 1) * (N + 1));
@@ -135,7 +313,7 @@ function generateCausticLines(config, depth, aspect) {
             for (let j = 0; j <= N; j++) {
                 let x = -L + i * step;
                 let y = -L + j * step;
-                let jac = getJacobian(x, y, b, s, q, angle);
+                let jac = getJacobian(totalDeflection, x, y);
                 grid[i * (N + 1) + j] = jac.detA;
                 traceGrid[i * (N + 1) + j] = jac.traceAlpha;
             }
@@ -160,11 +338,16 @@ function generateCausticLines(config, depth, aspect) {
                 if (caseIdx === 0 || caseIdx === 15) continue;
 
                 // traceAlpha = 2 * kappa. If > 2.0, it is the inner radial curve.
+                // (det A = (1 - κ - γ)(1 - κ + γ) vanishes on the radial factor only where κ > 1)
                 let avgTrace = (getTrace(i, j) + getTrace(i+1, j) + getTrace(i, j+1) + getTrace(i+1, j+1)) / 4.0;
                 let isRadial = avgTrace > 2.0;
 
-                if (findRadial && !isRadial) continue;
-                if (!findRadial && isRadial) continue;
+                if (!findTangential && !isRadial) continue;
+                if (isRadial && pointMasses) continue;
+                if (findTangential && isRadial && windows.radial > 0) {
+                    const centre = getPos(i + 0.5, j + 0.5);
+                    if (Math.abs(centre.x) < windows.radial && Math.abs(centre.y) < windows.radial) continue;
+                }
 
                 const interp = (v1, v2, p1, p2) => {
                     const t = v1 / (v1 - v2);
@@ -184,12 +367,12 @@ function generateCausticLines(config, depth, aspect) {
                     let pt1 = edges[e];
                     let pt2 = edges[e + 1];
 
-                    let alpha1 = nie_deflection(pt1.x, pt1.y, b, s, q, angle);
+                    let alpha1 = totalDeflection(pt1.x, pt1.y);
                     let src1 = { x: pt1.x - alpha1.x, y: pt1.y - alpha1.y };
-                    let alpha2 = nie_deflection(pt2.x, pt2.y, b, s, q, angle);
+                    let alpha2 = totalDeflection(pt2.x, pt2.y);
                     let src2 = { x: pt2.x - alpha2.x, y: pt2.y - alpha2.y };
 
-                    if (findRadial) {
+                    if (isRadial) {
                         radialCritPts.push(toWorld(pt1.x, pt1.y)); // Save 1 point for dots
                         radialCausticSegs.push(toWorld(src1.x, src1.y), toWorld(src2.x, src2.y)); // Save 2 for segments
                     } else {
@@ -202,12 +385,114 @@ function generateCausticLines(config, depth, aspect) {
     }
 
     // 1. Macro Grid: Low-res, wide area to catch the massive Outer Tangential Curve
-    runMarchingSquares(b * 1.5 + s + 0.1, 150, false);
+    // A mass sheet or shear stretches the tangential curve by roughly 1 / (1 - kappa - gamma)
+    // Microlenses get a finer grid for the small caustics of low-mass companions, κ maps for their substructure
+    const stretch = Math.max(1.0 - ext.kappa - Math.hypot(ext.gamma1, ext.gamma2), 0.2);
+    let macroCells = 150;
+    if (config.model === 7) macroCells = 300;
+    else if (config.model === 6) macroCells = 250;
+    if (windows.tangential > 0) runMarchingSquares(windows.tangential / stretch, macroCells, true);
     // 2. Micro Grid: High-res, tiny area to perfectly trace the microscopic Inner Radial Curve
-    runMarchingSquares(s * 3.0 + 0.05, 120, true);
+    if (windows.radial > 0) runMarchingSquares(windows.radial, 120, false);
 
     return { radialCritPts, tangCritPts, radialCausticSegs, tangCausticSegs };
 }
 
+// 5. Scene objects of the curves: dotted critical curves (lens plane) and solid caustics (source plane)
+// per lensed layer, rebuilt only when a slider actually moves and offset with the lens every frame.
+// The aspect and dot size are parameters, so that poster exports can trace the curves for their own frame.
+let cachedCausticKey = '';
+
+function updateCaustics(
+    group,
+    config,
+    efficiencies,
+    mouse,
+    aspect = window.innerWidth / window.innerHeight,
+    pointSize = 2.0,
+) {
+    group.visible = config.showCaustics > 0.5;
+    if (!group.visible) return;
+
+    const key = `${getDeflectionKey(config)}_${efficiencies.join('_')}_${aspect}_${pointSize}`;
+    if (key !== cachedCausticKey) {
+        // Properly clear old lines from memory
+        while (group.children.length > 0) {
+            const child = group.children[0];
+            group.remove(child);
+            child.geometry.dispose();
+            child.material.dispose();
+        }
+
+        const layers = efficiencies.length;
+        for (let i = 0; i < layers; i++) {
+            // Layers in front of the lens (cosmology mode) are not lensed
+            if (efficiencies[i] <= 0) continue;
+            const depth = efficiencies[i] * 2.5;
+            const curves = generateCausticLines(config, depth, aspect, efficiencies[layers - 1]);
+
+            // Hue Shifting (Gold->Red for Tangential, White->Cyan for Radial)
+            const frac = i / 7.0;
+            const colOut = new THREE.Color().lerpColors(
+                new THREE.Color(1.0, 0.8, 0.0),
+                new THREE.Color(0.6, 0.0, 0.0),
+                frac,
+            );
+            const colIn = new THREE.Color().lerpColors(
+                new THREE.Color(1.0, 1.0, 1.0),
+                new THREE.Color(0.0, 0.7, 1.0),
+                frac,
+            );
+
+            const createCrit = (pts, color) => {
+                if (pts.length === 0) return;
+                const geo = new THREE.BufferGeometry().setFromPoints(pts);
+                const mat = new THREE.PointsMaterial({
+                    color,
+                    size: pointSize,
+                    sizeAttenuation: false,
+                    transparent: true,
+                    opacity: 0.8,
+                    depthTest: false,
+                    blending: THREE.AdditiveBlending,
+                });
+                group.add(new THREE.Points(geo, mat));
+            };
+
+            const createCaustic = (segs, color) => {
+                if (segs.length === 0) return;
+                const geo = new THREE.BufferGeometry().setFromPoints(segs);
+                // LineSegments perfectly renders Marching Squares output without connecting stray endpoints
+                const mat = new THREE.LineBasicMaterial({
+                    color,
+                    transparent: true,
+                    opacity: 1.0,
+                    depthTest: false,
+                    blending: THREE.AdditiveBlending,
+                });
+                group.add(new THREE.LineSegments(geo, mat));
+            };
+
+            // Dotted Lens-Plane Curves
+            createCrit(curves.tangCritPts, colOut);
+            createCrit(curves.radialCritPts, colIn);
+
+            // Solid Source-Plane Curves
+            createCaustic(curves.tangCausticSegs, colOut); // Inner Star
+            createCaustic(curves.radialCausticSegs, colIn); // Outer Oval
+        }
+        cachedCausticKey = key;
+    }
+
+    // Extremely fast real-time offset based on mouse position
+    group.position.x = (mouse.x - 0.5) * 2.5;
+    group.position.y = (mouse.y - 0.5) * 2.5;
+}
+
 window.LensingUtils.generateCausticLines = generateCausticLines;
+window.LensingUtils.updateCaustics = updateCaustics;
+window.LensingUtils.shearComponents = shearComponents;
+window.LensingUtils.getLensDeflection = getLensDeflection;
+window.LensingUtils.getJacobian = getJacobian;
+window.LensingUtils.getDeflectionKey = getDeflectionKey;
 
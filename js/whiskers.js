@@ -0,0 +1,105 @@
+/**
+ * Shear Whisker Module
+ * Weak-lensing shear field of the selected lens: a grid of sticks along the reduced shear
+ * g = γ / (1 - κ), i.e. along the major axis of a lensed round source. Around halos the sticks are
+ * tangential, around voids (negative convergence & shear) radial.
+ * κ and γ come from the numerical Jacobian of the deflection, as for the caustics. The grid is built
+ * around the lens centre and moves with the lens (LensingApp.whiskersGroup).
+ */
+
+// Longest whisker as a fraction of the grid spacing (strong lensing saturates here)
+const MAX_WHISKER_LENGTH = 0.9;
+
+let cachedWhiskerKey = '';
+
+/**
+ * Whiskers of the selected lens and its environment
+ * @param {Object} config - The configuration object (whiskerDensity = sticks per screen height,
+ *   whiskerScale = length per unit |g| in grid spacings)
+ * @param {number} efficiency - Lensing efficiency of the farthest layer
+ * @param {number} aspect - Screen aspect ratio
+ * @returns {THREE.Vector3[]} Segment endpoints (pairs) in world units around the lens centre
+ */
+function generateWhiskers(config, efficiency, aspect) {
+    const segments = [];
+    const deflect = efficiency > 0 ? LensingUtils.getLensDeflection(config, efficiency * 2.5, efficiency) : null;
+    if (!deflect) return segments;
+
+    // The lens can sit anywhere on the screen, so the grid covers a screen on every side of it
+    const spacing = 1.0 / config.whiskerDensity;
+    const nx = Math.ceil(aspect / spacing);
+    const ny = Math.ceil(1.0 / spacing);
+    const toWorld = (px, py) => new THREE.Vector3((px / aspect) * 2.5, py * 2.5, -0.01);
+
+    for (let j = -ny; j < ny; j++) {
+        for (let i = -nx; i < nx; i++) {
+            // Cell centres, so that no whisker sits on the (singular) lens centre
+            const x = (i + 0.5) * spacing;
+            const y = (j + 0.5) * spacing;
+            const jac = LensingUtils.getJacobian(deflect, x, y);
+            const invKappa = 1.0 - 0.5 * jac.traceAlpha;
+            const g1 = jac.gamma1 / invKappa;
+            const g2 = jac.gamma2 / invKappa;
+            const g = Math.hypot(g1, g2);
+
+            if (Number.isFinite(g)) {
+                // Spin-2 field: the stick angle is half the phase of g
+                const phi = 0.5 * Math.atan2(g2, g1);
+                const half = 0.5 * spacing * Math.min(config.whiskerScale * g, MAX_WHISKER_LENGTH);
+                const dx = half * Math.cos(phi);
+                const dy = half * Math.sin(phi);
+                segments.push(toWorld(x - dx, y - dy), toWorld(x + dx, y + dy));
+            }
+        }
+    }
+    return segments;
+}
+
+/**
+ * Rebuild the whiskers when the lens or the whisker settings change and move them with the lens
+ * @param {THREE.Group} group - Scene group holding the whiskers
+ * @param {Object} config - The configuration object
+ * @param {number} efficiency - Lensing efficiency of the farthest layer
+ * @param {THREE.Vector2} mouse - Position of the selected lens (UV)
+ * @param {number} [aspect] - Aspect ratio of the frame (the screen, or a poster export)
+ */
+function updateWhiskers(group, config, efficiency, mouse, aspect = window.innerWidth / window.innerHeight) {
+    group.visible = config.showWhiskers > 0.5;
+    if (!group.visible) return;
+
+    const key = [
+        LensingUtils.getDeflectionKey(config), efficiency, aspect,
+        config.whiskerDensity, config.whiskerScale, config.whiskerColor,
+    ].join('_');
+
+    if (key !== cachedWhiskerKey) {
+        while (group.children.length > 0) {
+            const child = group.children[0];
+            group.remove(child);
+            child.geometry.dispose();
+            child.material.dispose();
+        }
+
+        const segments = generateWhiskers(config, efficiency, aspect);
+        if (segments.length > 0) {
+            const geometry = new THREE.BufferGeometry().setFromPoints(segments);
+            const material = new THREE.LineBasicMaterial({
+                color: config.whiskerColor,
+                transparent: true,
+                opacity: 0.9,
+                depthTest: false,
+            });
+            group.add(new THREE.LineSegments(geometry, material));
+        }
+        cachedWhiskerKey = key;
+    }
+
+    group.position.x = (mouse.x - 0.5) * 2.5;
+    group.position.y = (mouse.y - 0.5) * 2.5;
+}
+
+// Export for use in other modules
+window.LensingWhiskers = {
+    generateWhiskers,
+    updateWhiskers,
+};
@@ -1,4 +1,4 @@
-const CACHE_NAME = 'lensing-viz-v1.1';
+const CACHE_NAME = 'lensing-viz-v1.21';
 const ASSETS_TO_CACHE = [
     './index.html',
     './css/styles.css',
@@ -6,6 +6,25 @@ const ASSETS_TO_CACHE = [
     './js/galaxy-factory.js',
     './js/textures.js',
     './js/shaders.js',
+    './js/lenses.js',
+    './js/formula.js',
+    './js/profiles.js',
+    './js/profile-worker.js',
+    './js/kappa-map.js',
+    './js/microlensing.js',
+    './js/lightcurve.js',
+    './js/lens-maps.js',
+    './js/whiskers.js',
+    './js/catalog.js',
+    './js/stacking.js',
+    './js/recording.js',
+    './js/poster.js',
+    './js/params.js',
+    './js/scene.js',
+    './js/presets.js',
+    './js/cosmology.js',
+    './js/units.js',
+    './js/profile-curves.js',
     './js/ui.js',
     './js/app.js',
     './manifest.json',